@@ -0,0 +1,179 @@
+#!/usr/bin/env node
+// Headless renderer: reads a local repository with `git log` and draws it
+// with the same SimpleVisualizer engines the web page uses.
+//
+//   commit-flipbook render ./path/to/repo --out art.png --frame 600 --size 3840x2160
+
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { createCanvas } = require('@napi-rs/canvas');
+const { SimpleVisualizer, GitLogImporter, BotDetector } = require('../docs/art-generator.js');
+
+const USAGE = `Usage: commit-flipbook render <repo> [options]
+
+Options:
+  --out <file>       PNG file to write (default: art.png)
+  --frame <n>        animation frame to capture (default: 600)
+  --frames <a>-<b>   write frames a..b as a numbered sequence (art-0001.png, ...)
+  --size <WxH>       output size in pixels (default: 1920x1080)
+  --since <date>     only include commits after this date
+  --until <date>     only include commits before this date
+  --mailmap <file>   extra .mailmap lines for merging author aliases
+  --bots <mode>      machine (default), downweight, exclude or include
+  --bot-pattern <p>  extra bot glob, e.g. "*-ci" (repeatable)
+  --hide-merges      leave merge commits out of the artwork
+  --algo <n>         signature algorithm version (default: latest, ${SimpleVisualizer.ALGORITHM})
+`;
+
+function parseArgs(argv) {
+    const [command, repo, ...rest] = argv;
+    if (command !== 'render' || !repo) throw new Error(USAGE);
+
+    const options = {
+        repo,
+        out: 'art.png',
+        frame: 600,
+        frames: null,
+        width: 1920,
+        height: 1080,
+        since: null,
+        until: null,
+        mailmap: null,
+        bots: 'machine',
+        botPatterns: [],
+        hideMerges: false,
+        algorithm: SimpleVisualizer.ALGORITHM
+    };
+
+    for (let i = 0; i < rest.length; i++) {
+        const flag = rest[i];
+        if (flag === '--hide-merges') {
+            options.hideMerges = true;
+            continue;
+        }
+        const value = rest[++i];
+        if (value === undefined) throw new Error(`Missing value for ${flag}\n\n${USAGE}`);
+
+        if (flag === '--out') {
+            options.out = value;
+        } else if (flag === '--frame') {
+            options.frame = parseCount(value, flag);
+        } else if (flag === '--frames') {
+            const match = value.match(/^(\d+)-(\d+)$/);
+            if (!match || Number(match[1]) < 1 || Number(match[1]) > Number(match[2])) {
+                throw new Error(`Invalid --frames range: ${value}`);
+            }
+            options.frames = { from: Number(match[1]), to: Number(match[2]) };
+        } else if (flag === '--size') {
+            const match = value.match(/^(\d+)x(\d+)$/i);
+            if (!match) throw new Error(`Invalid --size: ${value} (expected WIDTHxHEIGHT)`);
+            options.width = parseCount(match[1], flag);
+            options.height = parseCount(match[2], flag);
+        } else if (flag === '--since') {
+            options.since = value;
+        } else if (flag === '--until') {
+            options.until = value;
+        } else if (flag === '--mailmap') {
+            options.mailmap = value;
+        } else if (flag === '--bots') {
+            if (!BotDetector.MODES.includes(value)) throw new Error(`Invalid --bots: ${value} (expected ${BotDetector.MODES.join(', ')})`);
+            options.bots = value;
+        } else if (flag === '--bot-pattern') {
+            options.botPatterns.push(value);
+        } else if (flag === '--algo') {
+            const version = Number(value);
+            if (!SimpleVisualizer.ALGORITHMS.includes(version)) {
+                throw new Error(`Invalid --algo: ${value} (expected ${SimpleVisualizer.ALGORITHMS.join(', ')})`);
+            }
+            options.algorithm = version;
+        } else {
+            throw new Error(`Unknown option ${flag}\n\n${USAGE}`);
+        }
+    }
+    return options;
+}
+
+function parseCount(value, flag) {
+    const count = Number(value);
+    if (!Number.isInteger(count) || count < 1) throw new Error(`Invalid ${flag}: ${value}`);
+    return count;
+}
+
+function readHistory(repoPath, options) {
+    const args = ['-C', repoPath, 'log', '--numstat', `--format=${GitLogImporter.FORMAT}`];
+    if (options.since) args.push(`--since=${options.since}`);
+    if (options.until) args.push(`--until=${options.until}`);
+
+    const text = execFileSync('git', args, { encoding: 'utf8', maxBuffer: 1024 * 1024 * 1024 });
+    const repoData = GitLogImporter.parse(text, path.basename(path.resolve(repoPath)));
+    repoData.mailmap = readMailmap(repoPath);
+    return repoData;
+}
+
+function readMailmap(repoPath) {
+    // The committed .mailmap, as the forge providers read it
+    try {
+        return execFileSync('git', ['-C', repoPath, 'show', 'HEAD:.mailmap'], {
+            encoding: 'utf8',
+            stdio: ['ignore', 'pipe', 'ignore']
+        });
+    } catch {
+        return null;
+    }
+}
+
+function frameFileName(out, frame, lastFrame) {
+    // art.png -> art-0001.png
+    const ext = path.extname(out) || '.png';
+    const base = out.slice(0, out.length - path.extname(out).length);
+    const digits = Math.max(4, String(lastFrame).length);
+    return `${base}-${String(frame).padStart(digits, '0')}${ext}`;
+}
+
+async function writePng(canvas, file) {
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    fs.writeFileSync(file, await canvas.encode('png'));
+}
+
+async function render(options) {
+    const repoData = readHistory(options.repo, options);
+    const canvas = createCanvas(options.width, options.height);
+    const mailmap = options.mailmap ? fs.readFileSync(options.mailmap, 'utf8') : '';
+    const visualizer = SimpleVisualizer.create(canvas, {
+        pixelRatio: 1,
+        createCanvas,
+        mailmap,
+        botMode: options.bots,
+        botPatterns: options.botPatterns.join(','),
+        hideMerges: options.hideMerges,
+        algorithm: options.algorithm
+    });
+    const signature = visualizer.prepare(repoData);
+
+    // Engines are stateful, so every frame up to the last one is simulated
+    const lastFrame = options.frames ? options.frames.to : options.frame;
+    for (let frame = 1; frame <= lastFrame; frame++) {
+        visualizer.renderFrame(signature, repoData);
+        if (options.frames && frame >= options.frames.from) {
+            await writePng(canvas, frameFileName(options.out, frame, lastFrame));
+        }
+    }
+    if (!options.frames) await writePng(canvas, options.out);
+
+    const written = options.frames
+        ? `frames ${options.frames.from}-${options.frames.to} to ${frameFileName(options.out, options.frames.from, lastFrame)}...`
+        : `frame ${options.frame} to ${options.out}`;
+    console.log(`${repoData.info.full_name}: ${repoData.commits.length} commits, ${signature.style} style (algorithm ${signature.algorithm}), ${written}`);
+}
+
+async function main() {
+    try {
+        await render(parseArgs(process.argv.slice(2)));
+    } catch (error) {
+        console.error(error.message);
+        process.exitCode = 1;
+    }
+}
+
+main();
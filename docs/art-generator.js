@@ -89,8 +89,33 @@ class GeometricHelper {
 // --- Visualizer ---
 
 class SimpleVisualizer {
-    constructor(canvas) {
+    constructor(canvas, options = {}) {
         this.canvas = canvas;
+        // Headless hosts (the CLI) pass their own pixel ratio and canvas factory
+        this.pixelRatio = options.pixelRatio || null;
+        this.canvasFactory = options.createCanvas || null;
+        // Extra .mailmap lines applied on top of the repository's own
+        this.mailmap = options.mailmap || '';
+        this.authorIds = new Map();
+        this.coAuthorIds = new Map();
+        // How automation accounts count: include, exclude, downweight or machine
+        this.botMode = options.botMode || 'machine';
+        this.botPatterns = options.botPatterns || '';
+        this.botCommits = new Set();
+        this.hideMerges = Boolean(options.hideMerges);
+        this.topology = new Map();
+        // Quarter -> Map(authorId -> share of that quarter's work)
+        this.authorShares = new Map();
+        // Tags and releases placed on the time axis by initializeState()
+        this.milestones = [];
+        // Issues and pull requests, a second particle class engines may draw
+        this.showActivity = options.showActivity !== false;
+        this.activity = [];
+        // Always the current algorithm; create() builds the frozen older ones
+        if (options.algorithm && options.algorithm !== SimpleVisualizer.ALGORITHM) {
+            throw new Error(`SimpleVisualizer draws algorithm ${SimpleVisualizer.ALGORITHM}; use SimpleVisualizer.create() for version ${options.algorithm}`);
+        }
+        this.algorithm = SimpleVisualizer.ALGORITHM;
         this.ctx = canvas.getContext('2d');
         this.animationId = null;
         this.time = 0;
@@ -104,6 +129,29 @@ class SimpleVisualizer {
         // Set proper canvas size
         this.resize();
     }
+
+    static create(canvas, options = {}) {
+        // The visualizer for options.algorithm (default: the current version)
+        const version = options.algorithm || SimpleVisualizer.ALGORITHM;
+        if (version === SimpleVisualizer.ALGORITHM) return new SimpleVisualizer(canvas, options);
+        const Frozen = SimpleVisualizer.FROZEN_ALGORITHMS[version];
+        if (!Frozen) {
+            throw new Error(`Unknown algorithm version ${version} (expected ${SimpleVisualizer.ALGORITHMS.join(', ')})`);
+        }
+        return new Frozen(canvas, options);
+    }
+
+    getPixelRatio() {
+        if (this.pixelRatio) return this.pixelRatio;
+        return (typeof window !== 'undefined' && window.devicePixelRatio) || 1;
+    }
+
+    createCanvas(width, height) {
+        const canvas = this.canvasFactory ? this.canvasFactory(width, height) : document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    }
     
     resize() {
         if (!this.canvas.parentElement) return;
@@ -112,7 +160,7 @@ class SimpleVisualizer {
         const rect = this.canvas.parentElement.getBoundingClientRect();
         const width = rect.width || 800;
         const height = rect.height || 600;
-        const dpr = window.devicePixelRatio || 1;
+        const dpr = this.getPixelRatio();
         
         // Set canvas internal dimensions (for drawing)
         this.canvas.width = Math.max(1, Math.floor(width * dpr));
@@ -162,16 +210,162 @@ class SimpleVisualizer {
         };
     }
 
+    // Helper: Evenly downsample a chronological commit list, keeping both ends
+    // so the time axis still spans the first commit to the last.
+    sampleCommits(commits, limit) {
+        const list = commits || [];
+        if (list.length <= limit) return list.slice();
+        if (limit <= 1) return list.slice(-1);
+
+        const step = (list.length - 1) / (limit - 1);
+        const sampled = [];
+        for (let i = 0; i < limit; i++) {
+            sampled.push(list[Math.round(i * step)]);
+        }
+        return sampled;
+    }
+
+    resolveAuthors(repoData) {
+        // Canonical authorId per commit object, after .mailmap and alias
+        // merging, plus the ids of Co-authored-by trailers
+        const mailmap = [repoData.mailmap, this.mailmap].filter(Boolean).join('\n');
+        this.botDetector = new BotDetector(this.botPatterns);
+        const commits = IdentityResolver.attachCoAuthors(repoData.commits || []);
+        const { authorIds, coAuthorIds } = new IdentityResolver(mailmap).resolve(commits);
+        this.authorIds = authorIds;
+        // Bot co-authors (e.g. a CI account in a trailer) get no credit unless bots count as people
+        const keepCoAuthor = (id) => this.botMode === 'include' || !this.botDetector.matches({ name: id });
+        this.coAuthorIds = new Map([...coAuthorIds]
+            .map(([commit, ids]) => [commit, ids.filter(keepCoAuthor)])
+            .filter(([, ids]) => ids.length));
+        return this.authorIds;
+    }
+
+    classifyBots(repoData) {
+        // Bot commits are only tracked when bots are not treated as people
+        this.botDetector = new BotDetector(this.botPatterns);
+        const commits = repoData.commits || [];
+        this.botCommits = new Set(this.botMode === 'include' ? [] : commits.filter((c) => this.botDetector.isBot(c)));
+        return this.botCommits;
+    }
+
+    peopleWeight(commit) {
+        // Share of a person a commit counts for in the social traits
+        if (!this.botCommits.has(commit)) return 1;
+        return this.botMode === 'downweight' ? BotDetector.DOWNWEIGHT : 0;
+    }
+
+    contributorWeight(person) {
+        if (this.botMode === 'include' || !this.botDetector?.matches(person)) return 1;
+        return this.botMode === 'downweight' ? BotDetector.DOWNWEIGHT : 0;
+    }
+
+    loginAuthorIds(commits) {
+        // Forge logins (issues, contributor statistics) to resolved author ids
+        const logins = new Map();
+        (commits || []).forEach((c) => {
+            if (c.author?.login && this.authorIds.has(c)) logins.set(c.author.login, this.authorIds.get(c));
+        });
+        return logins;
+    }
+
+    analyzeAuthorShares(repoData) {
+        // Each person's share of every quarter's work: lines changed from
+        // GitHub's weekly contributor statistics when present, otherwise
+        // commits counted from the history itself
+        const buckets = new Map();
+        const add = (time, authorId, amount) => {
+            if (!Number.isFinite(time) || !authorId || !(amount > 0)) return;
+            const bucket = Math.floor(time / SimpleVisualizer.SHARE_WINDOW);
+            const totals = buckets.get(bucket) || new Map();
+            totals.set(authorId, (totals.get(authorId) || 0) + amount);
+            buckets.set(bucket, totals);
+        };
+
+        const stats = repoData.contributorStats;
+        if (stats && stats.length) {
+            const logins = this.loginAuthorIds(repoData.commits);
+            stats.forEach((person) => {
+                const authorId = logins.get(person.login) || person.login;
+                const weight = this.contributorWeight({ login: person.login });
+                (person.weeks || []).forEach((week) => {
+                    add(Date.parse(week.week), authorId, ((week.additions + week.deletions) || week.commits) * weight);
+                });
+            });
+        } else {
+            (repoData.commits || []).forEach((c) => {
+                add(Date.parse(c.commit?.author?.date || c.commit?.committer?.date), this.authorIds.get(c), this.peopleWeight(c));
+            });
+        }
+
+        buckets.forEach((totals) => {
+            const sum = [...totals.values()].reduce((a, b) => a + b, 0);
+            totals.forEach((value, id) => totals.set(id, value / sum));
+        });
+        return buckets;
+    }
+
+    shareAt(authorId, time) {
+        const totals = this.authorShares.get(Math.floor(time / SimpleVisualizer.SHARE_WINDOW));
+        return totals?.get(authorId) || 0;
+    }
+
+    renderableCommits(commits) {
+        const hideBots = this.botMode === 'exclude' && this.botCommits.size;
+        if (!hideBots && !this.hideMerges) return commits || [];
+        return (commits || []).filter((c) => {
+            if (hideBots && this.botCommits.has(c)) return false;
+            return !(this.hideMerges && this.topology.get(c)?.merge);
+        });
+    }
+
+    linkCoAuthorParticles() {
+        // Shared commits reach out to each co-author's nearest own commit
+        this.particles.forEach((p, i) => {
+            p.coAuthorIndices = (p.coAuthors || []).map((id) => {
+                let best = -1;
+                this.particles.forEach((other, j) => {
+                    if (other.authorId === id && (best === -1 || Math.abs(j - i) < Math.abs(best - i))) best = j;
+                });
+                return best;
+            }).filter((j) => j !== -1);
+        });
+    }
+
+    linkParentParticles(commits) {
+        // Parent edges between drawn commits: follow first parents through
+        // commits that were sampled out or hidden until one is on screen
+        const bySha = new Map((commits || []).map((c) => [c.sha, c]));
+        const indexBySha = new Map(this.particles.map((p, i) => [p.commit?.sha, i]));
+        this.particles.forEach((p) => {
+            p.parentIndices = [];
+            (p.commit?.parents || []).forEach((parent) => {
+                let sha = parent.sha;
+                for (let step = 0; sha && step < 200; step++) {
+                    if (indexBySha.has(sha)) {
+                        if (!p.parentIndices.includes(indexBySha.get(sha))) p.parentIndices.push(indexBySha.get(sha));
+                        return;
+                    }
+                    sha = bySha.get(sha)?.parents?.[0]?.sha;
+                }
+            });
+        });
+    }
+
     calculateGiniCoefficient(commits) {
         if (!commits || commits.length === 0) return 0;
         
         const counts = {};
         commits.forEach(c => {
-            const author = c.commit?.author?.name || 'unknown';
-            counts[author] = (counts[author] || 0) + 1;
+            const author = this.authorIds.get(c) || c.commit?.author?.name || 'unknown';
+            counts[author] = (counts[author] || 0) + this.peopleWeight(c);
+            // Pair-programmed commits credit every co-author in full
+            (this.coAuthorIds.get(c) || []).forEach((id) => {
+                counts[id] = (counts[id] || 0) + 1;
+            });
         });
         
-        const values = Object.values(counts).sort((a, b) => a - b);
+        const values = Object.values(counts).filter((v) => v > 0).sort((a, b) => a - b);
         const n = values.length;
         if (n === 0) return 0;
         
@@ -190,8 +384,11 @@ class SimpleVisualizer {
         // 1. Social Structure (Gini)
         const gini = this.calculateGiniCoefficient(commits);
         
-        // 2. Team Size
-        const teamSize = (contributors || []).length || 1;
+        // 2. Team Size (bots count per the bot mode; co-authors who never
+        // committed themselves are missing from the contributor list)
+        const authors = new Set(this.authorIds.values());
+        const pairOnly = new Set([...this.coAuthorIds.values()].flat().filter((id) => !authors.has(id)));
+        const teamSize = ((contributors || []).reduce((sum, person) => sum + this.contributorWeight(person), 0) + pairOnly.size) || 1;
         
         // 3. Project Age (Days)
         const created = new Date(info.created_at).getTime();
@@ -209,12 +406,119 @@ class SimpleVisualizer {
                 return acc + p * Math.log(p);
             }, 0);
         }
+
+        // 5. Polyglot Commits (share of measured commits touching 2+ languages)
+        const measured = (commits || []).filter((c) => c.files && c.files.length);
+        const polyglot = measured.length
+            ? measured.filter((c) => Object.keys(LanguageClassifier.weigh(c.files)).length > 1).length / measured.length
+            : 0;
         
         return {
             gini,
             teamSize,
             ageDays,
-            diversity
+            diversity,
+            polyglot,
+            // 6. Automation (share of commits by bots)
+            bots: (commits || []).length ? this.botCommits.size / commits.length : 0,
+            // 7. Turnover (how much the people doing the work change per quarter)
+            turnover: this.calculateTurnover(),
+            // 8. Commit Types (share per Conventional Commit type)
+            ...this.analyzeCommitTypes(commits || []),
+            // 9. Rhythm (hours, weekdays and timezones of the authors' clocks)
+            ...this.analyzeRhythm(commits || [])
+        };
+    }
+
+    calculateTurnover() {
+        // 0 = the same people carry every quarter, 1 = a new crew each time
+        const quarters = [...this.authorShares.keys()].sort((a, b) => a - b).map((key) => this.authorShares.get(key));
+        if (quarters.length < 2) return 0;
+        let change = 0;
+        for (let i = 1; i < quarters.length; i++) {
+            let overlap = 0;
+            quarters[i].forEach((share, id) => {
+                overlap += Math.min(share, quarters[i - 1].get(id) || 0);
+            });
+            change += 1 - overlap;
+        }
+        return change / (quarters.length - 1);
+    }
+
+    analyzeCommitTypes(commits) {
+        const counts = Object.fromEntries(CommitClassifier.TYPES.map((type) => [type, 0]));
+        let breaking = 0;
+        commits.forEach((c) => {
+            const result = CommitClassifier.classify(c.commit?.message);
+            counts[result.type]++;
+            if (result.breaking) breaking++;
+        });
+        const total = commits.length || 1;
+        return {
+            commitTypes: Object.fromEntries(Object.entries(counts).map(([type, count]) => [type, count / total])),
+            breaking: breaking / total,
+            // 0 = all features, 1 = all fixes; 0.5 when neither appears
+            fixRatio: counts.fix + counts.feat ? counts.fix / (counts.fix + counts.feat) : 0.5
+        };
+    }
+
+    analyzeRhythm(commits) {
+        // Histograms use each author's wall clock; bots follow the bot mode
+        const hours = new Array(24).fill(0);
+        const weekdays = new Array(7).fill(0);
+        const offsets = new Map();
+        let total = 0;
+        let zoned = 0;
+        commits.forEach((c) => {
+            const clock = this.parseLocalTime(c.commit?.author?.date || c.commit?.committer?.date);
+            const weight = this.peopleWeight(c);
+            if (!clock || !weight) return;
+            if (!clock.utc) zoned++;
+            hours[clock.hour] += weight;
+            weekdays[clock.weekday] += weight;
+            offsets.set(clock.offset, (offsets.get(clock.offset) || 0) + weight);
+            total += weight;
+        });
+        const share = (value) => (total ? value / total : 0);
+
+        // All "Z" (GitHub REST): the authors' clocks are unknown, not UTC
+        if (!zoned) {
+            return { localTime: false, hours: null, weekdays: null, weekendRatio: null, nightOwl: null, timezones: 0, timezoneSpread: null };
+        }
+
+        // Timezone spread: hours between the 5th and 95th percentile offsets,
+        // so a lone traveller does not make a team global
+        const sorted = [...offsets.entries()].sort((a, b) => a[0] - b[0]);
+        const percentile = (q) => {
+            let seen = 0;
+            const hit = sorted.find(([, weight]) => (seen += weight) >= q * total);
+            return hit ? hit[0] : 0;
+        };
+        const spreadHours = (percentile(0.95) - percentile(0.05)) / 60;
+
+        return {
+            localTime: true,
+            hours: hours.map(share),
+            weekdays: weekdays.map(share),
+            weekendRatio: share(weekdays[0] + weekdays[6]),
+            // 22:00 - 05:59 local time
+            nightOwl: share(hours.slice(22).concat(hours.slice(0, 6)).reduce((a, b) => a + b, 0)),
+            timezones: offsets.size,
+            timezoneSpread: Math.min(1, spreadHours / 12)
+        };
+    }
+
+    parseLocalTime(value) {
+        // ISO dates keep the author's wall clock and offset (2021-03-01T23:10:00+02:00);
+        // GitHub's REST API reports UTC ("Z"), flagged as `utc` since it hides that clock
+        const match = String(value || '').match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):\d{2}(?::\d{2}(?:\.\d+)?)?(Z|([+-])(\d{2}):?(\d{2}))$/);
+        if (!match) return null;
+        const [, year, month, day, hour, zone, sign, offsetHours, offsetMinutes] = match;
+        return {
+            hour: Number(hour),
+            weekday: new Date(Date.UTC(Number(year), Number(month) - 1, Number(day))).getUTCDay(),
+            offset: zone === 'Z' ? 0 : (sign === '-' ? -1 : 1) * (Number(offsetHours) * 60 + Number(offsetMinutes)),
+            utc: zone === 'Z'
         };
     }
 
@@ -301,6 +605,7 @@ class SimpleVisualizer {
         const seed = signature.hash + this.hashString(signature.styleKey || signature.style);
         const rng = this.createSeededRNG(seed);
         const base = signature.primaryHue;
+        const widen = profile.paletteSpread || 1;
         const palette = [];
 
         for (let i = 0; i < count; i++) {
@@ -309,22 +614,22 @@ class SimpleVisualizer {
             let light = 28 + rng() * 45;
 
             if (strategy === 'monochromatic') {
-                hue = base + (rng() - 0.5) * 10;
+                hue = base + (rng() - 0.5) * 10 * widen;
                 sat = 20 + rng() * 60;
                 light = 15 + rng() * 70;
             } else if (strategy === 'analogous') {
-                hue = (base + (rng() - 0.5) * 60 + 360) % 360;
+                hue = (base + (rng() - 0.5) * 60 * widen + 360) % 360;
             } else if (strategy === 'complementary') {
-                hue = (base + (rng() > 0.5 ? 180 : 0) + (rng()-0.5)*20 + 360) % 360;
+                hue = (base + (rng() > 0.5 ? 180 : 0) + (rng()-0.5)*20*widen + 360) % 360;
             } else if (strategy === 'triadic') {
                 const legs = [0, 120, 240];
-                hue = (base + legs[Math.floor(rng()*3)] + (rng()-0.5)*20 + 360) % 360;
+                hue = (base + legs[Math.floor(rng()*3)] + (rng()-0.5)*20*widen + 360) % 360;
             } else if (strategy === 'tetradic') {
                 const legs = [0, 90, 180, 270];
-                hue = (base + legs[Math.floor(rng()*4)] + (rng()-0.5)*20 + 360) % 360;
+                hue = (base + legs[Math.floor(rng()*4)] + (rng()-0.5)*20*widen + 360) % 360;
             } else {
                 // Random/Wild
-                const spread = 30 + (signature.hash % 60);
+                const spread = (30 + (signature.hash % 60)) * widen;
                 hue = (base + (i * spread + rng() * 30 - 15) + 360) % 360;
             }
             
@@ -334,6 +639,45 @@ class SimpleVisualizer {
         return palette.slice(0, count);
     }
 
+    traceParticleShape(x, y, size, kind) {
+        // Visual grammar: features are round, fixes diamonds, refactors
+        // squares, docs triangles and chores small dots
+        this.ctx.beginPath();
+        if (kind === 'fix') {
+            this.ctx.moveTo(x, y - size * 1.3);
+            this.ctx.lineTo(x + size * 1.3, y);
+            this.ctx.lineTo(x, y + size * 1.3);
+            this.ctx.lineTo(x - size * 1.3, y);
+            this.ctx.closePath();
+        } else if (kind === 'refactor') {
+            this.ctx.rect(x - size, y - size, size * 2, size * 2);
+        } else if (kind === 'docs') {
+            this.ctx.moveTo(x, y - size * 1.3);
+            this.ctx.lineTo(x + size * 1.2, y + size);
+            this.ctx.lineTo(x - size * 1.2, y + size);
+            this.ctx.closePath();
+        } else if (kind === 'chore') {
+            this.ctx.arc(x, y, size * 0.6, 0, Math.PI * 2);
+        } else {
+            this.ctx.arc(x, y, size, 0, Math.PI * 2);
+        }
+    }
+
+    getParticleTone(p, palette, hue = p.hue) {
+        // Bots in machine mode keep their lightness but lose all color
+        const tone = this.getPaletteColorForHue(hue, palette);
+        return p.machine ? { h: tone.h, s: 0, l: tone.l } : tone;
+    }
+
+    getLanguageHue(p) {
+        // Hashed like the signature's base hue; the author's hue when unmeasured
+        return p.language ? this.hashString(p.language) % 360 : p.hue;
+    }
+
+    isMachineCommit(commit) {
+        return this.botMode === 'machine' && this.botCommits.has(commit);
+    }
+
     getPaletteColorForHue(hue, palette) {
         if (!palette || !palette.length) return { h: hue, s: 60, l: 60 };
         let closest = palette[0];
@@ -350,9 +694,7 @@ class SimpleVisualizer {
     }
 
     createProceduralTexture(type, width, height, tone, seed) {
-        const c = document.createElement('canvas');
-        c.width = width;
-        c.height = height;
+        const c = this.createCanvas(width, height);
         const ctx = c.getContext('2d');
         const rng = this.createSeededRNG(seed);
         
@@ -404,9 +746,7 @@ class SimpleVisualizer {
     }
 
     createGrainPattern(size, rng) {
-        const grain = document.createElement('canvas');
-        grain.width = size;
-        grain.height = size;
+        const grain = this.createCanvas(size, size);
         const gctx = grain.getContext('2d');
         const image = gctx.createImageData(size, size);
         for (let i = 0; i < image.data.length; i += 4) {
@@ -425,29 +765,31 @@ class SimpleVisualizer {
         const ctx = this.ctx;
         const bg = signature.styleProfile.bg || { mode: 'solid', stops: [{offset:0, alpha:1, shift:0}] };
         const primary = signature.primaryHue;
+        // Night-owl repositories dim the backdrop (bg.dim 0 - 0.6)
+        const light = (l) => l * (1 - (bg.dim || 0));
         
         let style = null;
         
         if (bg.mode === 'solid') {
-            style = `hsla(${(primary + bg.stops[0].shift)%360}, 20%, 5%, 1)`;
+            style = `hsla(${(primary + bg.stops[0].shift)%360}, 20%, ${light(5)}%, 1)`;
         } else if (bg.mode === 'linear') {
             const grad = ctx.createLinearGradient(0, 0, width, height);
             bg.stops.forEach(stop => {
-                grad.addColorStop(stop.offset, `hsla(${(primary + stop.shift)%360}, 40%, 10%, ${stop.alpha})`);
+                grad.addColorStop(stop.offset, `hsla(${(primary + stop.shift)%360}, 40%, ${light(10)}%, ${stop.alpha})`);
             });
             style = grad;
         } else if (bg.mode === 'radial') {
             const grad = ctx.createRadialGradient(width/2, height/2, 0, width/2, height/2, Math.max(width, height));
             bg.stops.forEach(stop => {
-                grad.addColorStop(stop.offset, `hsla(${(primary + stop.shift)%360}, 40%, 10%, ${stop.alpha})`);
+                grad.addColorStop(stop.offset, `hsla(${(primary + stop.shift)%360}, 40%, ${light(10)}%, ${stop.alpha})`);
             });
             style = grad;
         } else {
             // Complex
             const grad = ctx.createLinearGradient(0, 0, width, height);
-            grad.addColorStop(0, `hsla(${primary}, 50%, 5%, 1)`);
-            grad.addColorStop(0.5, `hsla(${(primary+60)%360}, 40%, 8%, 1)`);
-            grad.addColorStop(1, `hsla(${(primary+120)%360}, 50%, 5%, 1)`);
+            grad.addColorStop(0, `hsla(${primary}, 50%, ${light(5)}%, 1)`);
+            grad.addColorStop(0.5, `hsla(${(primary+60)%360}, 40%, ${light(8)}%, 1)`);
+            grad.addColorStop(1, `hsla(${(primary+120)%360}, 50%, ${light(5)}%, 1)`);
             style = grad;
         }
         
@@ -480,42 +822,36 @@ class SimpleVisualizer {
         this.ctx.strokeRect(outer + inner * 0.5, outer + inner * 0.5, width - 2 * outer - inner, height - 2 * outer - inner);
     }
     
-                async visualizeRepository(repoData) {
-    
-                    // Ensure canvas is sized correctly
-    
-                    this.resize();
-    
-            
-    
-                    // Generate unique signature based on repo
-    
-                    const signature = this.generateSignature(repoData);
-    
-            
-    
-                    // Initialize seeded RNG
-    
-                    this.rng = this.createSeededRNG(signature.hash);
-    
-                    this.noise = new SeededPerlinNoise(signature.hash);
-    
-                    
-    
-                    // Initialize particles/state based on style
-    
-                    this.initializeState(signature, repoData);
-    
-                    
-    
-                    // Start animation
-    
-                    this.animate(signature, repoData);
-    
-                }
-    
-            
-    
+    async visualizeRepository(repoData) {
+        // Ensure canvas is sized correctly
+        this.resize();
+
+        const signature = this.prepare(repoData);
+
+        // Start animation
+        this.animate(signature, repoData);
+    }
+
+    prepare(repoData) {
+        // Aliases of one person share a color and band
+        this.resolveAuthors(repoData);
+        this.classifyBots(repoData);
+        this.authorShares = this.analyzeAuthorShares(repoData);
+        // Lanes, merges and branch depth, before merges may be hidden
+        this.topology = CommitTopology.analyze(repoData.commits || []);
+
+        // Generate unique signature based on repo
+        const signature = this.generateSignature(repoData);
+
+        // Initialize seeded RNG
+        this.rng = this.createSeededRNG(signature.hash);
+        this.noise = new SeededPerlinNoise(signature.hash);
+
+        // Initialize particles/state based on style
+        this.initializeState(signature, repoData);
+        return signature;
+    }
+
     generateProceduralProfile(baseStyle, seed, complexity, energy, traits) {
         const rng = this.createSeededRNG(seed);
         
@@ -559,6 +895,9 @@ class SimpleVisualizer {
             ],
             noise: rng() > 0.5 ? range(0.02, 0.05) : 0
         };
+        // Semantic Mapping: Rhythm = Light (night owls work in the dark),
+        // only when the authors' local clocks are known
+        bg.dim = traits?.localTime ? Math.min(1, Math.max(0, (traits.nightOwl - 0.15) / 0.35)) * 0.6 : 0;
 
         // 5. Engine Specific Params (Keep existing safe ranges)
         const params = {};
@@ -628,6 +967,9 @@ class SimpleVisualizer {
             glitchMode = pick(['scanlines', 'vhs-tracking']);
         }
 
+        // Semantic Mapping: Timezones = Palette width (global teams span more hues)
+        const paletteSpread = traits?.localTime ? 1 + traits.timezoneSpread : 1;
+
         const borderMode = rng() > 0.7 ? pick(['simple', 'polaroid', 'film-strip', 'vignette']) : 'none';
         const textureOverlay = rng() > 0.6 ? pick(['paper', 'canvas', 'noise', 'grid']) : 'none';
 
@@ -643,6 +985,7 @@ class SimpleVisualizer {
             params,
             // New Traits
             paletteStrategy,
+            paletteSpread,
             symmetry,
             borderMode,
             glitchMode,
@@ -652,16 +995,18 @@ class SimpleVisualizer {
 
     generateSignature(repoData) {
         const { info, languages, contributors, commits } = repoData;
-        const repoName = info.full_name;
+        // Subtrees of a monorepo each get their own deterministic artwork
+        const scopePath = repoData.scope?.path;
+        const repoName = scopePath ? `${info.full_name}/${scopePath}` : info.full_name;
         const hash = this.hashString(repoName);
 
         // Determine dominant language for base hue
-        const dominantLang = Object.keys(languages)[0] || 'JavaScript';
+        const dominantLang = this.dominantLanguage(commits, languages) || 'JavaScript';
         const langHash = this.hashString(dominantLang);
         const baseHue = langHash % 360;
         
         const complexity = Math.min(Object.keys(languages || {}).length + (contributors || []).length / 5, 20);
-        const energy = Math.min((commits || []).length / 20, 100);
+        const energy = Math.min(this.renderableCommits(commits).length / 20, 100);
 
         // Semantic Analysis
         const traits = this.analyzeRepoTraits(repoData);
@@ -680,8 +1025,8 @@ class SimpleVisualizer {
         else if (traits.ageDays > 1500) {
             availableEngines = ['strata', 'tree', 'runes', 'matrix'];
         }
-        // 4. The "Polyglot" (Complex materials)
-        else if (traits.diversity > 0.8) {
+        // 4. The "Polyglot" (Complex materials: many languages, or commits mixing them)
+        else if (traits.diversity > 0.8 || traits.polyglot > 0.5) {
             availableEngines = ['collage', 'mosaic', 'weave', 'barcode'];
         }
         // 5. Default / Balanced
@@ -710,8 +1055,74 @@ class SimpleVisualizer {
             style: baseStyle,
             styleProfile: procedural, 
             speed: procedural.speed,
-            traits: traits // Save for debug/overlay
+            traits: traits, // Save for debug/overlay
+            algorithm: SimpleVisualizer.ALGORITHM
+        };
+    }
+
+    dominantLanguage(commits, languages) {
+        // Most changed lines across the measured commits; without file lists,
+        // the largest of the repository's language totals
+        const weights = {};
+        this.renderableCommits(commits).forEach((c) => {
+            Object.entries(LanguageClassifier.weigh(c.files)).forEach(([language, weight]) => {
+                weights[language] = (weights[language] || 0) + weight;
+            });
+        });
+        const pickLargest = (sizes) => {
+            let best = null;
+            Object.entries(sizes || {}).forEach(([language, size]) => {
+                if (!best || size > best[1]) best = [language, size];
+            });
+            return best ? best[0] : null;
         };
+        return pickLargest(weights) || pickLargest(languages);
+    }
+
+    placeMilestones(milestones, timeRange, width) {
+        // Tags and releases share the particles' time axis (10% - 90% of the width)
+        const { minTime, maxTime } = timeRange;
+        return (milestones || [])
+            .map((milestone) => ({ ...milestone, time: Date.parse(milestone.date) }))
+            .filter((milestone) => milestone.time >= minTime && milestone.time <= maxTime)
+            .map((milestone) => ({ ...milestone, x: this.mapValue(milestone.time, minTime, maxTime, 0.1, 0.9) * width }));
+    }
+
+    placeActivity(activity, commits, timeRange, width, height) {
+        // Issues sit where they were opened, pull requests where they were merged
+        // (or opened, if never merged), in their author's band and hue
+        const { minTime, maxTime } = timeRange;
+        const logins = this.loginAuthorIds(commits);
+
+        return (activity || []).map((item) => {
+            const state = item.mergedAt ? 'merged' : item.closedAt ? 'closed' : 'open';
+            const time = Date.parse(item.mergedAt || item.openedAt);
+            const authorId = logins.get(item.author) || item.author || 'Unknown';
+            const authorHash = this.hashString(authorId);
+            const number = item.number || 0;
+            return {
+                x: this.mapValue(time, minTime, maxTime, 0.1, 0.9) * width,
+                y: ((authorHash % 5) + 1) * (height / 6) + (number * 37 % 100 - 50),
+                time,
+                hue: authorHash % 360,
+                size: 3 + Math.min((item.labels || []).length, 4),
+                phase: (number % 12) / 12 * Math.PI * 2,
+                type: item.type,
+                state,
+                authorId,
+                item
+            };
+        }).filter((a) => a.time >= minTime && a.time <= maxTime);
+    }
+
+    milestoneAt(x, tolerance = 6) {
+        // Nearest marker to a canvas x position, for hover captions
+        let nearest = null;
+        this.milestones.forEach((milestone) => {
+            const distance = Math.abs(milestone.x - x);
+            if (distance <= tolerance && (!nearest || distance < Math.abs(nearest.x - x))) nearest = milestone;
+        });
+        return nearest;
     }
 
     mapCommitToParticle(commit, index, total, width, height, timeRange) {
@@ -720,10 +1131,10 @@ class SimpleVisualizer {
         const authorInfo = commitInfo.author || {};
         const committerInfo = commitInfo.committer || {};
         const commitMessage = commitInfo.message || '';
-        const authorName = authorInfo.name || authorInfo.email || 'Unknown';
+        const authorId = this.authorIds.get(commit) || authorInfo.name || authorInfo.email || 'Unknown';
         const stats = commit.stats || { total: 10 };
-        const authorHash = this.hashString(authorName);
-        const hashSource = String(commit.sha || commitMessage || authorName);
+        const authorHash = this.hashString(authorId);
+        const hashSource = String(commit.sha || commitMessage || authorId);
         const commitHash = this.hashString(hashSource);
         const rawCommitDate = authorInfo.date || committerInfo.date;
         const parsedCommitDate = new Date(rawCommitDate).getTime();
@@ -752,6 +1163,16 @@ class SimpleVisualizer {
         // 4. Color: Unique per author
         const hue = authorHash % 360;
 
+        const coAuthors = this.coAuthorIds.get(commit) || [];
+        const { type: kind, breaking } = CommitClassifier.classify(commitMessage);
+
+        // 6. Topology: lane in the history graph, merge flag, branch depth
+        const topology = this.topology.get(commit) || { lane: 0, merge: false, depth: 0 };
+
+        // Bots: smaller and fainter, or drawn in a neutral machine color
+        const isBot = this.botCommits.has(commit);
+        const botScale = isBot && this.botMode === 'downweight' ? 0.5 : 1;
+
         // 5. Velocity: Volatility (larger changes = faster/more erratic)
         const volatility = Math.min(stats.total / 100, 5);
         const vx = ((commitHash % 100) / 100 - 0.5) * volatility * 0.2; // Reduced drift
@@ -764,10 +1185,25 @@ class SimpleVisualizer {
             prevX: x,
             prevY: y,
             vx, vy,
-            size,
+            size: size * botScale,
             hue,
-            alpha: 0.5 + ((commitHash % 50) / 100), // 0.5 - 1.0
+            alpha: (0.5 + ((commitHash % 50) / 100)) * botScale, // 0.5 - 1.0
             phase: (commitDate % 1000) / 1000 * Math.PI * 2,
+            machine: isBot && this.botMode === 'machine',
+            lane: topology.lane,
+            merge: topology.merge,
+            depth: topology.depth,
+            // Conventional Commit type (feat, fix, refactor, docs, chore, other)
+            kind,
+            breaking,
+            // Co-authors from Co-authored-by trailers, each with their own hue
+            coAuthors,
+            coAuthorHues: coAuthors.map((id) => this.hashString(id) % 360),
+            // Language the commit mostly touched; null without a file list
+            language: LanguageClassifier.dominant(commit.files),
+            // The author's share of the work in this commit's quarter (0 - 1)
+            share: this.shareAt(authorId, commitDate),
+            authorId,
             commit
         };
     }
@@ -775,7 +1211,7 @@ class SimpleVisualizer {
     initializeState(signature, repoData) {
         // Handle 3D vs 2D mode switching
         if (signature.style === 'three') {
-            if (window.THREE) {
+            if (typeof window !== 'undefined' && window.THREE) {
                 this.canvas.style.display = 'none';
                 this.initializeThree(signature, repoData);
                 return;
@@ -787,10 +1223,12 @@ class SimpleVisualizer {
             }
         } 
         
-        this.canvas.style.display = 'block';
+        if (this.canvas.style) this.canvas.style.display = 'block';
         if (this.threeCanvas) this.threeCanvas.style.display = 'none';
 
         this.particles = [];
+        this.milestones = [];
+        this.activity = [];
         this.styleState = {};
         this.lifeGrid = [];
         
@@ -806,11 +1244,11 @@ class SimpleVisualizer {
         }
         
         const { commits } = repoData;
-        const dpr = window.devicePixelRatio || 1;
+        const dpr = this.getPixelRatio();
         const width = this.canvas.width / dpr;
         const height = this.canvas.height / dpr;
         
-        const activeCommits = (commits || []).slice(0, 150);
+        const activeCommits = this.sampleCommits(this.renderableCommits(commits), 150);
         if (activeCommits.length === 0) return;
 
         // Calculate Time Range
@@ -834,12 +1272,16 @@ class SimpleVisualizer {
         if (minTime === maxTime) { minTime -= 86400000; maxTime += 86400000; }
         
         const timeRange = { minTime, maxTime };
+        this.milestones = this.placeMilestones(repoData.milestones, timeRange, width);
+        if (this.showActivity) this.activity = this.placeActivity(repoData.activity, commits, timeRange, width, height);
 
         // Generate Particles
         activeCommits.forEach((commit, i) => {
             const p = this.mapCommitToParticle(commit, i, activeCommits.length, width, height, timeRange);
             if (!isNaN(p.x) && !isNaN(p.y)) this.particles.push(p);
         });
+        this.linkParentParticles(commits);
+        this.linkCoAuthorParticles();
 
         // Initialize Engine State from Params
         if (signature.style === 'city') {
@@ -847,18 +1289,25 @@ class SimpleVisualizer {
             const cols = Math.ceil(width / gridSize);
             const rows = Math.ceil(height / gridSize);
             const grid = new Array(cols * rows).fill(null);
+            // Each lane of the history graph gets its own strip of blocks
+            const laneCount = Math.min(rows, 1 + Math.max(0, ...activeCommits.map((c) => this.topology.get(c)?.lane || 0)));
             
             activeCommits.forEach((commit, i) => {
                 const seed = this.hashString(commit.commit?.sha || String(i));
+                const lane = (this.topology.get(commit)?.lane || 0) % laneCount;
                 const x = Math.floor((seed % 1000) / 1000 * cols);
-                const y = Math.floor(((seed * 13) % 1000) / 1000 * rows);
+                const y = Math.floor((lane + ((seed * 13) % 1000) / 1000) * rows / laneCount);
                 const idx = y * cols + x;
                 const stats = commit.stats || { total: 10 };
                 const heightVal = Math.min(Math.log(stats.total + 1) * 8, 50);
                 const hue = (seed) % 360;
                 
                 if (!grid[idx] || grid[idx].h < heightVal) {
-                    grid[idx] = { h: heightVal, hue: hue, x: x * gridSize, y: y * gridSize, z: heightVal };
+                    const { type, breaking } = CommitClassifier.classify(commit.commit?.message);
+                    grid[idx] = {
+                        h: heightVal, hue: hue, x: x * gridSize, y: y * gridSize, z: heightVal,
+                        machine: this.isMachineCommit(commit), kind: type, breaking
+                    };
                 }
             });
             this.styleState.cityGrid = grid;
@@ -880,6 +1329,8 @@ class SimpleVisualizer {
                      vx: (this.rng() - 0.5) * 4,
                      vy: (this.rng() - 0.5) * 4,
                      hue: hue,
+                     machine: this.isMachineCommit(commit),
+                     kind: CommitClassifier.classify(commit.commit?.message).type,
                      size: size,
                      phase: this.rng() * Math.PI * 2,
                      life: 0
@@ -1026,7 +1477,7 @@ class SimpleVisualizer {
         
         // Objects
         const { commits } = repoData;
-        const activeCommits = (commits || []).slice(0, 500);
+        const activeCommits = this.sampleCommits(this.renderableCommits(commits), 500);
         
         const type = signature.styleProfile.threeType || 'cube';
         const palette = this.getStylePalette(signature, 5);
@@ -1410,18 +1861,23 @@ class SimpleVisualizer {
         }
 
         const render = () => {
-            if (signature.style === 'three') {
-                this.renderThree();
-            } else {
-                this.time += signature.speed;
-                this.clear(signature);
-                this.drawVisualization(signature, repoData);
-            }
+            this.renderFrame(signature, repoData);
             this.animationId = requestAnimationFrame(render);
         };
         
         render();
     }
+
+    renderFrame(signature, repoData) {
+        // One animation step; headless renders call this directly
+        if (signature.style === 'three') {
+            this.renderThree();
+        } else {
+            this.time += signature.speed;
+            this.clear(signature);
+            this.drawVisualization(signature, repoData);
+        }
+    }
     
     clear(signature) {
         if (signature.style === 'paint' || signature.style === 'bio') {
@@ -1430,7 +1886,7 @@ class SimpleVisualizer {
             return;
         }
 
-        const dpr = window.devicePixelRatio || 1;
+        const dpr = this.getPixelRatio();
         const width = this.canvas.width / dpr;
         const height = this.canvas.height / dpr;
 
@@ -1443,7 +1899,7 @@ class SimpleVisualizer {
     }
     
     drawVisualization(signature, repoData) {
-        const dpr = window.devicePixelRatio || 1;
+        const dpr = this.getPixelRatio();
         const width = this.canvas.width / dpr;
         const height = this.canvas.height / dpr;
 
@@ -1508,7 +1964,8 @@ class SimpleVisualizer {
 
         this.ctx.globalCompositeOperation = 'source-over';
         this.ctx.filter = 'none';
-        
+
+        this.drawMilestones(width, height, signature);
         this.drawPostEffects(width, height, signature);
         this.drawOverlay(width, height, signature, repoData);
     }
@@ -1577,6 +2034,47 @@ class SimpleVisualizer {
         }
     }
 
+    drawMilestones(width, height, signature) {
+        // Releases are solid markers, bare tags and pre-releases dashed.
+        // Labels that would collide with the previous one are left to hover.
+        if (!this.milestones.length) return;
+        const tone = this.getPaletteColorForHue(signature.primaryHue, this.styleState.palette || []);
+        const top = height * 0.08;
+        let labelEnd = -Infinity;
+
+        this.ctx.save();
+        this.ctx.font = '10px monospace';
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'bottom';
+        this.milestones.forEach((milestone) => {
+            const strong = milestone.release && !milestone.prerelease;
+            const light = Math.min(90, tone.l + 30);
+            this.ctx.strokeStyle = `hsla(${tone.h}, ${tone.s}%, ${light}%, ${strong ? 0.35 : 0.2})`;
+            this.ctx.lineWidth = strong ? 1 : 0.75;
+            this.ctx.setLineDash(strong ? [] : [3, 4]);
+            this.ctx.beginPath();
+            this.ctx.moveTo(milestone.x, top);
+            this.ctx.lineTo(milestone.x, height);
+            this.ctx.stroke();
+
+            this.ctx.fillStyle = `hsla(${tone.h}, ${tone.s}%, ${light}%, ${strong ? 0.8 : 0.5})`;
+            this.ctx.beginPath();
+            this.ctx.moveTo(milestone.x, top - 3);
+            this.ctx.lineTo(milestone.x + 3, top);
+            this.ctx.lineTo(milestone.x, top + 3);
+            this.ctx.lineTo(milestone.x - 3, top);
+            this.ctx.closePath();
+            this.ctx.fill();
+
+            const labelWidth = this.ctx.measureText(milestone.tag).width;
+            if (milestone.x - labelWidth / 2 > labelEnd + 6) {
+                this.ctx.fillText(milestone.tag, milestone.x, top - 5);
+                labelEnd = milestone.x + labelWidth / 2;
+            }
+        });
+        this.ctx.restore();
+    }
+
     drawPostEffects(width, height, signature) {
         const ctx = this.ctx;
         const profile = signature.styleProfile;
@@ -1586,8 +2084,7 @@ class SimpleVisualizer {
             const seed = signature.hash;
             // Generate texture once if not cached
             if (!this.styleState.overlayTexture) {
-                const c = document.createElement('canvas');
-                c.width = 512; c.height = 512;
+                const c = this.createCanvas(512, 512);
                 const tx = c.getContext('2d');
                 const rng = this.createSeededRNG(seed);
                 
@@ -1874,7 +2371,39 @@ class SimpleVisualizer {
             }
         });
 
-        // 3. Draw Dense Network Connections
+        // 3. Draw parent edges: the branch and merge structure of the history
+        this.ctx.lineCap = 'round';
+        this.particles.forEach((p) => {
+            (p.parentIndices || []).forEach((index, k) => {
+                const parent = this.particles[index];
+                const paletteTone = this.getParticleTone(p, palette);
+                // Merged-in branches are drawn thinner than the first-parent line
+                this.ctx.lineWidth = k === 0 ? 1.4 : 0.8;
+                this.ctx.strokeStyle = `hsla(${paletteTone.h}, ${paletteTone.s}%, ${paletteTone.l}%, ${k === 0 ? 0.45 : 0.3})`;
+                this.ctx.beginPath();
+                this.ctx.moveTo(p.x, p.y);
+                this.ctx.lineTo(parent.x, parent.y);
+                this.ctx.stroke();
+            });
+        });
+
+        // Dashed links from shared commits to their co-authors
+        this.ctx.setLineDash([3, 4]);
+        this.ctx.lineWidth = 0.8;
+        this.particles.forEach((p) => {
+            (p.coAuthorIndices || []).forEach((index) => {
+                const partner = this.particles[index];
+                const paletteTone = this.getParticleTone(partner, palette);
+                this.ctx.strokeStyle = `hsla(${paletteTone.h}, ${paletteTone.s}%, ${paletteTone.l}%, 0.4)`;
+                this.ctx.beginPath();
+                this.ctx.moveTo(p.x, p.y);
+                this.ctx.lineTo(partner.x, partner.y);
+                this.ctx.stroke();
+            });
+        });
+        this.ctx.setLineDash([]);
+
+        // 4. Draw Dense Network Connections
         const linkRadius = (profile.linkRadius || 120) * 1.5;
         this.ctx.lineWidth = 0.8;
         this.ctx.lineCap = 'round';
@@ -1912,17 +2441,45 @@ class SimpleVisualizer {
             }
         }
 
-        // 4. Draw Glowing Nodes
-        this.ctx.shadowBlur = 10;
+        // 5. Draw Glowing Nodes
         this.particles.forEach((p) => {
-            const paletteTone = this.getPaletteColorForHue(p.hue, palette);
+            const paletteTone = this.getParticleTone(p, palette);
+            // Whoever carried the project that quarter glows brightest
+            this.ctx.shadowBlur = 6 + p.share * 14;
             this.ctx.fillStyle = `hsla(${paletteTone.h}, ${paletteTone.s}%, ${paletteTone.l + 20}%, 0.9)`;
             this.ctx.shadowColor = `hsla(${paletteTone.h}, ${paletteTone.s}%, ${paletteTone.l}%, 0.8)`;
             
             const size = Math.max(1.5, p.size * 0.3);
-            this.ctx.beginPath();
-            this.ctx.arc(p.x, p.y, size, 0, Math.PI * 2);
+            this.traceParticleShape(p.x, p.y, size, p.kind);
             this.ctx.fill();
+
+            // Shared commits are split into one wedge per co-author
+            const hues = p.coAuthorHues || [];
+            if (hues.length) {
+                this.ctx.save();
+                this.traceParticleShape(p.x, p.y, size, p.kind);
+                this.ctx.clip();
+                hues.forEach((hue, k) => {
+                    const tone = this.getParticleTone(p, palette, hue);
+                    const start = (Math.PI * 2 * (k + 1)) / (hues.length + 1);
+                    this.ctx.fillStyle = `hsla(${tone.h}, ${tone.s}%, ${tone.l + 20}%, 0.9)`;
+                    this.ctx.beginPath();
+                    this.ctx.moveTo(p.x, p.y);
+                    this.ctx.arc(p.x, p.y, size * 1.5, start, start + (Math.PI * 2) / (hues.length + 1));
+                    this.ctx.closePath();
+                    this.ctx.fill();
+                });
+                this.ctx.restore();
+            }
+
+            // Breaking changes wear a halo
+            if (p.breaking) {
+                this.ctx.strokeStyle = `hsla(${paletteTone.h}, ${paletteTone.s}%, ${paletteTone.l + 20}%, 0.7)`;
+                this.ctx.lineWidth = 1;
+                this.ctx.beginPath();
+                this.ctx.arc(p.x, p.y, size * 2.2, 0, Math.PI * 2);
+                this.ctx.stroke();
+            }
         });
         this.ctx.shadowBlur = 0;
     }
@@ -1956,7 +2513,7 @@ class SimpleVisualizer {
             const alpha = mode === 'mist' ? baseAlpha * 0.7 : baseAlpha;
             const size = p.isBackground ? p.size : p.size * (Math.sin(this.time + p.phase) * 0.2 + 1);
             const lineWidth = p.isBackground ? 0.6 : Math.max(0.6, p.size * 0.25);
-            const paletteTone = this.getPaletteColorForHue(p.hue, palette);
+            const paletteTone = this.getParticleTone(p, palette);
 
             if (mode === 'mist') {
                 this.ctx.fillStyle = `hsla(${paletteTone.h}, ${paletteTone.s * 0.7}%, ${paletteTone.l}%, ${alpha})`;
@@ -2029,7 +2586,7 @@ class SimpleVisualizer {
             const tailAngle = angle + Math.PI / 2;
             const tailScale = profile.tailScale || 1;
             const tailLen = (6 + p.size * 2.5) * tailScale;
-            const paletteTone = this.getPaletteColorForHue(p.hue, palette);
+            const paletteTone = this.getParticleTone(p, palette);
 
             this.ctx.strokeStyle = `hsla(${paletteTone.h}, ${paletteTone.s * 0.7}%, ${paletteTone.l}%, 0.35)`;
             this.ctx.lineWidth = Math.max(0.6, p.size * 0.25);
@@ -2054,13 +2611,42 @@ class SimpleVisualizer {
             p.prevX = x;
             p.prevY = y;
         });
-    }
 
-    drawMosaic(width, height, signature) {
-        const gridSize = this.styleState.mosaicGrid || 15;
-        const style = this.styleState.mosaicStyle || 'stained';
-        
-        // Update particle positions first
+        // Merged pull requests flare up on the same spiral
+        this.activity.forEach((a) => {
+            if (a.state !== 'merged') return;
+            const angle = this.time * 0.15 + (a.x / width) * Math.PI * 2;
+            const radius = this.mapValue(a.y, 0, height, 40, Math.min(width, height) * 0.45);
+            const x = centerX + Math.cos(angle) * radius;
+            const y = centerY + Math.sin(angle) * radius * (profile.diskSquash || 1);
+            const tone = this.getPaletteColorForHue(a.hue, palette);
+            const flare = (6 + a.size * 2) * (1 + 0.35 * Math.sin(this.time * 2 + a.phase));
+
+            const grad = this.ctx.createRadialGradient(x, y, 0, x, y, flare);
+            grad.addColorStop(0, `hsla(${tone.h}, ${tone.s}%, 92%, 0.9)`);
+            grad.addColorStop(0.3, `hsla(${tone.h}, ${tone.s}%, 70%, 0.4)`);
+            grad.addColorStop(1, `hsla(${tone.h}, ${tone.s}%, 50%, 0)`);
+            this.ctx.fillStyle = grad;
+            this.ctx.beginPath();
+            this.ctx.arc(x, y, flare, 0, Math.PI * 2);
+            this.ctx.fill();
+
+            this.ctx.strokeStyle = `hsla(${tone.h}, ${tone.s}%, 90%, 0.5)`;
+            this.ctx.lineWidth = 0.8;
+            this.ctx.beginPath();
+            this.ctx.moveTo(x - flare * 1.6, y);
+            this.ctx.lineTo(x + flare * 1.6, y);
+            this.ctx.moveTo(x, y - flare * 1.6);
+            this.ctx.lineTo(x, y + flare * 1.6);
+            this.ctx.stroke();
+        });
+    }
+
+    drawMosaic(width, height, signature) {
+        const gridSize = this.styleState.mosaicGrid || 15;
+        const style = this.styleState.mosaicStyle || 'stained';
+        
+        // Update particle positions first
         this.particles.forEach(p => {
              p.x += Math.cos(this.time + p.phase) * 0.5;
              p.y += Math.sin(this.time + p.phase) * 0.5;
@@ -2098,7 +2684,8 @@ class SimpleVisualizer {
                     const lightness = 35 + jitter * 35;
                     const baseX = cx + jitterX - cellSize / 2;
                     const baseY = cy + jitterY - cellSize / 2;
-                    const paletteTone = this.getPaletteColorForHue(nearestP.hue, this.styleState.palette || []);
+                    // Each pane takes the language its commit touched most
+                    const paletteTone = this.getParticleTone(nearestP, this.styleState.palette || [], this.getLanguageHue(nearestP));
                     const hue = paletteTone.h;
                     const sat = paletteTone.s;
                     const baseLight = Math.max(20, Math.min(85, paletteTone.l + (lightness - 50) * 0.6));
@@ -2187,7 +2774,7 @@ class SimpleVisualizer {
             }
 
             const glyphHue = (signature.secondaryHue + (p.hue - signature.secondaryHue) * 0.2 + 360) % 360;
-            const paletteTone = this.getPaletteColorForHue(glyphHue, palette);
+            const paletteTone = this.getParticleTone(p, palette, glyphHue);
             const trailLen = Math.max(10, p.size * 5);
             const trail = this.ctx.createLinearGradient(p.x, p.y - trailLen, p.x, p.y + 2);
             trail.addColorStop(0, `hsla(${paletteTone.h}, ${paletteTone.s}%, ${paletteTone.l}%, 0)`);
@@ -2207,7 +2794,11 @@ class SimpleVisualizer {
             // Draw char based on commit hash
             const glyphSeed = this.hashString(p.commit?.sha || 'x') + columnIndex * 31;
             let char = '';
-            if (glyphMode === 'binary') {
+            // Typed commits rain their own glyphs; the rest use the style's set
+            const typeGlyphs = p.breaking ? CommitClassifier.GLYPHS.breaking : CommitClassifier.GLYPHS[p.kind];
+            if (typeGlyphs) {
+                char = typeGlyphs[glyphSeed % typeGlyphs.length];
+            } else if (glyphMode === 'binary') {
                 char = (glyphSeed % 2).toString();
             } else if (glyphMode === 'hex') {
                 const hex = '0123456789ABCDEF';
@@ -2226,6 +2817,10 @@ class SimpleVisualizer {
         const scale = this.styleState.strataScale || 0.004;
         const spacing = height / (layers + 1);
         const palette = this.styleState.palette || [];
+        // Every release is a fault line: the layers step up or down past it
+        const faultAt = (x) => this.milestones.reduce((offset, milestone, k) => (
+            x >= milestone.x ? offset + (k % 2 ? -1 : 1) * spacing * 0.08 : offset
+        ), 0);
 
         this.ctx.globalCompositeOperation = 'screen';
 
@@ -2246,7 +2841,7 @@ class SimpleVisualizer {
             for (let x = 0; x <= width; x += 6) {
                 const noiseVal = this.noise.noise(x * scale, i * 0.4 + this.time * 0.18);
                 const wave = Math.sin(x * 0.015 + this.time * 0.3 + i) * amplitude * 0.15;
-                const y = baseY + noiseVal * amplitude + wave;
+                const y = baseY + noiseVal * amplitude + wave + faultAt(x);
                 if (x === 0) {
                     this.ctx.moveTo(x, y);
                 } else {
@@ -2295,7 +2890,7 @@ class SimpleVisualizer {
             const ty = center.y + Math.sin(trailAngle) * r * tilt;
 
             const hue = (p.hue + signature.secondaryHue) / 2;
-            const paletteTone = this.getPaletteColorForHue(hue, palette);
+            const paletteTone = this.getParticleTone(p, palette, hue);
             
             // Draw Trail
             const grad = this.ctx.createLinearGradient(x, y, tx, ty);
@@ -2428,7 +3023,7 @@ class SimpleVisualizer {
              // Subtle stitch highlights
              const x = p.x;
              const y = p.y;
-             this.ctx.fillStyle = `hsla(${p.hue}, 60%, 80%, 0.3)`;
+             this.ctx.fillStyle = `hsla(${p.hue}, ${p.machine ? 0 : 60}%, 80%, 0.3)`;
              this.ctx.beginPath();
              this.ctx.arc(x, y, 1.5, 0, Math.PI * 2);
              this.ctx.fill();
@@ -2641,6 +3236,40 @@ class SimpleVisualizer {
             this.ctx.fill();
             this.ctx.shadowBlur = 0;
         });
+
+        // Issues: open ones are unresolved contacts that ping when swept,
+        // closed ones leave a faint trace
+        const range = Math.min(width, height) * 0.45;
+        this.activity.forEach((a) => {
+            if (a.type !== 'issue') return;
+            const angle = (a.x / width) * Math.PI * 2;
+            const radius = this.mapValue(a.y, 0, height, range * 0.1, range);
+            const x = centerX + Math.cos(angle) * radius;
+            const y = centerY + Math.sin(angle) * radius;
+            const tone = this.getPaletteColorForHue(a.hue, palette);
+
+            if (a.state !== 'open') {
+                this.ctx.fillStyle = `hsla(${tone.h}, ${tone.s * 0.4}%, 50%, 0.15)`;
+                this.ctx.beginPath();
+                this.ctx.arc(x, y, 1.5, 0, Math.PI * 2);
+                this.ctx.fill();
+                return;
+            }
+
+            let dist = sweepAngle - angle;
+            while (dist < 0) dist += Math.PI * 2;
+            const ping = Math.exp(-dist * 1.5);
+            this.ctx.fillStyle = `hsla(${tone.h}, ${tone.s}%, 65%, ${Math.max(0.35, ping)})`;
+            this.ctx.beginPath();
+            this.ctx.arc(x, y, a.size * 0.6, 0, Math.PI * 2);
+            this.ctx.fill();
+
+            this.ctx.strokeStyle = `hsla(${tone.h}, ${tone.s}%, 65%, ${ping * 0.8})`;
+            this.ctx.lineWidth = 1;
+            this.ctx.beginPath();
+            this.ctx.arc(x, y, a.size * 0.6 + (1 - ping) * a.size * 3, 0, Math.PI * 2);
+            this.ctx.stroke();
+        });
     }
 
     drawCity(width, height, signature) {
@@ -2667,7 +3296,7 @@ class SimpleVisualizer {
             const screenX = isoX + (b.x - b.y) * tileW;
             const screenY = isoY + (b.x + b.y) * tileH;
             
-            const paletteTone = this.getPaletteColorForHue(b.hue, palette);
+            const paletteTone = this.getParticleTone(b, palette);
             
             if (theme === 'blueprint') {
                 this.ctx.strokeStyle = `hsla(${paletteTone.h}, 60%, 70%, 0.4)`;
@@ -2713,9 +3342,51 @@ class SimpleVisualizer {
             this.ctx.fillStyle = `rgba(0,0,0,0.4)`; 
             this.ctx.fill();
             this.ctx.stroke();
+
+            this.drawBuildingDetail(b, screenX, screenY - animHeight, tileW, tileH, paletteTone);
         });
     }
 
+    drawBuildingDetail(b, x, roofY, tileW, tileH, tone) {
+        // Roof grammar: features get a spire, fixes a cross, refactors
+        // a setback storey, docs rows of windows; chores stay plain
+        const centerY = roofY - tileH;
+        this.ctx.strokeStyle = `hsla(${tone.h}, ${tone.s}%, ${Math.min(90, tone.l + 25)}%, 0.7)`;
+        this.ctx.lineWidth = 1;
+        this.ctx.beginPath();
+        if (b.kind === 'feat') {
+            this.ctx.moveTo(x, centerY);
+            this.ctx.lineTo(x, centerY - tileH * 2);
+        } else if (b.kind === 'fix') {
+            this.ctx.moveTo(x - tileW * 0.5, centerY - tileH * 0.5);
+            this.ctx.lineTo(x + tileW * 0.5, centerY + tileH * 0.5);
+            this.ctx.moveTo(x + tileW * 0.5, centerY - tileH * 0.5);
+            this.ctx.lineTo(x - tileW * 0.5, centerY + tileH * 0.5);
+        } else if (b.kind === 'refactor') {
+            const lift = tileH * 0.8;
+            this.ctx.moveTo(x, centerY + tileH * 0.5 - lift);
+            this.ctx.lineTo(x + tileW * 0.5, centerY - lift);
+            this.ctx.lineTo(x, centerY - tileH * 0.5 - lift);
+            this.ctx.lineTo(x - tileW * 0.5, centerY - lift);
+            this.ctx.closePath();
+        } else if (b.kind === 'docs') {
+            for (let row = 1; row <= 3; row++) {
+                const y = roofY + row * 4;
+                this.ctx.moveTo(x + tileW * 0.2, y - tileH * 0.2);
+                this.ctx.lineTo(x + tileW * 0.8, y - tileH * 0.8);
+            }
+        }
+        this.ctx.stroke();
+
+        if (b.breaking) {
+            // Warning beacon
+            this.ctx.fillStyle = 'hsla(0, 90%, 60%, 0.9)';
+            this.ctx.beginPath();
+            this.ctx.arc(x, centerY - tileH * 2, 2, 0, Math.PI * 2);
+            this.ctx.fill();
+        }
+    }
+
     drawAttractor(width, height, signature) {
         const { a, b, c, d } = this.styleState.attractorParams;
         // Use generated scale or fallback
@@ -2744,7 +3415,7 @@ class SimpleVisualizer {
              // Bounds check to avoid drawing off-screen infinity
              if (Math.abs(newX) > width * 2 || Math.abs(newY) > height * 2) return;
              
-             const paletteTone = this.getPaletteColorForHue(p.hue, palette);
+             const paletteTone = this.getParticleTone(p, palette);
              this.ctx.strokeStyle = `hsla(${paletteTone.h}, ${paletteTone.s}%, ${paletteTone.l}%, 0.35)`;
              
              this.ctx.beginPath();
@@ -2872,7 +3543,7 @@ class SimpleVisualizer {
             if (b.y < 0) b.y += height;
             if (b.y > height) b.y -= height;
             
-            const paletteTone = this.getPaletteColorForHue(b.hue, palette);
+            const paletteTone = this.getParticleTone(b, palette);
             
             if (style === 'oil') {
                 this.ctx.fillStyle = `hsla(${paletteTone.h}, ${paletteTone.s}%, ${paletteTone.l}%, 0.1)`;
@@ -2881,12 +3552,7 @@ class SimpleVisualizer {
                 this.ctx.fill();
                 
                 // Texture
-                this.ctx.strokeStyle = `hsla(${paletteTone.h}, ${paletteTone.s}%, ${paletteTone.l + 10}%, 0.1)`;
-                this.ctx.lineWidth = 1;
-                this.ctx.beginPath();
-                this.ctx.moveTo(b.x, b.y);
-                this.ctx.lineTo(b.x + b.vx * 4, b.y + b.vy * 4);
-                this.ctx.stroke();
+                this.drawBrushTexture(b, paletteTone);
             } else {
                 // Watercolor
                 const spread = b.size * 3; // Increased spread
@@ -2904,10 +3570,45 @@ class SimpleVisualizer {
                     else this.ctx.lineTo(px, py);
                 }
                 this.ctx.fill();
+
+                // Washes stay smooth unless the commit declared its type
+                if (b.kind !== 'other') this.drawBrushTexture(b, paletteTone);
             }
         });
     }
     
+    drawBrushTexture(b, tone) {
+        // Each commit type leaves its own mark: streaks for features,
+        // cross-hatching for fixes, swirls for refactors, stipple for docs
+        this.ctx.strokeStyle = `hsla(${tone.h}, ${tone.s}%, ${tone.l + 10}%, 0.1)`;
+        this.ctx.fillStyle = `hsla(${tone.h}, ${tone.s}%, ${tone.l + 10}%, 0.12)`;
+        this.ctx.lineWidth = 1;
+        this.ctx.beginPath();
+        if (b.kind === 'fix') {
+            this.ctx.moveTo(b.x - b.vy * 3, b.y + b.vx * 3);
+            this.ctx.lineTo(b.x + b.vy * 3, b.y - b.vx * 3);
+            this.ctx.moveTo(b.x - b.vx * 3, b.y - b.vy * 3);
+            this.ctx.lineTo(b.x + b.vx * 3, b.y + b.vy * 3);
+        } else if (b.kind === 'refactor') {
+            const heading = Math.atan2(b.vy, b.vx);
+            this.ctx.arc(b.x, b.y, b.size * 0.4, heading, heading + Math.PI * 1.2);
+        } else if (b.kind === 'docs') {
+            for (let i = 1; i <= 3; i++) {
+                this.ctx.moveTo(b.x + b.vx * i * 2 + 1, b.y + b.vy * i * 2);
+                this.ctx.arc(b.x + b.vx * i * 2, b.y + b.vy * i * 2, 1, 0, Math.PI * 2);
+            }
+            this.ctx.fill();
+            return;
+        } else if (b.kind === 'chore') {
+            // Flat dab, no texture
+            return;
+        } else {
+            this.ctx.moveTo(b.x, b.y);
+            this.ctx.lineTo(b.x + b.vx * 4, b.y + b.vy * 4);
+        }
+        this.ctx.stroke();
+    }
+
     drawOverlay(width, height, signature, repoData) {
         // Overlay text is handled by DOM for the Apple TV style UI.
         return;
@@ -2921,160 +3622,5713 @@ class SimpleVisualizer {
     }
 }
 
-class CommitArtGenerator {
-    constructor() {
-        this.form = document.getElementById('flipbook-form');
-        this.repoUrlInput = document.getElementById('repo-url');
-        this.generateBtn = document.getElementById('generate-btn');
-        this.statusDiv = document.getElementById('status');
-        this.resultDiv = document.getElementById('result');
-        this.errorDiv = document.getElementById('error');
-        this.canvas = document.getElementById('result-canvas');
-        this.repoNameEl = document.getElementById('repo-name');
-        this.repoStatsEl = document.getElementById('repo-stats');
-        
-        this.visualizer = null;
-        this.repoData = null;
-        this.placeholderCycleActive = false;
-        this.resizeTimer = null;
-        this.exampleRepos = [
-            'https://github.com/facebook/react',
-            'https://github.com/torvalds/linux',
-            'https://github.com/tensorflow/tensorflow'
-        ];
-        this.currentExampleIndex = 0;
-        this.placeholderRepos = [
-            'https://github.com/facebook/react',
-            'https://github.com/vuejs/vue',
-            'https://github.com/tensorflow/tensorflow',
-            'https://github.com/bitcoin/bitcoin',
-            'https://github.com/rust-lang/rust',
-            'https://github.com/torvalds/linux'
-        ];
+// Width of the windows in which each person's share of the work is measured
+SimpleVisualizer.SHARE_WINDOW = 91 * 24 * 60 * 60 * 1000;
+
+// Version of the generation algorithm, stamped on every signature. Bump it
+// whenever a change would alter existing artworks (hashString(),
+// createSeededRNG(), the traits, generateProceduralProfile(), the engine lists
+// or any drawing code), after freezing a copy of the old visualizer below.
+SimpleVisualizer.ALGORITHM = 2;
+
+// --- Frozen Algorithms ---
+// Earlier versions of the whole visualizer, kept so that artworks made with
+// them can be reproduced exactly (?algo=1). Never edit their drawing code:
+// change SimpleVisualizer and bump ALGORITHM instead. They share
+// SeededPerlinNoise and GeometricHelper, which must not change either.
+
+// Version 1: the original visualizer, before author identities, bots, scopes,
+// commit types, topology, milestones, activity and rhythm traits. Copied
+// verbatim except that canvases and the pixel ratio come from the host.
+class VisualizerV1 {
+    constructor(canvas, options = {}) {
+        this.canvas = canvas;
+        this.pixelRatio = options.pixelRatio || null;
+        this.canvasFactory = options.createCanvas || null;
+        this.algorithm = 1;
+        this.ctx = canvas.getContext('2d');
+        this.animationId = null;
+        this.time = 0;
+        this.particles = [];
+        this.connections = [];
+        this.rng = Math.random; // Default to random
+        this.noise = null;
+        this.lifeGrid = [];
+        this.styleState = {};
         
-        this.init();
+        // Set proper canvas size
+        this.resize();
     }
     
-    init() {
-        // Initialize visualizer
-        this.visualizer = new SimpleVisualizer(this.canvas);
-        
-        // Event listeners
-        this.form.addEventListener('submit', (e) => this.handleSubmit(e));
-        document.getElementById('download-btn')?.addEventListener('click', () => this.downloadScreenshot());
-        document.getElementById('share-btn')?.addEventListener('click', () => this.share());
-        document.getElementById('randomize-btn')?.addEventListener('click', () => this.randomizeExample());
+    resize() {
+        if (!this.canvas.parentElement) return;
 
-        this.repoUrlInput.addEventListener('focus', () => {
-            document.body.classList.add('is-input-focused');
-        });
-        this.repoUrlInput.addEventListener('blur', () => {
-            document.body.classList.remove('is-input-focused');
-        });
-        
-        // Handle window resize
-        window.addEventListener('resize', () => {
-            if (!this.visualizer) return;
-            this.visualizer.resize();
-            if (!this.repoData) return;
-            if (this.resizeTimer) clearTimeout(this.resizeTimer);
-            this.resizeTimer = setTimeout(() => {
-                this.visualizer.visualizeRepository(this.repoData);
-            }, 150);
-        });
+        // Get the actual container dimensions
+        const rect = this.canvas.parentElement.getBoundingClientRect();
+        const width = rect.width || 800;
+        const height = rect.height || 600;
+        const dpr = this.getPixelRatio();
         
-        // Set random placeholder library
-        this.setRandomPlaceholderLibrary();
-
-        // Initial overlay content
-        this.updateOverlay();
-
-        // Auto-pick an example repo on load
-        this.autoSelectExample();
-
-        // Idle UI fade for controls
-        this.setupIdleUI();
-    }
-    
-    setRandomPlaceholderLibrary() {
-        let currentIndex = 0;
-        let isTyping = false;
-        let currentFullUrl = this.placeholderRepos[0]; 
+        // Set canvas internal dimensions (for drawing)
+        this.canvas.width = Math.max(1, Math.floor(width * dpr));
+        this.canvas.height = Math.max(1, Math.floor(height * dpr));
         
-        const typeText = async (text) => {
-            if (isTyping) return;
-            isTyping = true;
-            currentFullUrl = text;
-            
-            // Simple typing effect simulation
-            this.repoUrlInput.setAttribute('placeholder', text);
-            
-            isTyping = false;
-        };
+        // Set canvas display dimensions (CSS)
+        this.canvas.style.width = width + 'px';
+        this.canvas.style.height = height + 'px';
         
-        this.placeholderCycleActive = true;
-
-        const cycleRepositories = async () => {
-            if (!this.placeholderCycleActive) return;
-            await typeText(this.placeholderRepos[currentIndex]);
-            currentIndex = (currentIndex + 1) % this.placeholderRepos.length;
-            setTimeout(cycleRepositories, 4000);
-        };
+        // Scale context for retina displays
+        this.ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
         
-        // Expose the current full URL for form submission
-        this.getCurrentPlaceholderUrl = () => currentFullUrl;
+        // Resize Three.js if active
+        if (this.threeRenderer && this.threeCamera) {
+            this.threeRenderer.setSize(width, height);
+            this.threeCamera.aspect = width / height;
+            this.threeCamera.updateProjectionMatrix();
+        }
         
-        cycleRepositories();
-    }
-
-    autoSelectExample() {
-        if (this.repoUrlInput.value.trim()) return;
-        const repoUrl = this.getRandomExampleRepo();
-        if (!repoUrl) return;
-
-        this.repoUrlInput.value = repoUrl;
-        this.form.dispatchEvent(new Event('submit'));
+        // Reset particles on resize (only for 2D)
+        this.particles = [];
     }
 
-    getRandomExampleRepo() {
-        if (this.exampleRepos && this.exampleRepos.length) {
-            const index = Math.floor(Math.random() * this.exampleRepos.length);
-            this.currentExampleIndex = index;
-            return this.exampleRepos[index];
+    // Helper: Simple string hash
+    hashString(str) {
+        let hash = 0;
+        for (let i = 0; i < str.length; i++) {
+            hash = ((hash << 5) - hash + str.charCodeAt(i)) & 0xffffffff;
         }
-        return null;
+        return Math.abs(hash);
     }
 
-    randomizeExample() {
-        if (!this.exampleRepos.length) return;
-        this.currentExampleIndex = (this.currentExampleIndex + 1) % this.exampleRepos.length;
-        const repoUrl = this.exampleRepos[this.currentExampleIndex];
-        if (!repoUrl) return;
-        this.repoUrlInput.value = repoUrl;
-        this.form.dispatchEvent(new Event('submit'));
+    // Helper: Map value ranges
+    mapValue(value, inMin, inMax, outMin, outMax) {
+        return ((value - inMin) * (outMax - outMin)) / (inMax - inMin) + outMin;
     }
 
-    setupIdleUI() {
-        const idleClass = 'is-idle';
-        const idleDelay = 3000;
-        let idleTimer = null;
-        const controls = document.querySelector('.overlay-controls');
-        const stack = document.querySelector('.overlay-stack');
-
-        const updateIdleShift = () => {
-            if (!controls || !stack) return;
-            const controlsHeight = controls.getBoundingClientRect().height;
-            const stackStyles = window.getComputedStyle(stack);
-            const gap = parseFloat(stackStyles.gap || '0') || 0;
-            const shift = Math.max(0, Math.round(controlsHeight));
-            const shiftActions = Math.max(0, Math.round(controlsHeight + gap));
-            document.body.style.setProperty('--idle-shift', `${shift}px`);
-            document.body.style.setProperty('--idle-shift-actions', `${shiftActions}px`);
+    // Helper: Deterministic RNG for reproducible visuals
+    createSeededRNG(seed) {
+        let m = 0x80000000;
+        let a = 1103515245;
+        let c = 12345;
+        let state = Math.abs(seed) || 1;
+        return () => {
+            state = (a * state + c) % m;
+            return state / (m - 1);
         };
+    }
 
-        const resetIdleTimer = () => {
-            if (idleTimer) clearTimeout(idleTimer);
-            idleTimer = setTimeout(() => {
+    calculateGiniCoefficient(commits) {
+        if (!commits || commits.length === 0) return 0;
+        
+        const counts = {};
+        commits.forEach(c => {
+            const author = c.commit?.author?.name || 'unknown';
+            counts[author] = (counts[author] || 0) + 1;
+        });
+        
+        const values = Object.values(counts).sort((a, b) => a - b);
+        const n = values.length;
+        if (n === 0) return 0;
+        
+        let numerator = 0;
+        for (let i = 0; i < n; i++) {
+            numerator += (i + 1) * values[i];
+        }
+        
+        const denominator = n * values.reduce((a, b) => a + b, 0);
+        return (2 * numerator) / denominator - (n + 1) / n;
+    }
+
+    analyzeRepoTraits(repoData) {
+        const { commits, info, languages, contributors } = repoData;
+        
+        // 1. Social Structure (Gini)
+        const gini = this.calculateGiniCoefficient(commits);
+        
+        // 2. Team Size
+        const teamSize = (contributors || []).length || 1;
+        
+        // 3. Project Age (Days)
+        const created = new Date(info.created_at).getTime();
+        const lastPush = new Date(info.pushed_at).getTime();
+        const ageDays = (lastPush - created) / (1000 * 60 * 60 * 24);
+        
+        // 4. Language Diversity (entropy)
+        const langs = Object.values(languages || {});
+        const totalBytes = langs.reduce((a, b) => a + b, 0);
+        let diversity = 0;
+        if (totalBytes > 0) {
+            // Shannon entropy normalized
+            diversity = -langs.reduce((acc, val) => {
+                const p = val / totalBytes;
+                return acc + p * Math.log(p);
+            }, 0);
+        }
+        
+        return {
+            gini,
+            teamSize,
+            ageDays,
+            diversity
+        };
+    }
+
+    getStyleFadeAlpha(signature) {
+        const profileAlpha = signature?.styleProfile?.fadeAlpha;
+        if (typeof profileAlpha === 'number') {
+            return Math.min(0.6, Math.max(0.04, profileAlpha));
+        }
+        switch (signature.style) {
+            case 'mosaic':
+                return 0.4;
+            case 'matrix':
+                return 0.12;
+            case 'nebula':
+                return 0.12;
+            case 'flow':
+                return 0.14;
+            case 'tree':
+                return 0.22;
+            case 'life':
+                return 0.25;
+            default:
+                return 0.18;
+        }
+    }
+
+    getStyleProfiles() {
+        return [
+            { key: 'matrix-spectral', base: 'matrix', backdrop: 'cobalt', paletteShift: 0, glyphMode: 'katakana', columnDensity: 1.2, beamAlpha: 0.2, fadeAlpha: 0.1 },
+            { key: 'matrix-lattice', base: 'matrix', backdrop: 'ink', paletteShift: -20, glyphMode: 'hex', columnDensity: 1.5, columnWidth: 30, fadeAlpha: 0.12 },
+            { key: 'matrix-zen', base: 'matrix', backdrop: 'verdant', paletteShift: 40, glyphMode: 'binary', columnDensity: 0.8, glyphScale: 1.35, fadeAlpha: 0.18 },
+            { key: 'mosaic-stained', base: 'mosaic', backdrop: 'ember', paletteShift: 20, mosaicStyle: 'stained', mosaicGridMin: 10, mosaicGridMax: 20, fadeAlpha: 0.35, grain: true, frame: true },
+            { key: 'mosaic-shards', base: 'mosaic', backdrop: 'cobalt', paletteShift: -10, mosaicStyle: 'shards', mosaicGridMin: 12, mosaicGridMax: 22, fadeAlpha: 0.28, grain: true, frame: true },
+            { key: 'mosaic-circuit', base: 'mosaic', backdrop: 'aurora', paletteShift: 35, mosaicStyle: 'circuit', mosaicGridMin: 14, mosaicGridMax: 24, fadeAlpha: 0.3, grain: true },
+            { key: 'tree-bonsai', base: 'tree', backdrop: 'verdant', paletteShift: 10, treeDepth: 8, leafMode: 'petal', fadeAlpha: 0.24 },
+            { key: 'tree-coral', base: 'tree', backdrop: 'iris', paletteShift: 55, treeDepth: 11, leafMode: 'coral', fadeAlpha: 0.2 },
+            { key: 'tree-ember', base: 'tree', backdrop: 'ember', paletteShift: 30, treeDepth: 10, leafMode: 'glow', fadeAlpha: 0.2 },
+            { key: 'life-quilt', base: 'life', backdrop: 'aurora', paletteShift: 10, lifeCellStyle: 'diamond', lifeMaxAge: 24, fadeAlpha: 0.28 },
+            { key: 'life-bioreactor', base: 'life', backdrop: 'noir', paletteShift: -15, lifeCellStyle: 'circle', lifeMaxAge: 14, fadeAlpha: 0.22 },
+            { key: 'life-neon', base: 'life', backdrop: 'cobalt', paletteShift: 35, lifeCellStyle: 'square', lifeMaxAge: 20, fadeAlpha: 0.18 },
+            { key: 'strata-oxide', base: 'strata', backdrop: 'ember', paletteShift: 20, strataLayers: 9, strataAmplitude: 70, strataScale: 0.0045, fadeAlpha: 0.2, grain: true, frame: true },
+            { key: 'strata-ghost', base: 'strata', backdrop: 'noir', paletteShift: -30, strataLayers: 11, strataAmplitude: 45, strataScale: 0.006, fadeAlpha: 0.22, grain: true },
+            { key: 'strata-spectra', base: 'strata', backdrop: 'aurora', paletteShift: 45, strataLayers: 12, strataAmplitude: 80, strataScale: 0.0035, fadeAlpha: 0.16, grain: true },
+            { key: 'runes-ink', base: 'runes', backdrop: 'ink', paletteShift: -10, runeDensity: 1, runeScale: 1, fadeAlpha: 0.2, grain: true },
+            { key: 'runes-neon', base: 'runes', backdrop: 'cobalt', paletteShift: 50, runeDensity: 1.3, runeScale: 1.1, fadeAlpha: 0.14 },
+            { key: 'runes-ritual', base: 'runes', backdrop: 'noir', paletteShift: 15, runeDensity: 0.9, runeScale: 1.2, fadeAlpha: 0.18, grain: true, frame: true },
+            { key: 'weave-tartan', base: 'weave', backdrop: 'verdant', paletteShift: 20, weaveCols: 10, weaveRows: 8, weaveAmplitude: 40, fadeAlpha: 0.2, grain: true, frame: true },
+            { key: 'weave-satin', base: 'weave', backdrop: 'iris', paletteShift: -15, weaveCols: 14, weaveRows: 10, weaveAmplitude: 30, fadeAlpha: 0.18, grain: true },
+            { key: 'rift-glitch', base: 'rift', backdrop: 'noir', paletteShift: 25, riftSlices: 14, riftJitter: 30, fadeAlpha: 0.16, grain: true },
+            { key: 'rift-paper', base: 'rift', backdrop: 'ember', paletteShift: -20, riftSlices: 18, riftJitter: 18, fadeAlpha: 0.2, grain: true, frame: true },
+            { key: 'barcode-oxide', base: 'barcode', backdrop: 'ember', paletteShift: 10, barCount: 70, fadeAlpha: 0.18, grain: true, frame: true },
+            { key: 'barcode-mono', base: 'barcode', backdrop: 'noir', paletteShift: -25, barCount: 60, fadeAlpha: 0.22, grain: true },
+            { key: 'barcode-neon', base: 'barcode', backdrop: 'cobalt', paletteShift: 45, barCount: 75, fadeAlpha: 0.14, grain: true },
+            { key: 'collage-paper', base: 'collage', backdrop: 'iris', paletteShift: -5, collageCount: 26, fadeAlpha: 0.2, grain: true, frame: true },
+            { key: 'collage-kraft', base: 'collage', backdrop: 'ember', paletteShift: 18, collageCount: 30, fadeAlpha: 0.18, grain: true },
+            { key: 'collage-noir', base: 'collage', backdrop: 'noir', paletteShift: -30, collageCount: 22, fadeAlpha: 0.22, grain: true, frame: true },
+            { key: 'city-blueprint', base: 'city', backdrop: 'cobalt', paletteShift: 0, fadeAlpha: 1, cityTheme: 'blueprint' },
+            { key: 'city-neon', base: 'city', backdrop: 'noir', paletteShift: 40, fadeAlpha: 1, cityTheme: 'neon' },
+            { key: 'city-sunset', base: 'city', backdrop: 'ember', paletteShift: 20, fadeAlpha: 1, cityTheme: 'sunset' },
+            { key: 'paint-oil', base: 'paint', backdrop: 'canvas', paletteShift: 10, fadeAlpha: 0.02, paintStyle: 'oil' },
+            { key: 'paint-watercolor', base: 'paint', backdrop: 'paper', paletteShift: -10, fadeAlpha: 0.05, paintStyle: 'watercolor' },
+            { key: 'attractor-clifford', base: 'attractor', backdrop: 'noir', paletteShift: 0, fadeAlpha: 0.1, attractorType: 'clifford' },
+            { key: 'attractor-lorenz', base: 'attractor', backdrop: 'noir', paletteShift: 20, fadeAlpha: 0.05, attractorType: 'lorenz' },
+            { key: 'bio-fungus', base: 'bio', backdrop: 'noir', paletteShift: 30, fadeAlpha: 1, bioType: 'fungus' },
+            { key: 'bio-coral', base: 'bio', backdrop: 'cobalt', paletteShift: -20, fadeAlpha: 1, bioType: 'coral' },
+            { key: 'collage-dada', base: 'collage', backdrop: 'paper', paletteShift: -10, fadeAlpha: 1, materialType: 'dada' },
+            { key: 'collage-constructivist', base: 'collage', backdrop: 'noir', paletteShift: 40, fadeAlpha: 1, materialType: 'constructivist' },
+            { key: 'collage-mixed', base: 'collage', backdrop: 'canvas', paletteShift: 10, fadeAlpha: 1, materialType: 'mixed' },
+            { key: 'structure-cube', base: 'three', backdrop: 'noir', paletteShift: 0, threeType: 'cube' },
+            { key: 'network-sphere', base: 'three', backdrop: 'noir', paletteShift: 20, threeType: 'sphere' },
+            { key: 'galaxy-spiral', base: 'three', backdrop: 'noir', paletteShift: -20, threeType: 'spiral' },
+            { key: 'cyber-city', base: 'three', backdrop: 'noir', paletteShift: 0, threeType: 'cyber-city' },
+            { key: 'abstract-flow', base: 'three', backdrop: 'noir', paletteShift: 10, threeType: 'abstract-flow' },
+            { key: 'minimal-sculpture', base: 'three', backdrop: 'noir', paletteShift: 30, threeType: 'minimal-sculpture' },
+            { key: 'organic-crystal', base: 'three', backdrop: 'noir', paletteShift: -10, threeType: 'organic-crystal' },
+            { key: 'vapor-grid', base: 'three', backdrop: 'noir', paletteShift: 40, threeType: 'vapor-grid' },
+            { key: 'glitch-monolith', base: 'three', backdrop: 'noir', paletteShift: -30, threeType: 'glitch-monolith' }
+        ];
+    }
+
+    getStylePalette(signature, count) {
+        const profile = signature.styleProfile || {};
+        const strategy = profile.paletteStrategy || 'random';
+        const seed = signature.hash + this.hashString(signature.styleKey || signature.style);
+        const rng = this.createSeededRNG(seed);
+        const base = signature.primaryHue;
+        const palette = [];
+
+        for (let i = 0; i < count; i++) {
+            let hue = base;
+            let sat = 40 + rng() * 45;
+            let light = 28 + rng() * 45;
+
+            if (strategy === 'monochromatic') {
+                hue = base + (rng() - 0.5) * 10;
+                sat = 20 + rng() * 60;
+                light = 15 + rng() * 70;
+            } else if (strategy === 'analogous') {
+                hue = (base + (rng() - 0.5) * 60 + 360) % 360;
+            } else if (strategy === 'complementary') {
+                hue = (base + (rng() > 0.5 ? 180 : 0) + (rng()-0.5)*20 + 360) % 360;
+            } else if (strategy === 'triadic') {
+                const legs = [0, 120, 240];
+                hue = (base + legs[Math.floor(rng()*3)] + (rng()-0.5)*20 + 360) % 360;
+            } else if (strategy === 'tetradic') {
+                const legs = [0, 90, 180, 270];
+                hue = (base + legs[Math.floor(rng()*4)] + (rng()-0.5)*20 + 360) % 360;
+            } else {
+                // Random/Wild
+                const spread = 30 + (signature.hash % 60);
+                hue = (base + (i * spread + rng() * 30 - 15) + 360) % 360;
+            }
+            
+            palette.push({ h: hue, s: sat, l: light });
+        }
+
+        return palette.slice(0, count);
+    }
+
+    getPaletteColorForHue(hue, palette) {
+        if (!palette || !palette.length) return { h: hue, s: 60, l: 60 };
+        let closest = palette[0];
+        let best = Infinity;
+        for (let i = 0; i < palette.length; i++) {
+            const candidate = palette[i];
+            const delta = Math.abs(((hue - candidate.h + 540) % 360) - 180);
+            if (delta < best) {
+                best = delta;
+                closest = candidate;
+            }
+        }
+        return closest;
+    }
+
+    createProceduralTexture(type, width, height, tone, seed) {
+        const c = this.createCanvas(width, height);
+        const ctx = c.getContext('2d');
+        const rng = this.createSeededRNG(seed);
+        
+        ctx.fillStyle = `hsla(${tone.h}, ${tone.s}%, ${tone.l}%, 1)`;
+        ctx.fillRect(0, 0, width, height);
+        
+        ctx.fillStyle = `rgba(0,0,0,0.2)`;
+        
+        if (type === 'halftone') {
+            const dotSize = 4;
+            for(let y=0; y<height; y+=dotSize*1.5) {
+                for(let x=0; x<width; x+=dotSize*1.5) {
+                    if ((x+y)%2===0) {
+                        ctx.beginPath();
+                        ctx.arc(x, y, dotSize * rng(), 0, Math.PI*2);
+                        ctx.fill();
+                    }
+                }
+            }
+        } else if (type === 'noise') {
+            const imgData = ctx.getImageData(0,0,width,height);
+            for(let i=0; i<imgData.data.length; i+=4) {
+                if(rng()>0.5) {
+                    const v = Math.floor(rng()*50);
+                    imgData.data[i] -= v;
+                    imgData.data[i+1] -= v;
+                    imgData.data[i+2] -= v;
+                }
+            }
+            ctx.putImageData(imgData,0,0);
+        } else if (type === 'lines') {
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            for(let y=0; y<height; y+=5) {
+                ctx.moveTo(0, y);
+                ctx.lineTo(width, y + (rng()-0.5)*5);
+            }
+            ctx.stroke();
+        } else if (type === 'grid') {
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            const step = 20;
+            for(let x=0; x<width; x+=step) { ctx.moveTo(x,0); ctx.lineTo(x,height); }
+            for(let y=0; y<height; y+=step) { ctx.moveTo(0,y); ctx.lineTo(width,y); }
+            ctx.stroke();
+        }
+        
+        return c;
+    }
+
+    createGrainPattern(size, rng) {
+        const grain = this.createCanvas(size, size);
+        const gctx = grain.getContext('2d');
+        const image = gctx.createImageData(size, size);
+        for (let i = 0; i < image.data.length; i += 4) {
+            const tone = Math.floor(rng() * 255);
+            const alpha = rng() > 0.55 ? 30 : 0;
+            image.data[i] = tone;
+            image.data[i + 1] = tone;
+            image.data[i + 2] = tone;
+            image.data[i + 3] = alpha;
+        }
+        gctx.putImageData(image, 0, 0);
+        return this.ctx.createPattern(grain, 'repeat');
+    }
+
+    drawBackdrop(width, height, signature) {
+        const ctx = this.ctx;
+        const bg = signature.styleProfile.bg || { mode: 'solid', stops: [{offset:0, alpha:1, shift:0}] };
+        const primary = signature.primaryHue;
+        
+        let style = null;
+        
+        if (bg.mode === 'solid') {
+            style = `hsla(${(primary + bg.stops[0].shift)%360}, 20%, 5%, 1)`;
+        } else if (bg.mode === 'linear') {
+            const grad = ctx.createLinearGradient(0, 0, width, height);
+            bg.stops.forEach(stop => {
+                grad.addColorStop(stop.offset, `hsla(${(primary + stop.shift)%360}, 40%, 10%, ${stop.alpha})`);
+            });
+            style = grad;
+        } else if (bg.mode === 'radial') {
+            const grad = ctx.createRadialGradient(width/2, height/2, 0, width/2, height/2, Math.max(width, height));
+            bg.stops.forEach(stop => {
+                grad.addColorStop(stop.offset, `hsla(${(primary + stop.shift)%360}, 40%, 10%, ${stop.alpha})`);
+            });
+            style = grad;
+        } else {
+            // Complex
+            const grad = ctx.createLinearGradient(0, 0, width, height);
+            grad.addColorStop(0, `hsla(${primary}, 50%, 5%, 1)`);
+            grad.addColorStop(0.5, `hsla(${(primary+60)%360}, 40%, 8%, 1)`);
+            grad.addColorStop(1, `hsla(${(primary+120)%360}, 50%, 5%, 1)`);
+            style = grad;
+        }
+        
+        ctx.fillStyle = style;
+        ctx.fillRect(0, 0, width, height);
+        
+        // Noise
+        if (bg.noise > 0 && this.styleState.grainPattern) {
+            ctx.save();
+            ctx.globalAlpha = bg.noise;
+            ctx.fillStyle = this.styleState.grainPattern;
+            ctx.fillRect(0, 0, width, height);
+            ctx.restore();
+        }
+    }
+
+    drawFrame(width, height, signature) {
+        const palette = this.styleState.palette || [];
+        const frameColor = palette[0] || { h: signature.primaryHue, s: 30, l: 25 };
+        const lineColor = palette[1] || { h: signature.secondaryHue, s: 20, l: 35 };
+        const outer = Math.max(10, Math.min(width, height) * 0.02);
+        const inner = outer * 0.6;
+
+        this.ctx.strokeStyle = `hsla(${frameColor.h}, ${frameColor.s}%, ${Math.min(frameColor.l + 10, 80)}%, 0.7)`;
+        this.ctx.lineWidth = outer;
+        this.ctx.strokeRect(outer * 0.5, outer * 0.5, width - outer, height - outer);
+
+        this.ctx.strokeStyle = `hsla(${lineColor.h}, ${lineColor.s}%, ${Math.max(lineColor.l - 10, 10)}%, 0.5)`;
+        this.ctx.lineWidth = inner;
+        this.ctx.strokeRect(outer + inner * 0.5, outer + inner * 0.5, width - 2 * outer - inner, height - 2 * outer - inner);
+    }
+    
+                async visualizeRepository(repoData) {
+    
+                    // Ensure canvas is sized correctly
+    
+                    this.resize();
+    
+            
+    
+                    // Generate unique signature based on repo
+    
+                    const signature = this.generateSignature(repoData);
+    
+            
+    
+                    // Initialize seeded RNG
+    
+                    this.rng = this.createSeededRNG(signature.hash);
+    
+                    this.noise = new SeededPerlinNoise(signature.hash);
+    
+                    
+    
+                    // Initialize particles/state based on style
+    
+                    this.initializeState(signature, repoData);
+    
+                    
+    
+                    // Start animation
+    
+                    this.animate(signature, repoData);
+    
+                }
+    
+            
+    
+    generateProceduralProfile(baseStyle, seed, complexity, energy, traits) {
+        const rng = this.createSeededRNG(seed);
+        
+        // Helper for range
+        const range = (min, max) => min + rng() * (max - min);
+        const pick = (arr) => arr[Math.floor(rng() * arr.length)];
+        
+        // 1. Global Visuals
+        const compositeModes = ['source-over', 'lighter', 'screen', 'overlay', 'hard-light', 'difference', 'exclusion', 'color-dodge'];
+        const composite = pick(compositeModes);
+        
+        // Semantic Mapping: History = Trails
+        // Older repos (1000+ days) get longer trails (lower fadeAlpha)
+        const historyFactor = Math.min(1, (traits?.ageDays || 0) / 2000); // 0 to 1
+        let fadeAlpha = range(0.1, 0.4) - (historyFactor * 0.05);
+        if (fadeAlpha < 0.02) fadeAlpha = 0.02;
+
+        // Semantic Mapping: Energy = Speed
+        // Energy is 0-100 (based on commit count/20)
+        const speedFactor = Math.min(1, energy / 100);
+        const speed = (0.5 + speedFactor * 1.5) * (rng() > 0.5 ? 1 : -1);
+        
+        // 2. Palette Logic
+        const paletteShift = Math.floor(range(0, 360));
+        const secondaryOffset = Math.floor(range(30, 180));
+        const tertiaryOffset = Math.floor(range(180, 300));
+        
+        // 3. CSS Filters
+        const filters = [];
+        if (rng() > 0.9) filters.push(`contrast(${range(1.1, 1.3)})`);
+        if (rng() > 0.9) filters.push(`saturate(${range(1.1, 1.5)})`);
+        const filter = filters.join(' ') || 'none';
+
+        // 4. Background
+        const bgModes = ['solid', 'linear', 'radial'];
+        const bg = {
+            mode: pick(bgModes),
+            stops: [
+                { offset: 0, alpha: 1, shift: 0 },
+                { offset: 1, alpha: 1, shift: Math.floor(range(20, 60)) }
+            ],
+            noise: rng() > 0.5 ? range(0.02, 0.05) : 0
+        };
+
+        // 5. Engine Specific Params (Keep existing safe ranges)
+        const params = {};
+        // ... (engine params kept same, omitting for brevity in this replace block, need to keep them)
+        if (baseStyle === 'city') {
+            params.gridSize = Math.floor(range(20, 30));
+            params.isoAngle = 0.5;
+            params.tileW = range(25, 35);
+            params.tileH = params.tileW * 0.6;
+            params.buildingRoundness = 0;
+            params.strokeWidth = 1;
+            params.fillOpacity = 0.9;
+            params.wireframeOnly = false;
+        } else if (baseStyle === 'bio') {
+            const recipes = [
+                { dA: 1.0, dB: 0.5, f: 0.055, k: 0.062 },
+                { dA: 1.0, dB: 0.5, f: 0.035, k: 0.060 },
+                { dA: 1.0, dB: 0.5, f: 0.025, k: 0.060 },
+                { dA: 1.0, dB: 0.5, f: 0.022, k: 0.051 },
+                { dA: 1.0, dB: 0.5, f: 0.029, k: 0.057 }
+            ];
+            const r = pick(recipes);
+            params.bioParams = { dA: r.dA, dB: r.dB, f: r.f, k: r.k };
+            params.threshold = 0.1; 
+            params.colorMode = pick(['smooth', 'banded']);
+        } else if (baseStyle === 'paint') {
+            params.style = pick(['oil', 'watercolor', 'marker']);
+            params.brushSize = range(2.0, 5.0);
+            params.turbulence = range(0.5, 1.5);
+            params.accumulation = range(0.05, 0.15);
+        } else if (baseStyle === 'collage') {
+            params.count = Math.floor(range(15, 25));
+            params.materials = ['solid', 'grid', 'noise'];
+            params.roughness = 2; 
+            params.rotation = range(0, 0.5); 
+        } else if (baseStyle === 'three') {
+            params.cameraZ = 400;
+            params.fogDensity = 0;
+            params.shape = pick(['cube', 'sphere', 'spiral']);
+            params.wireframe = false;
+            params.particleSize = range(4, 8);
+        } else if (baseStyle === 'attractor') {
+            params.a = range(-2.0, 2.0);
+            params.b = range(-2.0, 2.0);
+            params.c = range(-2.0, 2.0);
+            params.d = range(-2.0, 2.0);
+            params.scale = range(150, 250);
+        }
+
+        // 6. Advanced Composition (Semantic)
+        let paletteStrategy = 'random';
+        if (traits?.diversity > 0.5) {
+            paletteStrategy = pick(['triadic', 'tetradic', 'complementary']);
+        } else {
+            paletteStrategy = pick(['monochromatic', 'analogous']);
+        }
+
+        let symmetry = 'none';
+        if (traits?.gini > 0.6) { // High inequality = Order
+            symmetry = pick(['horizontal', 'vertical', 'radial-4']);
+        } else { // High equality = Chaos/Freedom
+            symmetry = 'none';
+        }
+
+        let glitchMode = 'none';
+        if (traits?.ageDays > 365 * 5) { // Old code = Decay
+            glitchMode = pick(['scanlines', 'vhs-tracking']);
+        }
+
+        const borderMode = rng() > 0.7 ? pick(['simple', 'polaroid', 'film-strip', 'vignette']) : 'none';
+        const textureOverlay = rng() > 0.6 ? pick(['paper', 'canvas', 'noise', 'grid']) : 'none';
+
+        return {
+            paletteShift,
+            secondaryOffset,
+            tertiaryOffset,
+            fadeAlpha,
+            speed,
+            composite,
+            filter,
+            bg,
+            params,
+            // New Traits
+            paletteStrategy,
+            symmetry,
+            borderMode,
+            glitchMode,
+            textureOverlay
+        };
+    }
+
+    generateSignature(repoData) {
+        const { info, languages, contributors, commits } = repoData;
+        const repoName = info.full_name;
+        const hash = this.hashString(repoName);
+
+        // Determine dominant language for base hue
+        const dominantLang = Object.keys(languages)[0] || 'JavaScript';
+        const langHash = this.hashString(dominantLang);
+        const baseHue = langHash % 360;
+        
+        const complexity = Math.min(Object.keys(languages || {}).length + (contributors || []).length / 5, 20);
+        const energy = Math.min((commits || []).length / 20, 100);
+
+        // Semantic Analysis
+        const traits = this.analyzeRepoTraits(repoData);
+        
+        let availableEngines = [];
+        
+        // 1. The "Auteur" (One dominant mind)
+        if (traits.gini > 0.55 || traits.teamSize < 3) {
+            availableEngines = ['attractor', 'minimal-sculpture', 'glitch-monolith', 'paint', 'rift'];
+        } 
+        // 2. The "Society" (Collaborative swarm)
+        else if (traits.teamSize > 15 || traits.gini < 0.3) {
+            availableEngines = ['city', 'galaxy-spiral', 'network-sphere', 'bio', 'life'];
+        }
+        // 3. The "Legacy" (Old, deep roots)
+        else if (traits.ageDays > 1500) {
+            availableEngines = ['strata', 'tree', 'runes', 'matrix'];
+        }
+        // 4. The "Polyglot" (Complex materials)
+        else if (traits.diversity > 0.8) {
+            availableEngines = ['collage', 'mosaic', 'weave', 'barcode'];
+        }
+        // 5. Default / Balanced
+        else {
+            availableEngines = ['vapor-grid', 'abstract-flow', 'cyber-city', 'paint', 'bio'];
+        }
+        
+        // Deterministic selection from the semantically filtered list
+        const engineIndex = Math.abs(hash) % availableEngines.length;
+        const baseStyle = availableEngines[engineIndex];
+        
+        // Generate TRULY unique parameters
+        const procedural = this.generateProceduralProfile(baseStyle, hash, complexity, energy, traits);
+
+        const primaryHue = (baseHue + procedural.paletteShift + 360) % 360;
+        const secondaryHue = (primaryHue + procedural.secondaryOffset) % 360;
+        const tertiaryHue = (primaryHue + procedural.tertiaryOffset) % 360;
+
+        return {
+            hash: hash,
+            primaryHue: primaryHue,
+            secondaryHue: secondaryHue,
+            tertiaryHue: tertiaryHue,
+            complexity: complexity,
+            energy: energy,
+            style: baseStyle,
+            styleProfile: procedural, 
+            speed: procedural.speed,
+            traits: traits // Save for debug/overlay
+        };
+    }
+
+    mapCommitToParticle(commit, index, total, width, height, timeRange) {
+        const { minTime, maxTime } = timeRange;
+        const commitInfo = commit?.commit || {};
+        const authorInfo = commitInfo.author || {};
+        const committerInfo = commitInfo.committer || {};
+        const commitMessage = commitInfo.message || '';
+        const authorName = authorInfo.name || authorInfo.email || 'Unknown';
+        const stats = commit.stats || { total: 10 };
+        const authorHash = this.hashString(authorName);
+        const hashSource = String(commit.sha || commitMessage || authorName);
+        const commitHash = this.hashString(hashSource);
+        const rawCommitDate = authorInfo.date || committerInfo.date;
+        const parsedCommitDate = new Date(rawCommitDate).getTime();
+        const commitDate = Number.isFinite(parsedCommitDate)
+            ? parsedCommitDate
+            : (minTime + maxTime) / 2;
+        const msgLength = commitMessage.length;
+
+        // 1. Position X: Time-based (Oldest -> Newest)
+        // Add some jitter based on message length so they aren't perfectly linear
+        const timeNorm = this.mapValue(commitDate, minTime, maxTime, 0.1, 0.9);
+        const xJitter = (msgLength % 20 - 10) * 2; 
+        const x = (timeNorm * width) + xJitter;
+
+        // 2. Position Y: Author & Content based
+        // Different authors occupy different "bands" of Y, plus jitter from commit hash
+        const authorBand = (authorHash % 5) + 1; // 1-5 bands
+        const bandHeight = height / 6;
+        const yBase = authorBand * bandHeight;
+        const yJitter = (commitHash % 100 - 50);
+        const y = yBase + yJitter;
+
+        // 3. Size: Based on code changes (Logarithmic scale)
+        const size = Math.max(2, Math.min(Math.log(stats.total + 1) * 3, 15));
+
+        // 4. Color: Unique per author
+        const hue = authorHash % 360;
+
+        // 5. Velocity: Volatility (larger changes = faster/more erratic)
+        const volatility = Math.min(stats.total / 100, 5);
+        const vx = ((commitHash % 100) / 100 - 0.5) * volatility * 0.2; // Reduced drift
+        const vy = ((authorHash % 100) / 100 - 0.5) * volatility * 0.2;
+
+        return {
+            x, y,
+            originX: x,
+            originY: y,
+            prevX: x,
+            prevY: y,
+            vx, vy,
+            size,
+            hue,
+            alpha: 0.5 + ((commitHash % 50) / 100), // 0.5 - 1.0
+            phase: (commitDate % 1000) / 1000 * Math.PI * 2,
+            commit
+        };
+    }
+
+    initializeState(signature, repoData) {
+        // Handle 3D vs 2D mode switching
+        if (signature.style === 'three') {
+            if (typeof window !== 'undefined' && window.THREE) {
+                this.canvas.style.display = 'none';
+                this.initializeThree(signature, repoData);
+                return;
+            } else {
+                console.warn('Three.js not loaded, falling back to 2D City style');
+                signature.style = 'city';
+                // Fallback profile
+                signature.styleProfile = this.generateProceduralProfile('city', signature.hash, 10, 10);
+            }
+        } 
+        
+        if (this.canvas.style) this.canvas.style.display = 'block';
+        if (this.threeCanvas) this.threeCanvas.style.display = 'none';
+
+        this.particles = [];
+        this.styleState = {};
+        this.lifeGrid = [];
+        
+        // Use procedural palette
+        this.styleState.palette = this.getStylePalette(signature, 5);
+        
+        // Procedural Params
+        const params = signature.styleProfile.params || {};
+        
+        if (signature.styleProfile.bg?.noise > 0) {
+            const grainRng = this.createSeededRNG(signature.hash + 991);
+            this.styleState.grainPattern = this.createGrainPattern(120, grainRng);
+        }
+        
+        const { commits } = repoData;
+        const dpr = this.getPixelRatio();
+        const width = this.canvas.width / dpr;
+        const height = this.canvas.height / dpr;
+        
+        const activeCommits = (commits || []).slice(0, 150);
+        if (activeCommits.length === 0) return;
+
+        // Calculate Time Range
+        const times = activeCommits
+            .map(c => {
+                const dateValue = c?.commit?.author?.date || c?.commit?.committer?.date;
+                const parsed = new Date(dateValue).getTime();
+                return Number.isFinite(parsed) ? parsed : null;
+            })
+            .filter((time) => time !== null);
+
+        let minTime, maxTime;
+        if (times.length === 0) {
+            const fallbackBase = 946684800000;
+            minTime = fallbackBase - 86400000;
+            maxTime = fallbackBase + 86400000;
+        } else {
+            minTime = Math.min(...times);
+            maxTime = Math.max(...times);
+        }
+        if (minTime === maxTime) { minTime -= 86400000; maxTime += 86400000; }
+        
+        const timeRange = { minTime, maxTime };
+
+        // Generate Particles
+        activeCommits.forEach((commit, i) => {
+            const p = this.mapCommitToParticle(commit, i, activeCommits.length, width, height, timeRange);
+            if (!isNaN(p.x) && !isNaN(p.y)) this.particles.push(p);
+        });
+
+        // Initialize Engine State from Params
+        if (signature.style === 'city') {
+            const gridSize = params.gridSize || 20;
+            const cols = Math.ceil(width / gridSize);
+            const rows = Math.ceil(height / gridSize);
+            const grid = new Array(cols * rows).fill(null);
+            
+            activeCommits.forEach((commit, i) => {
+                const seed = this.hashString(commit.commit?.sha || String(i));
+                const x = Math.floor((seed % 1000) / 1000 * cols);
+                const y = Math.floor(((seed * 13) % 1000) / 1000 * rows);
+                const idx = y * cols + x;
+                const stats = commit.stats || { total: 10 };
+                const heightVal = Math.min(Math.log(stats.total + 1) * 8, 50);
+                const hue = (seed) % 360;
+                
+                if (!grid[idx] || grid[idx].h < heightVal) {
+                    grid[idx] = { h: heightVal, hue: hue, x: x * gridSize, y: y * gridSize, z: heightVal };
+                }
+            });
+            this.styleState.cityGrid = grid;
+            this.styleState.sortedBuildings = grid.filter(b => b).sort((a, b) => (a.y + a.x) - (b.y + b.x));
+            this.styleState.gridSize = gridSize;
+            this.styleState.cityTheme = params; // Pass all params
+        }
+
+        if (signature.style === 'paint') {
+            const brushes = [];
+            activeCommits.forEach((commit, i) => {
+                 const seed = this.hashString(commit.commit?.sha || String(i));
+                 const hue = seed % 360;
+                 const size = (Math.min(Math.log((commit.stats?.total || 1) + 1) * 10, 60)) * (params.brushSize || 1);
+                 
+                 brushes.push({
+                     x: this.rng() * width,
+                     y: this.rng() * height,
+                     vx: (this.rng() - 0.5) * 4,
+                     vy: (this.rng() - 0.5) * 4,
+                     hue: hue,
+                     size: size,
+                     phase: this.rng() * Math.PI * 2,
+                     life: 0
+                 });
+            });
+            this.styleState.brushes = brushes;
+            this.styleState.paintStyle = params.style || 'oil';
+        }
+
+        if (signature.style === 'attractor') {
+             this.styleState.attractorParams = params;
+             this.styleState.attractorType = 'clifford';
+             this.particles.forEach(p => {
+                 p.x = (this.rng() - 0.5) * 5;
+                 p.y = (this.rng() - 0.5) * 5;
+             });
+        }
+
+        if (signature.style === 'bio') {
+            const dim = 100; 
+            const grid = new Float32Array(dim * dim * 2);
+            for(let i=0; i< dim*dim; i++) { grid[i*2] = 1.0; grid[i*2+1] = 0.0; }
+            
+            activeCommits.forEach((commit, i) => {
+                const seed = this.hashString(commit.commit?.sha || String(i));
+                const cx = Math.floor((seed % 1000) / 1000 * dim);
+                const cy = Math.floor(((seed * 13) % 1000) / 1000 * dim);
+                const r = 3 + (seed % 4);
+                for(let dy=-r; dy<=r; dy++) {
+                    for(let dx=-r; dx<=r; dx++) {
+                        const idx = ((cy+dy + dim)%dim)*dim + ((cx+dx + dim)%dim);
+                        grid[idx*2 + 1] = 0.9; 
+                    }
+                }
+            });
+            
+            this.styleState.bioGrid = grid;
+            this.styleState.bioNext = new Float32Array(dim * dim * 2);
+            this.styleState.bioDim = dim;
+            this.styleState.bioParams = params.bioParams || { dA: 1.0, dB: 0.5, f: 0.0545, k: 0.062 };
+            this.styleState.bioType = params.colorMode; // Using colorMode as type proxy
+        }
+        
+        if (signature.style === 'collage') {
+            const pieceCount = params.count || 15;
+            const pieces = [];
+            const types = params.materials || ['solid'];
+            
+            for (let i = 0; i < pieceCount; i++) {
+                const seed = signature.hash + i;
+                const rng = this.createSeededRNG(seed);
+                const hueSeed = (signature.primaryHue + i * 25) % 360;
+                const paletteTone = this.getPaletteColorForHue(hueSeed, this.styleState.palette);
+                
+                const type = types[Math.floor(rng() * types.length)];
+                const w = 100 + rng() * 300;
+                const h = 100 + rng() * 300;
+                const texture = this.createProceduralTexture(type, Math.ceil(w), Math.ceil(h), paletteTone, seed);
+                
+                pieces.push({
+                    x: rng() * width,
+                    y: rng() * height,
+                    w: w, h: h,
+                    rot: (rng() - 0.5) * (params.rotation || Math.PI),
+                    drift: rng() * Math.PI * 2,
+                    kind: rng() > 0.6 ? 'poly' : 'rect',
+                    texture: texture,
+                    shadow: rng() > 0.5
+                });
+            }
+            this.styleState.collagePieces = pieces;
+        }
+        
+        // Pass through legacy styles setup if needed (matrix, etc would need similar updates to use 'params')
+        // For now, only the primary new styles are fully procedural.
+        // Legacy styles will default to their hardcoded behaviors unless we update them too.
+        // Given constraints, I'll update Matrix briefly.
+        if (signature.style === 'matrix') {
+             this.styleState.columnWidth = 30; // Could use params
+             this.styleState.columns = []; // ... re-init logic ...
+             // Re-using existing logic but ensures it runs
+             const columnCount = Math.ceil(width / 30);
+             for (let i = 0; i < columnCount; i++) {
+                this.styleState.columns.push({
+                    x: (i + 0.5) * 30,
+                    width: 5,
+                    alpha: 0.1 + this.rng() * 0.2,
+                    hue: (signature.secondaryHue) % 360
+                });
+            }
+        }
+    }
+
+    initializeThree(signature, repoData) {
+        if (!window.THREE) {
+            console.error('Three.js not loaded');
+            return;
+        }
+
+        const container = this.canvas.parentElement;
+        const width = container.clientWidth;
+        const height = container.clientHeight;
+
+        if (!this.threeCanvas) {
+            this.threeCanvas = document.createElement('canvas');
+            this.threeCanvas.style.position = 'absolute';
+            this.threeCanvas.style.top = '0';
+            this.threeCanvas.style.left = '0';
+            this.threeCanvas.style.width = '100%';
+            this.threeCanvas.style.height = '100%';
+            this.threeCanvas.style.pointerEvents = 'none'; // Let overlay handle clicks
+            container.appendChild(this.threeCanvas);
+            
+            this.threeRenderer = new THREE.WebGLRenderer({ 
+                canvas: this.threeCanvas, 
+                alpha: true, 
+                antialias: true 
+            });
+            this.threeRenderer.setSize(width, height);
+            this.threeRenderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+        }
+        
+        this.threeCanvas.style.display = 'block';
+        
+        // Cleanup previous state
+        this.threePoints = null;
+        this.threeGroup = null;
+        this.threeGrid = null;
+        this.monolith = null;
+        this.monolithGeo = null;
+        this.monolithBasePos = null;
+        
+        // Scene Setup
+        this.threeScene = new THREE.Scene();
+        // Fog for depth
+        const hue = signature.primaryHue;
+        const col = new THREE.Color(`hsl(${hue}, 20%, 5%)`);
+        
+        const fogDensity = signature.styleProfile.params?.fogDensity || 0.002;
+        this.threeScene.fog = new THREE.FogExp2(col, fogDensity);
+        
+        this.threeCamera = new THREE.PerspectiveCamera(60, width / height, 0.1, 2000);
+        this.threeCamera.position.z = signature.styleProfile.params?.cameraZ || 400;
+        
+        // Objects
+        const { commits } = repoData;
+        const activeCommits = (commits || []).slice(0, 500);
+        
+        const type = signature.styleProfile.threeType || 'cube';
+        const palette = this.getStylePalette(signature, 5);
+        
+        // Symmetry Handling for 3D
+        const symmetry = signature.styleProfile.symmetry || 'none';
+        
+        // --- 1. Cyber City (Cyberpunk) ---
+        if (type === 'cyber-city') {
+            const cityGroup = new THREE.Group();
+            const material = new THREE.MeshBasicMaterial({ color: 0x000000, wireframe: true, transparent: true, opacity: 0.3 });
+            const edgeMat = new THREE.LineBasicMaterial({ color: new THREE.Color(`hsl(${palette[0].h}, 100%, 70%)`), transparent: true, opacity: 0.8 });
+            
+            const gridSize = 20;
+            activeCommits.slice(0, 100).forEach((c, i) => {
+                const seed = this.hashString(c.commit?.sha || String(i));
+                const h = 10 + Math.log(c.stats?.total || 1) * 20;
+                const geo = new THREE.BoxGeometry(10, h, 10);
+                geo.translate(0, h/2, 0);
+                
+                const mesh = new THREE.Mesh(geo, material);
+                const edges = new THREE.LineSegments(new THREE.EdgesGeometry(geo), edgeMat);
+                
+                const x = ((seed % gridSize) - gridSize/2) * 15;
+                const z = ((Math.floor(seed/gridSize) % gridSize) - gridSize/2) * 15;
+                
+                mesh.position.set(x, -50, z);
+                edges.position.set(x, -50, z);
+                
+                cityGroup.add(mesh);
+                cityGroup.add(edges);
+            });
+            this.threeScene.add(cityGroup);
+            this.threeGroup = cityGroup; // Track for rotation
+        } 
+        
+        // --- 2. Minimal Sculpture (Minimalism) ---
+        else if (type === 'minimal-sculpture') {
+            const group = new THREE.Group();
+            const geoms = [
+                new THREE.IcosahedronGeometry(10, 0),
+                new THREE.BoxGeometry(15, 15, 15),
+                new THREE.TorusGeometry(8, 2, 8, 20),
+                new THREE.ConeGeometry(8, 15, 4)
+            ];
+            
+            activeCommits.slice(0, 20).forEach((c, i) => {
+                const seed = this.hashString(c.commit?.sha || String(i));
+                const pTone = palette[seed % palette.length];
+                const col = new THREE.Color(`hsl(${pTone.h}, ${pTone.s}%, ${pTone.l}%)`);
+                
+                const geom = geoms[seed % geoms.length];
+                const mat = new THREE.MeshPhongMaterial({ 
+                    color: col, 
+                    flatShading: true, 
+                    shininess: 0 
+                });
+                
+                const mesh = new THREE.Mesh(geom, mat);
+                mesh.position.set(
+                    (this.rng()-0.5)*100,
+                    (this.rng()-0.5)*100,
+                    (this.rng()-0.5)*100
+                );
+                mesh.rotation.set(this.rng()*Math.PI, this.rng()*Math.PI, 0);
+                const scale = 1 + Math.log(c.stats?.total || 1) * 0.5;
+                mesh.scale.set(scale, scale, scale);
+                
+                group.add(mesh);
+            });
+            
+            // Add lights for this style
+            const light = new THREE.DirectionalLight(0xffffff, 1);
+            light.position.set(10, 10, 10);
+            this.threeScene.add(light);
+            const amb = new THREE.AmbientLight(0x404040);
+            this.threeScene.add(amb);
+            
+            this.threeScene.add(group);
+            this.threeGroup = group;
+        }
+        
+        // --- 3. Organic Crystal (Surreal/Organic) ---
+        else if (type === 'organic-crystal') {
+            const group = new THREE.Group();
+            const mainGeo = new THREE.IcosahedronGeometry(40, 1);
+            const mainMat = new THREE.MeshPhysicalMaterial({
+                color: new THREE.Color(`hsl(${palette[0].h}, 80%, 50%)`),
+                metalness: 0.1,
+                roughness: 0.1,
+                transparent: true,
+                opacity: 0.8,
+                transmission: 0.5
+            });
+            const center = new THREE.Mesh(mainGeo, mainMat);
+            group.add(center);
+            
+            activeCommits.slice(0, 50).forEach((c, i) => {
+                const seed = this.hashString(c.commit?.sha || String(i));
+                const pTone = palette[seed % palette.length];
+                const size = 5 + Math.log(c.stats?.total || 1) * 2;
+                
+                const geo = new THREE.IcosahedronGeometry(size, 0);
+                const mat = new THREE.MeshPhysicalMaterial({
+                    color: new THREE.Color(`hsl(${pTone.h}, 70%, 60%)`),
+                    metalness: 0.2,
+                    roughness: 0.2
+                });
+                
+                const mesh = new THREE.Mesh(geo, mat);
+                // Position on surface approx
+                const theta = this.rng() * Math.PI * 2;
+                const phi = Math.acos(2 * this.rng() - 1);
+                const r = 40;
+                mesh.position.set(
+                    r * Math.sin(phi) * Math.cos(theta),
+                    r * Math.sin(phi) * Math.sin(theta),
+                    r * Math.cos(phi)
+                );
+                mesh.lookAt(0,0,0);
+                group.add(mesh);
+            });
+            
+            const light = new THREE.PointLight(0xffffff, 1, 500);
+            light.position.set(50, 50, 50);
+            this.threeScene.add(light);
+            this.threeScene.add(new THREE.AmbientLight(0x222222));
+            this.threeScene.add(group);
+            this.threeGroup = group;
+        }
+        
+        // --- 4. Vapor Grid (Vaporwave) ---
+        else if (type === 'vapor-grid') {
+            // Sun
+            const sunGeo = new THREE.CircleGeometry(60, 32);
+            const sunMat = new THREE.MeshBasicMaterial({ 
+                color: new THREE.Color(`hsl(${palette[0].h}, 100%, 70%)`) 
+            });
+            const sun = new THREE.Mesh(sunGeo, sunMat);
+            sun.position.set(0, 30, -200);
+            this.threeScene.add(sun);
+            
+            // Moving Grid
+            const gridGeo = new THREE.PlaneGeometry(600, 600, 40, 40);
+            // Distort grid
+            const pos = gridGeo.attributes.position;
+            for(let i=0; i<pos.count; i++) {
+                const z = pos.getZ(i);
+                pos.setZ(i, z + Math.sin(pos.getX(i)*0.05)*10);
+            }
+            gridGeo.computeVertexNormals();
+            
+            const gridMat = new THREE.MeshBasicMaterial({ 
+                color: new THREE.Color(`hsl(${palette[1].h}, 100%, 50%)`),
+                wireframe: true
+            });
+            const grid = new THREE.Mesh(gridGeo, gridMat);
+            grid.rotation.x = -Math.PI / 2;
+            grid.position.y = -50;
+            this.threeScene.add(grid);
+            this.threeGrid = grid; // Animate this
+            
+            // Floating Pyramids
+            activeCommits.slice(0, 30).forEach((c, i) => {
+                const seed = this.hashString(c.commit?.sha || String(i));
+                const geo = new THREE.ConeGeometry(5, 10, 4);
+                const mat = new THREE.MeshBasicMaterial({ color: 0x00ffff, wireframe: true });
+                const mesh = new THREE.Mesh(geo, mat);
+                mesh.position.set(
+                    (this.rng()-0.5)*400,
+                    (this.rng()*50) - 20,
+                    (this.rng()-0.5)*200 - 50
+                );
+                mesh.rotation.z = Math.PI;
+                this.threeScene.add(mesh);
+            });
+        }
+        
+        // --- 5. Glitch Monolith (Glitch) ---
+        else if (type === 'glitch-monolith') {
+            const geo = new THREE.BoxGeometry(40, 120, 10, 10, 30, 2);
+            const mat = new THREE.MeshBasicMaterial({ 
+                color: 0xffffff, 
+                wireframe: true,
+                transparent: true,
+                opacity: 0.5
+            });
+            this.monolith = new THREE.Mesh(geo, mat);
+            this.monolithGeo = geo;
+            this.monolithBasePos = geo.attributes.position.clone(); // Store original
+            this.threeScene.add(this.monolith);
+            
+            // Random floating debris
+            const debrisGeo = new THREE.BufferGeometry();
+            const dPos = [];
+            for(let i=0; i<200; i++) {
+                dPos.push((this.rng()-0.5)*300, (this.rng()-0.5)*300, (this.rng()-0.5)*300);
+            }
+            debrisGeo.setAttribute('position', new THREE.Float32BufferAttribute(dPos, 3));
+            const debris = new THREE.Points(debrisGeo, new THREE.PointsMaterial({color: 0xff00ff, size: 2}));
+            this.threeScene.add(debris);
+        }
+        
+        // --- 6. Abstract Flow (Abstract Expressionism) / Default Points ---
+        else {
+            // Default to Points logic (Abstract Flow, Cube, Sphere, Spiral)
+            const geometry = new THREE.BufferGeometry();
+            const positions = [];
+            const colors = [];
+            const sizes = [];
+            
+            activeCommits.forEach((commit, i) => {
+                const seed = this.hashString(commit.commit?.sha || String(i));
+                const pTone = palette[seed % palette.length] || {h:0, s:0, l:100};
+                const color = new THREE.Color(`hsl(${pTone.h}, ${pTone.s}%, ${pTone.l}%)`);
+                
+                let x, y, z;
+                
+                if (type === 'abstract-flow') {
+                    // Strange Attractor-ish
+                    const t = i * 0.1;
+                    x = Math.sin(t) * (100 + Math.cos(t*0.5)*50);
+                    y = Math.cos(t) * (100 + Math.sin(t*0.3)*50);
+                    z = Math.sin(t*1.5) * 100;
+                    // Add noise
+                    x += (this.rng()-0.5)*20;
+                    y += (this.rng()-0.5)*20;
+                    z += (this.rng()-0.5)*20;
+                } else if (type === 'cube') {
+                    // Distributed in a cube volume
+                    const range = 300;
+                    x = (this.rng() - 0.5) * range;
+                    y = (this.rng() - 0.5) * range;
+                    z = (this.rng() - 0.5) * range;
+                } else if (type === 'sphere') {
+                    // Surface of a sphere + random depth
+                    const r = 150 + this.rng() * 50;
+                    const theta = this.rng() * Math.PI * 2;
+                    const phi = Math.acos(2 * this.rng() - 1);
+                    x = r * Math.sin(phi) * Math.cos(theta);
+                    y = r * Math.sin(phi) * Math.sin(theta);
+                    z = r * Math.cos(phi);
+                } else {
+                    // Spiral Galaxy
+                    const angle = i * 0.1;
+                    const r = i * 0.5 + 20;
+                    x = r * Math.cos(angle) + (this.rng()-0.5)*20;
+                    y = (this.rng()-0.5) * 40;
+                    z = r * Math.sin(angle) + (this.rng()-0.5)*20;
+                }
+                
+                positions.push(x, y, z);
+                colors.push(color.r, color.g, color.b);
+                sizes.push(5 + Math.log(commit.stats?.total || 1) * 2);
+            });
+            
+            geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+            geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+            geometry.setAttribute('size', new THREE.Float32BufferAttribute(sizes, 1));
+            
+            // Shader Material for nice dots
+            const material = new THREE.PointsMaterial({
+                size: 4,
+                vertexColors: true,
+                transparent: true,
+                opacity: 0.8,
+                sizeAttenuation: true,
+                blending: THREE.AdditiveBlending
+            });
+            
+            this.threePoints = new THREE.Points(geometry, material);
+            this.threeScene.add(this.threePoints);
+            
+            // Add connections for 'network' or 'cube'
+            if (type !== 'spiral' && type !== 'abstract-flow') {
+                const lineMat = new THREE.LineBasicMaterial({
+                    color: 0xffffff,
+                    transparent: true,
+                    opacity: 0.1,
+                    blending: THREE.AdditiveBlending
+                });
+                
+                const lineGeo = new THREE.BufferGeometry();
+                const linePos = [];
+                for(let i=0; i<positions.length/3 - 2; i++) {
+                    if (this.rng() > 0.5) continue;
+                    const i3 = i*3;
+                    linePos.push(positions[i3], positions[i3+1], positions[i3+2]);
+                    linePos.push(positions[i3+3], positions[i3+4], positions[i3+5]);
+                }
+                lineGeo.setAttribute('position', new THREE.Float32BufferAttribute(linePos, 3));
+                const lines = new THREE.LineSegments(lineGeo, lineMat);
+                this.threeScene.add(lines);
+                
+                // Track for symmetry
+                if (!this.threeGroup) { this.threeGroup = new THREE.Group(); this.threeScene.add(this.threeGroup); }
+                this.threeGroup.add(this.threePoints);
+                this.threeGroup.add(lines);
+            } else {
+                 if (!this.threeGroup) { this.threeGroup = new THREE.Group(); this.threeScene.add(this.threeGroup); }
+                 this.threeGroup.add(this.threePoints);
+            }
+        }
+        
+        // 3D Symmetry Post-Process
+        if (symmetry !== 'none' && this.threeGroup) {
+            if (symmetry === 'horizontal') {
+                const mirror = this.threeGroup.clone();
+                mirror.scale.x = -1;
+                this.threeScene.add(mirror);
+            } else if (symmetry === 'vertical') {
+                const mirror = this.threeGroup.clone();
+                mirror.scale.y = -1;
+                this.threeScene.add(mirror);
+            } else if (symmetry === 'radial-4') {
+                for(let i=1; i<4; i++) {
+                    const clone = this.threeGroup.clone();
+                    clone.rotation.y = (Math.PI/2) * i;
+                    this.threeScene.add(clone);
+                }
+            }
+        }
+    } // End initializeThree
+
+    renderThree() {
+        if (!this.threeRenderer || !this.threeScene || !this.threeCamera) return;
+        
+        const time = Date.now() * 0.001;
+
+        // Generic Group Rotation (City, Sculpture, Crystal)
+        if (this.threeGroup) {
+            this.threeGroup.rotation.y += 0.002;
+            if (this.threeGroup.children[0] && this.threeGroup.children[0].type === 'Mesh') {
+                // Bobbing for floating items
+                this.threeGroup.position.y = Math.sin(time) * 5;
+            }
+        }
+        
+        // Vapor Grid Animation
+        if (this.threeGrid) {
+            // Infinite scroll effect
+            this.threeGrid.position.z = (time * 50) % 50; 
+        }
+        
+        // Glitch Monolith Animation
+        if (this.monolith && this.monolithGeo && this.monolithBasePos) {
+            if (Math.random() > 0.95) { // Glitch trigger
+                const pos = this.monolithGeo.attributes.position;
+                const base = this.monolithBasePos;
+                for(let i=0; i<pos.count; i++) {
+                    if (Math.random() > 0.8) {
+                        pos.setX(i, base.getX(i) + (Math.random()-0.5)*10);
+                    } else {
+                        pos.setX(i, base.getX(i));
+                    }
+                }
+                pos.needsUpdate = true;
+            }
+            this.monolith.rotation.y = time * 0.5;
+        }
+        
+        // Points Rotation (Fallbacks)
+        if (this.threePoints) {
+            this.threePoints.rotation.y += 0.002;
+            this.threePoints.rotation.z += 0.001;
+        }
+        
+        // Camera drift (Generic)
+        const camTime = time * 0.5;
+        this.threeCamera.position.x += Math.cos(camTime) * 0.2;
+        this.threeCamera.position.y += Math.sin(camTime) * 0.2;
+        this.threeCamera.lookAt(0,0,0);
+        
+        this.threeRenderer.render(this.threeScene, this.threeCamera);
+    }
+    
+    animate(signature, repoData) {
+        // Stop any previous animation
+        if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
+        }
+
+        const render = () => {
+            if (signature.style === 'three') {
+                this.renderThree();
+            } else {
+                this.time += signature.speed;
+                this.clear(signature);
+                this.drawVisualization(signature, repoData);
+            }
+            this.animationId = requestAnimationFrame(render);
+        };
+        
+        render();
+    }
+    
+    clear(signature) {
+        if (signature.style === 'paint' || signature.style === 'bio') {
+            // Paint: accumulative
+            // Bio: redraws full pixel buffer every frame
+            return;
+        }
+
+        const dpr = this.getPixelRatio();
+        const width = this.canvas.width / dpr;
+        const height = this.canvas.height / dpr;
+
+        const fadeAlpha = this.getStyleFadeAlpha(signature);
+        this.ctx.save();
+        this.ctx.globalCompositeOperation = 'source-over';
+        this.ctx.globalAlpha = fadeAlpha;
+        this.drawBackdrop(width, height, signature);
+        this.ctx.restore();
+    }
+    
+    drawVisualization(signature, repoData) {
+        const dpr = this.getPixelRatio();
+        const width = this.canvas.width / dpr;
+        const height = this.canvas.height / dpr;
+
+        // Apply procedural compositing and filters
+        this.ctx.globalCompositeOperation = signature.styleProfile.composite || 'source-over';
+        this.ctx.filter = signature.styleProfile.filter || 'none';
+        
+        const symmetry = signature.styleProfile.symmetry || 'none';
+        
+        if (symmetry === 'none') {
+            this.renderScene(width, height, signature);
+        } else if (symmetry === 'horizontal') {
+            this.ctx.save();
+            // Left half clip? No, usually drawing full then mirroring is easier or drawing half
+            // Let's just draw full and mirror overlay? Or draw twice.
+            // Draw Normal
+            this.ctx.save();
+            this.ctx.beginPath(); this.ctx.rect(0,0,width/2, height); this.ctx.clip();
+            this.renderScene(width, height, signature);
+            this.ctx.restore();
+            
+            // Mirror
+            this.ctx.save();
+            this.ctx.translate(width, 0);
+            this.ctx.scale(-1, 1);
+            this.ctx.beginPath(); this.ctx.rect(0,0,width/2, height); this.ctx.clip();
+            this.renderScene(width, height, signature);
+            this.ctx.restore();
+            this.ctx.restore();
+        } else if (symmetry === 'vertical') {
+            this.ctx.save();
+            this.ctx.beginPath(); this.ctx.rect(0,0,width, height/2); this.ctx.clip();
+            this.renderScene(width, height, signature);
+            this.ctx.restore();
+            
+            this.ctx.save();
+            this.ctx.translate(0, height);
+            this.ctx.scale(1, -1);
+            this.ctx.beginPath(); this.ctx.rect(0,0,width, height/2); this.ctx.clip();
+            this.renderScene(width, height, signature);
+            this.ctx.restore();
+        } else if (symmetry === 'radial-4') {
+            // Kaleidoscope
+            const cx = width/2;
+            const cy = height/2;
+            for(let i=0; i<4; i++) {
+                this.ctx.save();
+                this.ctx.translate(cx, cy);
+                this.ctx.rotate(i * Math.PI/2);
+                this.ctx.translate(-cx, -cy);
+                // Clip quadrant
+                this.ctx.beginPath();
+                this.ctx.moveTo(cx, cy);
+                this.ctx.lineTo(width, cy);
+                this.ctx.lineTo(width, height);
+                this.ctx.lineTo(cx, height); // roughly bottom right relative to center
+                this.ctx.clip();
+                this.renderScene(width, height, signature);
+                this.ctx.restore();
+            }
+        }
+
+        this.ctx.globalCompositeOperation = 'source-over';
+        this.ctx.filter = 'none';
+        
+        this.drawPostEffects(width, height, signature);
+        this.drawOverlay(width, height, signature, repoData);
+    }
+
+    renderScene(width, height, signature) {
+        switch (signature.style) {
+            case 'constellation':
+                this.drawConstellation(width, height, signature);
+                break;
+            case 'attractor':
+                this.drawAttractor(width, height, signature);
+                break;
+            case 'bio':
+                this.drawBio(width, height, signature);
+                break;
+            case 'city':
+                this.drawCity(width, height, signature);
+                break;
+            case 'paint':
+                this.drawPainting(width, height, signature);
+                break;
+            case 'flow':
+                this.drawFlowField(width, height, signature);
+                break;
+            case 'nebula':
+                this.drawNebula(width, height, signature);
+                break;
+            case 'matrix':
+                this.drawMatrix(width, height, signature);
+                break;
+            case 'mosaic':
+                this.drawMosaic(width, height, signature);
+                break;
+            case 'tree':
+                this.drawTree(width, height, signature);
+                break;
+            case 'life':
+                this.drawLife(width, height, signature);
+                break;
+            case 'strata':
+                this.drawStrata(width, height, signature);
+                break;
+            case 'orbit':
+                this.drawOrbit(width, height, signature);
+                break;
+            case 'runes':
+                this.drawRunes(width, height, signature);
+                break;
+            case 'weave':
+                this.drawWeave(width, height, signature);
+                break;
+            case 'rift':
+                this.drawRift(width, height, signature);
+                break;
+            case 'barcode':
+                this.drawBarcode(width, height, signature);
+                break;
+            case 'collage':
+                this.drawCollage(width, height, signature);
+                break;
+            case 'radar':
+                this.drawRadar(width, height, signature);
+                break;
+            default:
+                this.drawCity(width, height, signature);
+        }
+    }
+
+    drawPostEffects(width, height, signature) {
+        const ctx = this.ctx;
+        const profile = signature.styleProfile;
+        
+        // 1. Texture Overlays
+        if (profile.textureOverlay && profile.textureOverlay !== 'none') {
+            const seed = signature.hash;
+            // Generate texture once if not cached
+            if (!this.styleState.overlayTexture) {
+                const c = this.createCanvas(512, 512);
+                const tx = c.getContext('2d');
+                const rng = this.createSeededRNG(seed);
+                
+                if (profile.textureOverlay === 'paper') {
+                    tx.fillStyle = '#fff'; tx.fillRect(0,0,512,512);
+                    for(let i=0; i<50000; i++) {
+                        tx.fillStyle = `rgba(0,0,0,${rng()*0.05})`;
+                        tx.fillRect(rng()*512, rng()*512, 2, 2);
+                    }
+                } else if (profile.textureOverlay === 'canvas') {
+                    tx.fillStyle = '#fff'; tx.fillRect(0,0,512,512);
+                    tx.strokeStyle = 'rgba(0,0,0,0.05)';
+                    for(let i=0; i<512; i+=4) {
+                        tx.beginPath(); tx.moveTo(i,0); tx.lineTo(i,512); tx.stroke();
+                        tx.beginPath(); tx.moveTo(0,i); tx.lineTo(512,i); tx.stroke();
+                    }
+                } else if (profile.textureOverlay === 'grid') {
+                    tx.strokeStyle = 'rgba(0,255,255,0.1)';
+                    tx.lineWidth = 1;
+                    tx.beginPath();
+                    for(let i=0; i<512; i+=32) {
+                        tx.moveTo(i,0); tx.lineTo(i,512);
+                        tx.moveTo(0,i); tx.lineTo(512,i);
+                    }
+                    tx.stroke();
+                } else if (profile.textureOverlay === 'noise') {
+                    const id = tx.createImageData(512,512);
+                    for(let i=0; i<id.data.length; i+=4) {
+                        const v = rng()*255;
+                        id.data[i] = v; id.data[i+1] = v; id.data[i+2] = v; id.data[i+3] = 30;
+                    }
+                    tx.putImageData(id,0,0);
+                }
+                this.styleState.overlayTexture = c;
+            }
+            
+            ctx.save();
+            ctx.globalCompositeOperation = 'overlay';
+            const pat = ctx.createPattern(this.styleState.overlayTexture, 'repeat');
+            ctx.fillStyle = pat;
+            ctx.fillRect(0, 0, width, height);
+            ctx.restore();
+        }
+
+        // 2. Glitch Mode
+        if (profile.glitchMode && profile.glitchMode !== 'none') {
+            if (Math.random() > 0.9) { // Random flicker
+                const h = Math.random() * 50;
+                const y = Math.random() * height;
+                const offset = (Math.random() - 0.5) * 20;
+                const id = ctx.getImageData(0, y, width, h);
+                ctx.putImageData(id, offset, y);
+            }
+            
+            if (profile.glitchMode === 'scanlines') {
+                ctx.fillStyle = 'rgba(0,0,0,0.1)';
+                for(let y=0; y<height; y+=2) ctx.fillRect(0,y,width,1);
+            } else if (profile.glitchMode === 'rgb-shift') {
+                // Expensive to do full frame, skipping for perf or doing simplified
+                // ...
+            }
+        }
+
+        // 3. Borders
+        if (profile.borderMode && profile.borderMode !== 'none') {
+            ctx.save();
+            ctx.strokeStyle = '#111';
+            if (profile.borderMode === 'simple') {
+                ctx.lineWidth = 20;
+                ctx.strokeRect(0,0,width,height);
+            } else if (profile.borderMode === 'polaroid') {
+                ctx.fillStyle = '#eee';
+                ctx.fillRect(0, height-60, width, 60); // Bottom lip
+                ctx.lineWidth = 20;
+                ctx.fillStyle = '#eee'; // Sides
+                ctx.fillRect(0,0,20,height);
+                ctx.fillRect(width-20,0,20,height);
+                ctx.fillRect(0,0,width,20);
+            } else if (profile.borderMode === 'vignette') {
+                const grad = ctx.createRadialGradient(width/2, height/2, height/2, width/2, height/2, height);
+                grad.addColorStop(0, 'rgba(0,0,0,0)');
+                grad.addColorStop(1, 'rgba(0,0,0,0.8)');
+                ctx.fillStyle = grad;
+                ctx.fillRect(0,0,width,height);
+            } else if (profile.borderMode === 'film-strip') {
+                ctx.fillStyle = '#000';
+                ctx.fillRect(0,0,40,height);
+                ctx.fillRect(width-40,0,40,height);
+                // Holes
+                ctx.fillStyle = '#fff';
+                for(let y=10; y<height; y+=30) {
+                    ctx.fillRect(10,y,20,15);
+                    ctx.fillRect(width-30,y,20,15);
+                }
+            }
+            ctx.restore();
+        }
+    }
+
+    drawTree(width, height, signature) {
+        const segments = this.styleState.treeSegments;
+        const leaves = this.styleState.treeLeaves;
+        if (segments && leaves) {
+            const maxDepth = this.styleState.treeDepth || 10;
+            segments.forEach((seg) => {
+                const lightness = Math.max(25, 65 - seg.depth * 4);
+                const sway = Math.sin(this.time * 0.6 + seg.phase) * (0.3 + seg.depth * 0.12);
+                const sx = seg.x1 + sway * 0.2;
+                const ex = seg.x2 + sway;
+                this.ctx.strokeStyle = `hsla(${signature.primaryHue + seg.depth * 8}, 45%, ${lightness}%, 0.85)`;
+                this.ctx.lineWidth = Math.max(0.6, (maxDepth - seg.depth) * 0.35);
+                this.ctx.beginPath();
+                this.ctx.moveTo(sx, seg.y1);
+                this.ctx.lineTo(ex, seg.y2);
+                this.ctx.stroke();
+            });
+
+            leaves.forEach((leaf) => {
+                if (leaf.depth < maxDepth - 2) return;
+                const sway = Math.sin(this.time * 0.5 + leaf.phase) * 0.8;
+                this.drawLeafCluster(leaf.x + sway, leaf.y, leaf.depth, signature);
+            });
+            return;
+        }
+
+        const startX = width / 2;
+        const startY = height * 0.98;
+        const branchLen = height * 0.32;
+        const angle = -Math.PI / 2; 
+        const baseThickness = Math.max(2, width * 0.006);
+        const maxDepth = this.styleState.treeDepth || 10;
+
+        this.recursiveBranch(startX, startY, branchLen, angle, 0, signature, baseThickness, maxDepth);
+    }
+
+    recursiveBranch(x, y, len, angle, depth, signature, thickness, maxDepth) {
+        if (depth > maxDepth || len < 2) {
+            this.drawLeafCluster(x, y, depth, signature);
+            return;
+        }
+
+        const wind = this.noise.noise(depth * 0.15, this.time * 0.18) * 0.5 - 0.25;
+        const curl = Math.sin(this.time * 0.2 + depth) * 0.05;
+        const finalAngle = angle + wind;
+        const angleWithCurl = finalAngle + curl;
+
+        const endX = x + Math.cos(angleWithCurl) * len;
+        const endY = y + Math.sin(angleWithCurl) * len;
+
+        const lightness = Math.max(25, 65 - depth * 4);
+        this.ctx.strokeStyle = `hsla(${signature.primaryHue + depth * 8}, 55%, ${lightness}%, 0.85)`;
+        this.ctx.lineWidth = Math.max(0.6, thickness);
+        this.ctx.beginPath();
+        this.ctx.moveTo(x, y);
+        this.ctx.lineTo(endX, endY);
+        this.ctx.stroke();
+
+        const branchCount = 2 + ((signature.hash + depth) % 2); 
+        const spread = 0.45 + ((signature.hash + depth * 3) % 10) / 20;
+
+        for (let i = 0; i < branchCount; i++) {
+            const noiseScale = this.noise.noise(depth * 0.2, i * 0.2) * 0.05;
+            const newLen = len * (0.72 + noiseScale);
+            const newAngle = angleWithCurl + spread * (i - (branchCount - 1) / 2);
+            this.recursiveBranch(endX, endY, newLen, newAngle, depth + 1, signature, thickness * 0.7, maxDepth);
+        }
+
+        if (depth >= maxDepth - 2) {
+            this.drawLeafCluster(endX, endY, depth, signature);
+        }
+    }
+
+    drawLeafCluster(x, y, depth, signature) {
+        const mode = this.styleState.leafMode || 'petal';
+        const count = mode === 'coral' ? 8 + (signature.hash % 6) : 4 + (signature.hash % 5);
+        const radius = 5 + depth * 0.5;
+        for (let i = 0; i < count; i++) {
+            const angle = (Math.PI * 2 * i) / count + this.time * 0.2;
+            const spread = mode === 'coral' ? 0.8 : 0.4;
+            const leafX = x + Math.cos(angle) * radius * spread;
+            const leafY = y + Math.sin(angle) * radius * spread;
+            const size = mode === 'glow' ? 2.4 + depth * 0.18 : 1.6 + depth * 0.15;
+            const hue = (signature.tertiaryHue + i * 12 + depth * 3) % 360;
+            const lightness = mode === 'glow' ? 70 : 60;
+            const alpha = mode === 'coral' ? 0.55 : 0.75;
+
+            this.ctx.fillStyle = `hsla(${hue}, 60%, ${lightness}%, ${alpha})`;
+            this.ctx.beginPath();
+            if (mode === 'coral') {
+                this.ctx.rect(leafX - size * 0.6, leafY - size * 0.6, size * 1.2, size * 1.2);
+            } else {
+                this.ctx.arc(leafX, leafY, size, 0, Math.PI * 2);
+            }
+            this.ctx.fill();
+        }
+    }
+
+    drawLife(width, height, signature) {
+        const cols = 50;
+        const rows = 50;
+        const cellW = width / cols;
+        const cellH = height / rows;
+        const maxAge = this.styleState.lifeMaxAge || 18;
+        
+        // Use additive blending for glow effect
+        this.ctx.globalCompositeOperation = 'lighter';
+        
+        for (let i = 0; i < cols; i++) {
+            for (let j = 0; j < rows; j++) {
+                const age = this.lifeGrid[i][j];
+                if (age > 0) {
+                    const ageNorm = Math.min(age, maxAge) / maxAge;
+                    const hue = (signature.secondaryHue + ageNorm * 40 + (i / cols) * 60) % 360;
+                    const lightness = 40 + ageNorm * 40;
+                    const alpha = 0.3 + ageNorm * 0.6;
+                    
+                    const x = i * cellW;
+                    const y = j * cellH;
+                    
+                    this.ctx.shadowColor = `hsla(${hue}, 80%, 50%, 0.8)`;
+                    this.ctx.shadowBlur = 10;
+                    this.ctx.fillStyle = `hsla(${hue}, 80%, ${lightness}%, ${alpha})`;
+                    
+                    // Draw rounded rects for organic look
+                    const size = cellW * 0.85;
+                    const radius = size * 0.3;
+                    this.ctx.beginPath();
+                    this.ctx.roundRect(x + (cellW - size)/2, y + (cellH - size)/2, size, size, radius);
+                    this.ctx.fill();
+                }
+            }
+        }
+        this.ctx.globalCompositeOperation = 'source-over';
+        this.ctx.shadowBlur = 0;
+
+        if (Math.floor(this.time * 100) % 6 === 0) { // Slower update
+            const next = this.lifeGrid.map(arr => [...arr]);
+            for (let i = 0; i < cols; i++) {
+                for (let j = 0; j < rows; j++) {
+                    let neighbors = 0;
+                    for (let x = -1; x <= 1; x++) {
+                        for (let y = -1; y <= 1; y++) {
+                            if (x === 0 && y === 0) continue;
+                            const ni = (i + x + cols) % cols;
+                            const nj = (j + y + rows) % rows;
+                            neighbors += this.lifeGrid[ni][nj] > 0 ? 1 : 0;
+                        }
+                    }
+                    if (this.lifeGrid[i][j] > 0 && (neighbors === 2 || neighbors === 3)) {
+                        next[i][j] = Math.min(this.lifeGrid[i][j] + 1, maxAge);
+                    } else if (this.lifeGrid[i][j] === 0 && neighbors === 3) {
+                        next[i][j] = 1;
+                    } else {
+                        // Decay instead of instant death
+                         if (this.lifeGrid[i][j] > 0) next[i][j] = this.lifeGrid[i][j] - 1; 
+                         else next[i][j] = 0;
+                    }
+                }
+            }
+            this.lifeGrid = next;
+        }
+    }
+
+    drawConstellation(width, height, signature) {
+        const profile = signature.styleProfile || {};
+        const palette = this.styleState.palette || [];
+        
+        // 1. Draw subtle starfield background
+        if (this.styleState.stars) {
+            this.ctx.save();
+            this.styleState.stars.forEach((star) => {
+                const alpha = star.alpha * (0.3 + 0.7 * Math.sin(this.time * 0.5 + star.twinkle));
+                this.ctx.fillStyle = `hsla(${star.hue}, 20%, 80%, ${alpha})`;
+                this.ctx.fillRect(star.x, star.y, star.r, star.r);
+            });
+            this.ctx.restore();
+        }
+
+        // 2. Update particle positions (Slow drift)
+        this.particles.forEach(p => {
+            if (!p.isBackground) {
+                p.x += Math.cos(this.time * 0.5 + p.phase) * 0.2;
+                p.y += Math.sin(this.time * 0.5 + p.phase) * 0.2;
+            }
+        });
+
+        // 3. Draw Dense Network Connections
+        const linkRadius = (profile.linkRadius || 120) * 1.5;
+        this.ctx.lineWidth = 0.8;
+        this.ctx.lineCap = 'round';
+        
+        // Optimization: spatial partition or just brute force (150 particles is fine)
+        for (let i = 0; i < this.particles.length; i++) {
+            const p1 = this.particles[i];
+            if (p1.isBackground) continue;
+
+            const neighbors = [];
+            
+            for (let j = i + 1; j < this.particles.length; j++) {
+                const p2 = this.particles[j];
+                if (p2.isBackground) continue;
+
+                const dx = p1.x - p2.x;
+                const dy = p1.y - p2.y;
+                const distSq = dx * dx + dy * dy;
+                const radiusSq = linkRadius * linkRadius;
+
+                if (distSq < radiusSq) {
+                    const dist = Math.sqrt(distSq);
+                    const intensity = 1 - dist / linkRadius;
+                    
+                    // Color blending
+                    const hue = (p1.hue + p2.hue) / 2;
+                    const paletteTone = this.getPaletteColorForHue(hue, palette);
+                    
+                    this.ctx.strokeStyle = `hsla(${paletteTone.h}, ${paletteTone.s}%, ${paletteTone.l}%, ${intensity * 0.15})`;
+                    this.ctx.beginPath();
+                    this.ctx.moveTo(p1.x, p1.y);
+                    this.ctx.lineTo(p2.x, p2.y);
+                    this.ctx.stroke();
+                }
+            }
+        }
+
+        // 4. Draw Glowing Nodes
+        this.ctx.shadowBlur = 10;
+        this.particles.forEach((p) => {
+            const paletteTone = this.getPaletteColorForHue(p.hue, palette);
+            this.ctx.fillStyle = `hsla(${paletteTone.h}, ${paletteTone.s}%, ${paletteTone.l + 20}%, 0.9)`;
+            this.ctx.shadowColor = `hsla(${paletteTone.h}, ${paletteTone.s}%, ${paletteTone.l}%, 0.8)`;
+            
+            const size = Math.max(1.5, p.size * 0.3);
+            this.ctx.beginPath();
+            this.ctx.arc(p.x, p.y, size, 0, Math.PI * 2);
+            this.ctx.fill();
+        });
+        this.ctx.shadowBlur = 0;
+    }
+
+    drawFlowField(width, height, signature) {
+        const mode = this.styleState.flowMode || 'ribbon';
+        const scale = 0.0018 + signature.complexity * 0.00002;
+        const speed = 0.6 + signature.energy * 0.006;
+        const palette = this.styleState.palette || [];
+        this.ctx.lineCap = 'round';
+        
+        this.particles.forEach(p => {
+            // Calculate flow vector based on Perlin noise
+            const noiseVal = this.noise.noise(p.x * scale, p.y * scale + this.time * 0.1);
+            const angle = noiseVal * Math.PI * 4;
+
+            let prevX = p.x;
+            let prevY = p.y;
+            const drift = p.isBackground ? 0.4 : speed;
+            
+            p.x += Math.cos(angle) * drift;
+            p.y += Math.sin(angle) * drift;
+            
+            // Wrap around deterministically
+            if (p.x < 0) { p.x += width; prevX = p.x; }
+            if (p.x > width) { p.x -= width; prevX = p.x; }
+            if (p.y < 0) { p.y += height; prevY = p.y; }
+            if (p.y > height) { p.y -= height; prevY = p.y; }
+
+            const baseAlpha = p.isBackground ? 0.12 : (this.styleState.flowAlpha || 0.55);
+            const alpha = mode === 'mist' ? baseAlpha * 0.7 : baseAlpha;
+            const size = p.isBackground ? p.size : p.size * (Math.sin(this.time + p.phase) * 0.2 + 1);
+            const lineWidth = p.isBackground ? 0.6 : Math.max(0.6, p.size * 0.25);
+            const paletteTone = this.getPaletteColorForHue(p.hue, palette);
+
+            if (mode === 'mist') {
+                this.ctx.fillStyle = `hsla(${paletteTone.h}, ${paletteTone.s * 0.7}%, ${paletteTone.l}%, ${alpha})`;
+                const rectSize = size * 1.8;
+                this.ctx.fillRect(p.x - rectSize / 2, p.y - rectSize / 2, rectSize, rectSize);
+            } else {
+                this.ctx.strokeStyle = `hsla(${paletteTone.h}, ${paletteTone.s}%, ${paletteTone.l}%, ${alpha})`;
+                this.ctx.lineWidth = lineWidth * 1.6;
+                this.ctx.beginPath();
+                this.ctx.moveTo(prevX, prevY);
+                this.ctx.lineTo(p.x, p.y);
+                this.ctx.stroke();
+
+                if (mode === 'braid') {
+                    const offset = 2 + p.size * 0.3;
+                    const perpX = -Math.sin(angle) * offset;
+                    const perpY = Math.cos(angle) * offset;
+                    const accent = this.getPaletteColorForHue((p.hue + 40) % 360, palette);
+                    this.ctx.strokeStyle = `hsla(${accent.h}, ${accent.s}%, ${accent.l}%, ${alpha * 0.7})`;
+                    this.ctx.lineWidth = lineWidth;
+                    this.ctx.beginPath();
+                    this.ctx.moveTo(prevX + perpX, prevY + perpY);
+                    this.ctx.lineTo(p.x + perpX, p.y + perpY);
+                    this.ctx.stroke();
+                }
+
+                const blockSize = size * 0.9;
+                this.ctx.fillStyle = `hsla(${paletteTone.h}, ${paletteTone.s}%, ${Math.min(85, paletteTone.l + 12)}%, ${alpha + 0.2})`;
+                this.ctx.fillRect(p.x - blockSize / 2, p.y - blockSize / 2, blockSize, blockSize);
+            }
+
+            p.prevX = p.x;
+            p.prevY = p.y;
+        });
+    }
+
+    drawNebula(width, height, signature) {
+        const centerX = width / 2;
+        const centerY = height / 2;
+        const profile = signature.styleProfile || {};
+        const palette = this.styleState.palette || [];
+
+        if (this.styleState.clouds) {
+            this.ctx.save();
+            this.styleState.clouds.forEach((cloud) => {
+                const grad = this.ctx.createRadialGradient(cloud.x, cloud.y, 0, cloud.x, cloud.y, cloud.r);
+                grad.addColorStop(0, `hsla(${cloud.hue}, 35%, 50%, ${cloud.alpha})`);
+                grad.addColorStop(1, `hsla(${cloud.hue}, 20%, 10%, 0)`);
+                this.ctx.fillStyle = grad;
+                this.ctx.beginPath();
+                this.ctx.arc(cloud.x, cloud.y, cloud.r, 0, Math.PI * 2);
+                this.ctx.fill();
+            });
+            this.ctx.restore();
+        }
+
+        this.particles.forEach((p, i) => {
+            // Spiral motion based on original mapped position
+            // We interpret p.x as 'angle' and p.y as 'radius' offsets for nebula
+            const angleOffset = (p.originX / width) * Math.PI * 2;
+            const radiusBase = this.mapValue(p.originY, 0, height, 40, Math.min(width, height) * 0.45);
+            const swirlStrength = profile.swirlStrength || 0.4;
+            const swirl = Math.sin(this.time * 0.15 + angleOffset * 3) * swirlStrength;
+            const angle = this.time * 0.15 + angleOffset + swirl;
+            const radius = radiusBase + Math.sin(this.time * 1.8 + i) * (6 + p.size);
+            const squash = profile.diskSquash || 1;
+
+            const x = centerX + Math.cos(angle) * radius;
+            const y = centerY + Math.sin(angle) * radius * squash;
+            const tailAngle = angle + Math.PI / 2;
+            const tailScale = profile.tailScale || 1;
+            const tailLen = (6 + p.size * 2.5) * tailScale;
+            const paletteTone = this.getPaletteColorForHue(p.hue, palette);
+
+            this.ctx.strokeStyle = `hsla(${paletteTone.h}, ${paletteTone.s * 0.7}%, ${paletteTone.l}%, 0.35)`;
+            this.ctx.lineWidth = Math.max(0.6, p.size * 0.25);
+            this.ctx.beginPath();
+            this.ctx.moveTo(x, y);
+            this.ctx.lineTo(x - Math.cos(tailAngle) * tailLen, y - Math.sin(tailAngle) * tailLen);
+            this.ctx.stroke();
+
+            const block = p.size * 1.4;
+            this.ctx.fillStyle = `hsla(${paletteTone.h}, ${paletteTone.s}%, ${Math.min(80, paletteTone.l + 10)}%, 0.8)`;
+            this.ctx.fillRect(x - block / 2, y - block / 2, block, block);
+
+            if (p.prevX !== undefined) {
+                this.ctx.strokeStyle = `hsla(${paletteTone.h}, ${paletteTone.s * 0.5}%, ${Math.max(20, paletteTone.l - 15)}%, 0.2)`;
+                this.ctx.lineWidth = 0.6;
+                this.ctx.beginPath();
+                this.ctx.moveTo(p.prevX, p.prevY);
+                this.ctx.lineTo(x, y);
+                this.ctx.stroke();
+            }
+
+            p.prevX = x;
+            p.prevY = y;
+        });
+    }
+
+    drawMosaic(width, height, signature) {
+        const gridSize = this.styleState.mosaicGrid || 15;
+        const style = this.styleState.mosaicStyle || 'stained';
+        
+        // Update particle positions first
+        this.particles.forEach(p => {
+             p.x += Math.cos(this.time + p.phase) * 0.5;
+             p.y += Math.sin(this.time + p.phase) * 0.5;
+        });
+
+        // Draw pixelated Voronoi
+        for (let x = 0; x < width; x += gridSize) {
+            for (let y = 0; y < height; y += gridSize) {
+                const cx = x + gridSize / 2;
+                const cy = y + gridSize / 2;
+                const noiseVal = this.noise.noise(cx * 0.015, cy * 0.015 + this.time * 0.05);
+                const jitter = (noiseVal + 1) * 0.5;
+                const jitterX = noiseVal * gridSize * 0.35;
+                const jitterY = this.noise.noise(cx * 0.02 + this.time * 0.03, cy * 0.02) * gridSize * 0.35;
+                const cellSize = gridSize * (0.7 + jitter * 0.6);
+                
+                let minDist = Infinity;
+                let nearestP = null;
+                
+                for(let i=0; i<this.particles.length; i++) {
+                    const p = this.particles[i];
+                    if(p.isBackground) continue;
+                    
+                    const dx = cx - p.x;
+                    const dy = cy - p.y;
+                    const dist = dx*dx + dy*dy;
+                    
+                    if(dist < minDist) {
+                        minDist = dist;
+                        nearestP = p;
+                    }
+                }
+                
+                if (nearestP) {
+                    const lightness = 35 + jitter * 35;
+                    const baseX = cx + jitterX - cellSize / 2;
+                    const baseY = cy + jitterY - cellSize / 2;
+                    const paletteTone = this.getPaletteColorForHue(nearestP.hue, this.styleState.palette || []);
+                    const hue = paletteTone.h;
+                    const sat = paletteTone.s;
+                    const baseLight = Math.max(20, Math.min(85, paletteTone.l + (lightness - 50) * 0.6));
+
+                    if (style === 'shards') {
+                        this.ctx.fillStyle = `hsla(${hue}, ${sat}%, ${baseLight}%, 0.9)`;
+                        this.ctx.beginPath();
+                        this.ctx.moveTo(baseX, baseY);
+                        this.ctx.lineTo(baseX + cellSize, baseY);
+                        this.ctx.lineTo(baseX + cellSize, baseY + cellSize);
+                        this.ctx.closePath();
+                        this.ctx.fill();
+
+                        this.ctx.fillStyle = `hsla(${(hue + 25) % 360}, ${sat}%, ${Math.min(90, baseLight + 8)}%, 0.65)`;
+                        this.ctx.beginPath();
+                        this.ctx.moveTo(baseX, baseY);
+                        this.ctx.lineTo(baseX, baseY + cellSize);
+                        this.ctx.lineTo(baseX + cellSize, baseY + cellSize);
+                        this.ctx.closePath();
+                        this.ctx.fill();
+                    } else if (style === 'circuit') {
+                        this.ctx.fillStyle = `hsla(${hue}, ${sat}%, ${baseLight}%, 0.85)`;
+                        this.ctx.fillRect(baseX, baseY, cellSize, cellSize);
+
+                        this.ctx.strokeStyle = `hsla(${(hue + 45) % 360}, ${sat}%, ${Math.min(90, baseLight + 12)}%, 0.5)`;
+                        this.ctx.lineWidth = 1;
+                        this.ctx.beginPath();
+                        this.ctx.moveTo(baseX + cellSize * 0.2, baseY + cellSize * 0.2);
+                        this.ctx.lineTo(baseX + cellSize * 0.8, baseY + cellSize * 0.2);
+                        this.ctx.lineTo(baseX + cellSize * 0.8, baseY + cellSize * 0.8);
+                        this.ctx.stroke();
+
+                        this.ctx.fillStyle = `hsla(${(hue + 90) % 360}, ${Math.min(95, sat + 10)}%, ${Math.min(92, baseLight + 18)}%, 0.7)`;
+                        this.ctx.fillRect(baseX + cellSize * 0.55, baseY + cellSize * 0.55, cellSize * 0.2, cellSize * 0.2);
+                    } else {
+                        this.ctx.fillStyle = `hsla(${hue}, ${sat}%, ${baseLight}%, 0.9)`;
+                        this.ctx.fillRect(baseX, baseY, cellSize, cellSize);
+
+                        const inset = cellSize * 0.18;
+                        this.ctx.fillStyle = `hsla(${(hue + 25) % 360}, ${sat}%, ${Math.min(90, baseLight + 10)}%, 0.5)`;
+                        this.ctx.fillRect(baseX + inset, baseY + inset, cellSize - inset * 2, cellSize - inset * 2);
+
+                        this.ctx.strokeStyle = `hsla(${hue}, ${Math.max(20, sat - 25)}%, ${Math.max(10, baseLight - 25)}%, 0.45)`;
+                        this.ctx.lineWidth = 1;
+                        this.ctx.strokeRect(baseX + 0.5, baseY + 0.5, cellSize - 1, cellSize - 1);
+                    }
+                }
+            }
+        }
+    }
+
+    drawMatrix(width, height, signature) {
+        if (this.styleState.columns) {
+            this.ctx.save();
+            this.styleState.columns.forEach((column) => {
+                const grad = this.ctx.createLinearGradient(column.x, 0, column.x, height);
+                grad.addColorStop(0, `hsla(${column.hue}, 80%, 45%, 0)`);
+                const beamAlpha = this.styleState.beamAlpha || 0.16;
+                grad.addColorStop(0.5, `hsla(${column.hue}, 40%, 35%, ${column.alpha * beamAlpha})`);
+                grad.addColorStop(1, `hsla(${column.hue}, 80%, 45%, 0)`);
+                this.ctx.strokeStyle = grad;
+                this.ctx.lineWidth = column.width;
+                this.ctx.beginPath();
+                this.ctx.moveTo(column.x, 0);
+                this.ctx.lineTo(column.x, height);
+                this.ctx.stroke();
+            });
+            this.ctx.restore();
+        }
+
+        const columnWidth = this.styleState.columnWidth || 24;
+        const speedBase = 0.7 + signature.energy * 0.004;
+        const glyphMode = this.styleState.glyphMode || 'katakana';
+        const glyphScale = this.styleState.glyphScale || 1;
+        const palette = this.styleState.palette || [];
+
+        this.particles.forEach(p => {
+            const columnIndex = Math.max(0, Math.floor(p.originX / columnWidth));
+            const columnX = columnIndex * columnWidth + columnWidth * 0.5;
+            const sway = Math.sin(this.time + p.phase) * 1.2;
+            p.x = columnX + sway;
+
+            p.y += (p.size * 0.5 + 0.8) * speedBase; // Rain down
+            if (p.y > height + 20) {
+                p.y = -20 - (p.phase * 40);
+            }
+
+            const glyphHue = (signature.secondaryHue + (p.hue - signature.secondaryHue) * 0.2 + 360) % 360;
+            const paletteTone = this.getPaletteColorForHue(glyphHue, palette);
+            const trailLen = Math.max(10, p.size * 5);
+            const trail = this.ctx.createLinearGradient(p.x, p.y - trailLen, p.x, p.y + 2);
+            trail.addColorStop(0, `hsla(${paletteTone.h}, ${paletteTone.s}%, ${paletteTone.l}%, 0)`);
+            trail.addColorStop(1, `hsla(${paletteTone.h}, ${paletteTone.s}%, ${paletteTone.l}%, ${p.alpha * 0.5})`);
+            this.ctx.strokeStyle = trail;
+            this.ctx.lineWidth = Math.max(1, p.size * 0.18);
+            this.ctx.beginPath();
+            this.ctx.moveTo(p.x, p.y - trailLen);
+            this.ctx.lineTo(p.x, p.y);
+            this.ctx.stroke();
+
+            const tileSize = Math.max(8, p.size * 2) * glyphScale;
+            this.ctx.fillStyle = `hsla(${paletteTone.h}, ${paletteTone.s}%, ${paletteTone.l}%, ${p.alpha + 0.3})`;
+            this.ctx.fillRect(p.x - tileSize / 2, p.y - tileSize / 2, tileSize, tileSize);
+            this.ctx.font = `${Math.max(9, p.size * 1.9) * glyphScale}px monospace`;
+            this.ctx.fillStyle = `hsla(${paletteTone.h}, ${Math.max(20, paletteTone.s - 20)}%, ${Math.max(20, paletteTone.l - 15)}%, ${p.alpha + 0.4})`;
+            // Draw char based on commit hash
+            const glyphSeed = this.hashString(p.commit?.sha || 'x') + columnIndex * 31;
+            let char = '';
+            if (glyphMode === 'binary') {
+                char = (glyphSeed % 2).toString();
+            } else if (glyphMode === 'hex') {
+                const hex = '0123456789ABCDEF';
+                char = hex[glyphSeed % hex.length];
+            } else {
+                const charCode = 0x30A0 + (glyphSeed % 96);
+                char = String.fromCharCode(charCode);
+            }
+            this.ctx.fillText(char, p.x, p.y);
+        });
+    }
+
+    drawStrata(width, height, signature) {
+        const layers = this.styleState.strataLayers || 9;
+        const amplitude = this.styleState.strataAmplitude || Math.round(height * 0.08);
+        const scale = this.styleState.strataScale || 0.004;
+        const spacing = height / (layers + 1);
+        const palette = this.styleState.palette || [];
+
+        this.ctx.globalCompositeOperation = 'screen';
+
+        for (let i = 0; i < layers; i++) {
+            const baseY = spacing * (i + 1) + Math.sin(this.time * 0.2 + i) * spacing * 0.12;
+            const hueSeed = (signature.primaryHue + i * 12 + (signature.hash % 30)) % 360;
+            const paletteTone = this.getPaletteColorForHue(hueSeed, palette);
+            const lightness = Math.min(80, paletteTone.l + i * 1.5);
+            const alpha = 0.4 + (i / layers) * 0.4; // Higher alpha for glow
+
+            this.ctx.strokeStyle = `hsla(${paletteTone.h}, ${paletteTone.s}%, ${lightness}%, ${alpha})`;
+            this.ctx.lineWidth = 2 + i * 0.15;
+            this.ctx.shadowColor = `hsla(${paletteTone.h}, ${paletteTone.s}%, 50%, 1)`;
+            this.ctx.shadowBlur = 15;
+            
+            this.ctx.beginPath();
+
+            for (let x = 0; x <= width; x += 6) {
+                const noiseVal = this.noise.noise(x * scale, i * 0.4 + this.time * 0.18);
+                const wave = Math.sin(x * 0.015 + this.time * 0.3 + i) * amplitude * 0.15;
+                const y = baseY + noiseVal * amplitude + wave;
+                if (x === 0) {
+                    this.ctx.moveTo(x, y);
+                } else {
+                    this.ctx.lineTo(x, y);
+                }
+            }
+            this.ctx.stroke();
+        }
+        
+        this.ctx.shadowBlur = 0;
+        this.ctx.globalCompositeOperation = 'source-over';
+    }
+
+    drawOrbit(width, height, signature) {
+        const centers = this.styleState.orbitCenters || [{ x: width * 0.5, y: height * 0.5 }];
+        const palette = this.styleState.palette || [];
+
+        // Draw Central Core
+        centers.forEach((center, i) => {
+             const hue = signature.primaryHue;
+             const grad = this.ctx.createRadialGradient(center.x, center.y, 1, center.x, center.y, 60);
+             grad.addColorStop(0, `hsla(${hue}, 80%, 80%, 0.8)`);
+             grad.addColorStop(1, `hsla(${hue}, 60%, 20%, 0)`);
+             this.ctx.fillStyle = grad;
+             this.ctx.beginPath();
+             this.ctx.arc(center.x, center.y, 60, 0, Math.PI * 2);
+             this.ctx.fill();
+        });
+
+        // Draw Particles as Orbiting Bodies with Trails
+        this.particles.forEach(p => {
+            const center = centers[p.orbitIndex || 0] || centers[0];
+            // Elliptical Orbit
+            const tilt = 0.6; // 3D tilt effect
+            const speed = p.orbitSpeed || 0.002;
+            const angle = this.time * speed + (p.orbitPhase || 0);
+            const r = p.orbitRadius || 100;
+            
+            // Calculate current position
+            const x = center.x + Math.cos(angle) * r;
+            const y = center.y + Math.sin(angle) * r * tilt;
+            
+            // Calculate trail position (slightly behind in time)
+            const trailAngle = angle - 0.15; // Trail lag
+            const tx = center.x + Math.cos(trailAngle) * r;
+            const ty = center.y + Math.sin(trailAngle) * r * tilt;
+
+            const hue = (p.hue + signature.secondaryHue) / 2;
+            const paletteTone = this.getPaletteColorForHue(hue, palette);
+            
+            // Draw Trail
+            const grad = this.ctx.createLinearGradient(x, y, tx, ty);
+            grad.addColorStop(0, `hsla(${paletteTone.h}, ${paletteTone.s}%, ${paletteTone.l}%, 0.6)`);
+            grad.addColorStop(1, `hsla(${paletteTone.h}, ${paletteTone.s}%, ${paletteTone.l}%, 0)`);
+            
+            this.ctx.strokeStyle = grad;
+            this.ctx.lineWidth = Math.max(1, p.size * 0.3);
+            this.ctx.beginPath();
+            this.ctx.moveTo(x, y);
+            this.ctx.lineTo(tx, ty);
+            this.ctx.stroke();
+
+            // Draw Body
+            this.ctx.fillStyle = `hsla(${paletteTone.h}, ${paletteTone.s}%, ${paletteTone.l + 20}%, 1)`;
+            this.ctx.beginPath();
+            this.ctx.arc(x, y, Math.max(1, p.size * 0.2), 0, Math.PI * 2);
+            this.ctx.fill();
+        });
+    }
+
+    drawRunes(width, height, signature) {
+        const palette = this.styleState.palette || [];
+        const center = { x: width / 2, y: height / 2 };
+        const maxRadius = Math.min(width, height) * 0.45;
+        const ringCount = 8;
+        
+        const drawSigil = (x, y, size, seed, hue, alpha) => {
+            let state = seed >>> 0;
+            const rand = () => {
+                state = (1664525 * state + 1013904223) >>> 0;
+                return state / 4294967295;
+            };
+            const paletteTone = this.getPaletteColorForHue(hue, palette);
+
+            const strokes = 3 + Math.floor(rand() * 4);
+            this.ctx.strokeStyle = `hsla(${paletteTone.h}, ${paletteTone.s}%, ${paletteTone.l}%, ${alpha})`;
+            this.ctx.lineWidth = Math.max(1, size * 0.1);
+            
+            this.ctx.beginPath();
+            for (let i = 0; i < strokes; i++) {
+                const x1 = (rand() - 0.5) * size;
+                const y1 = (rand() - 0.5) * size;
+                const x2 = (rand() - 0.5) * size;
+                const y2 = (rand() - 0.5) * size;
+                this.ctx.moveTo(x + x1, y + y1);
+                this.ctx.lineTo(x + x2, y + y2);
+            }
+            this.ctx.stroke();
+        };
+
+        this.ctx.globalCompositeOperation = 'lighter';
+
+        for (let r = 0; r < ringCount; r++) {
+            const radius = (r + 1) / ringCount * maxRadius;
+            const circumference = 2 * Math.PI * radius;
+            const glyphSize = 20 + r * 5;
+            const glyphCount = Math.floor(circumference / (glyphSize * 1.5));
+            const speed = (r % 2 === 0 ? 1 : -1) * (0.002 + 0.005 / (r + 1));
+            const ringPhase = this.time * speed + r;
+
+            for (let i = 0; i < glyphCount; i++) {
+                const angle = (i / glyphCount) * Math.PI * 2 + ringPhase;
+                const x = center.x + Math.cos(angle) * radius;
+                const y = center.y + Math.sin(angle) * radius;
+                
+                // Use particle data for seeding if available, otherwise procedural
+                const seed = this.hashString(signature.hash + r + i);
+                const hue = (signature.primaryHue + r * 20) % 360;
+                const alpha = 0.4 + 0.3 * Math.sin(angle * 2 + this.time);
+
+                drawSigil(x, y, glyphSize, seed, hue, alpha);
+            }
+            
+            // Draw ring line
+            this.ctx.strokeStyle = `hsla(${signature.primaryHue}, 20%, 30%, 0.1)`;
+            this.ctx.lineWidth = 1;
+            this.ctx.beginPath();
+            this.ctx.arc(center.x, center.y, radius, 0, Math.PI * 2);
+            this.ctx.stroke();
+        }
+        this.ctx.globalCompositeOperation = 'source-over';
+    }
+
+    drawWeave(width, height, signature) {
+        const cols = (this.styleState.weaveCols || 10) * 3; // Tripled density
+        const rows = (this.styleState.weaveRows || 8) * 3;
+        const palette = this.styleState.palette || [];
+        const bandW = width / cols;
+        const bandH = height / rows;
+        
+        this.ctx.globalCompositeOperation = 'multiply';
+
+        // Vertical Threads (Warp)
+        for (let i = 0; i < cols; i++) {
+            const tone = palette[i % palette.length] || { h: signature.primaryHue, s: 40, l: 40 };
+            this.ctx.strokeStyle = `hsla(${tone.h}, ${tone.s}%, ${tone.l}%, 0.3)`;
+            this.ctx.lineWidth = bandW * 0.8;
+            this.ctx.beginPath();
+            
+            for (let y = 0; y <= height; y += 10) {
+                // Noise-based distortion
+                const noise = this.noise.noise(i * 0.1, y * 0.01 + this.time * 0.1);
+                const x = i * bandW + noise * 10;
+                if (y===0) this.ctx.moveTo(x, y);
+                else this.ctx.lineTo(x, y);
+            }
+            this.ctx.stroke();
+        }
+
+        // Horizontal Threads (Weft)
+        for (let j = 0; j < rows; j++) {
+            const tone = palette[(j + 2) % palette.length] || { h: signature.secondaryHue, s: 35, l: 45 };
+            this.ctx.strokeStyle = `hsla(${tone.h}, ${tone.s}%, ${tone.l}%, 0.3)`;
+            this.ctx.lineWidth = bandH * 0.8;
+            this.ctx.beginPath();
+            
+            for (let x = 0; x <= width; x += 10) {
+                 const noise = this.noise.noise(x * 0.01 + this.time * 0.1, j * 0.1);
+                 const y = j * bandH + noise * 10;
+                 if (x===0) this.ctx.moveTo(x, y);
+                 else this.ctx.lineTo(x, y);
+            }
+            this.ctx.stroke();
+        }
+        
+        // Highlights (Texture)
+        this.ctx.globalCompositeOperation = 'source-over';
+        this.particles.forEach(p => {
+             // Subtle stitch highlights
+             const x = p.x;
+             const y = p.y;
+             this.ctx.fillStyle = `hsla(${p.hue}, 60%, 80%, 0.3)`;
+             this.ctx.beginPath();
+             this.ctx.arc(x, y, 1.5, 0, Math.PI * 2);
+             this.ctx.fill();
+        });
+    }
+
+    drawRift(width, height, signature) {
+        const lines = 40;
+        const step = height / lines;
+        const palette = this.styleState.palette || [];
+        
+        // Draw back to front
+        for (let i = 0; i < lines; i++) {
+            const baseY = i * step + 40;
+            const tone = palette[i % palette.length] || { h: signature.primaryHue, s: 0, l: 50 };
+            
+            this.ctx.beginPath();
+            this.ctx.moveTo(0, baseY);
+            
+            for (let x = 0; x <= width; x += 10) {
+                // Noise base
+                let yOff = this.noise.noise(x * 0.005, i * 0.1 + this.time * 0.2) * 40;
+                
+                // Interaction with particles
+                // Find nearest particle to this x location (simplified influence)
+                // We'll just map particles to x-zones to avoid N^2 loop inside drawing loop
+                // ...or just use a few spatial noise layers
+                
+                yOff -= Math.abs(this.noise.noise(x * 0.02, this.time * 0.5)) * 30 * (1 - i/lines);
+
+                this.ctx.lineTo(x, baseY + yOff);
+            }
+            
+            this.ctx.lineTo(width, height);
+            this.ctx.lineTo(0, height);
+            this.ctx.closePath();
+            
+            // Fill with background color to occlude lower lines
+            this.ctx.fillStyle = `hsla(${signature.primaryHue}, 10%, 5%, 1)`;
+            this.ctx.fill();
+            
+            // Stroke the edge
+            this.ctx.strokeStyle = `hsla(${tone.h}, ${tone.s}%, 70%, 0.8)`;
+            this.ctx.lineWidth = 1.5;
+            this.ctx.stroke();
+        }
+    }
+
+    drawBarcode(width, height, signature) {
+        const bars = this.styleState.barcodeBars || [];
+        const palette = this.styleState.palette || [];
+        const centerY = height / 2;
+        
+        this.ctx.globalCompositeOperation = 'lighter';
+        
+        // Draw spectral bars
+        bars.forEach((bar, index) => {
+            const tone = bar.color || palette[index % palette.length];
+            const noise = this.noise.noise(index * 0.1, this.time * 0.5);
+            const activity = Math.max(0.1, noise + 0.5); // 0.1 to 1.5
+            const h = height * 0.4 * activity;
+            
+            const grad = this.ctx.createLinearGradient(0, centerY - h, 0, centerY + h);
+            grad.addColorStop(0, `hsla(${tone.h}, ${tone.s}%, ${tone.l}%, 0)`);
+            grad.addColorStop(0.5, `hsla(${tone.h}, ${tone.s}%, ${tone.l}%, ${bar.alpha})`);
+            grad.addColorStop(1, `hsla(${tone.h}, ${tone.s}%, ${tone.l}%, 0)`);
+            
+            this.ctx.fillStyle = grad;
+            this.ctx.fillRect(bar.x, centerY - h, bar.w, h * 2);
+            
+            // Peak dot
+            this.ctx.fillStyle = `hsla(${tone.h}, 90%, 90%, 0.8)`;
+            this.ctx.fillRect(bar.x, centerY - h - 2, bar.w, 2);
+            this.ctx.fillRect(bar.x, centerY + h, bar.w, 2);
+        });
+        
+        this.ctx.globalCompositeOperation = 'source-over';
+    }
+
+    drawCollage(width, height, signature) {
+        const pieces = this.styleState.collagePieces || [];
+        
+        // Sort pieces by "depth" (size) so large ones are in back? 
+        // Or just maintain array order for "layering"
+        
+        pieces.forEach((piece, index) => {
+            // Animation
+            const driftX = Math.sin(this.time * 0.2 + piece.drift) * 10;
+            const driftY = Math.cos(this.time * 0.15 + piece.drift) * 10;
+            const rot = piece.rot + Math.sin(this.time * 0.1) * 0.05;
+            
+            const cx = piece.x + driftX;
+            const cy = piece.y + driftY;
+            
+            this.ctx.save();
+            this.ctx.translate(cx, cy);
+            this.ctx.rotate(rot);
+            
+            if (piece.shadow) {
+                this.ctx.shadowColor = 'rgba(0,0,0,0.5)';
+                this.ctx.shadowBlur = 10;
+                this.ctx.shadowOffsetX = 5;
+                this.ctx.shadowOffsetY = 5;
+            }
+            
+            if (piece.kind === 'poly') {
+                // Simulating torn paper
+                this.ctx.beginPath();
+                const w = piece.w;
+                const h = piece.h;
+                // Simple jagged rect
+                this.ctx.moveTo(-w/2, -h/2);
+                this.ctx.lineTo(0, -h/2 - 5);
+                this.ctx.lineTo(w/2, -h/2);
+                this.ctx.lineTo(w/2 + 5, 0);
+                this.ctx.lineTo(w/2, h/2);
+                this.ctx.lineTo(0, h/2 + 5);
+                this.ctx.lineTo(-w/2, h/2);
+                this.ctx.lineTo(-w/2 - 5, 0);
+                this.ctx.closePath();
+                
+                // Clip and draw texture
+                this.ctx.save();
+                this.ctx.clip();
+                this.ctx.drawImage(piece.texture, -w/2, -h/2, w, h);
+                this.ctx.restore();
+                
+                // Edge stroke
+                this.ctx.shadowBlur = 0;
+                this.ctx.shadowOffset = 0;
+                this.ctx.strokeStyle = 'rgba(255,255,255,0.4)';
+                this.ctx.lineWidth = 1;
+                this.ctx.stroke();
+                
+            } else {
+                // Rect (Photos/Cards)
+                this.ctx.drawImage(piece.texture, -piece.w/2, -piece.h/2, piece.w, piece.h);
+                
+                // Tape effect?
+                if (!piece.isText && index % 4 === 0) {
+                     this.ctx.fillStyle = 'rgba(255,255,255,0.3)';
+                     this.ctx.fillRect(-piece.w/4, -piece.h/2 - 10, piece.w/2, 20);
+                }
+            }
+            
+            this.ctx.restore();
+        });
+    }
+
+    drawRadar(width, height, signature) {
+        const rings = this.styleState.radarRings || [];
+        const points = this.styleState.radarPoints || [];
+        const palette = this.styleState.palette || [];
+        const centerX = width / 2;
+        const centerY = height / 2;
+        const sweepAngle = (this.time * 0.8) % (Math.PI * 2);
+
+        // Draw Rings (Sonar Grid)
+        rings.forEach((radius, index) => {
+            const tone = palette[index % palette.length] || { h: signature.primaryHue, s: 40, l: 40 };
+            this.ctx.strokeStyle = `hsla(${tone.h}, ${tone.s}%, ${tone.l}%, 0.15)`;
+            this.ctx.lineWidth = 1;
+            this.ctx.beginPath();
+            this.ctx.arc(centerX, centerY, radius, 0, Math.PI * 2);
+            this.ctx.stroke();
+            
+            // Axis lines
+            if (index === rings.length - 1) {
+                 this.ctx.beginPath();
+                 this.ctx.moveTo(centerX - radius, centerY);
+                 this.ctx.lineTo(centerX + radius, centerY);
+                 this.ctx.moveTo(centerX, centerY - radius);
+                 this.ctx.lineTo(centerX, centerY + radius);
+                 this.ctx.stroke();
+            }
+        });
+
+        // Draw Sweep (Gradient Sector)
+        const grad = this.ctx.createConicGradient(sweepAngle + Math.PI/2, centerX, centerY);
+        grad.addColorStop(0, `hsla(${signature.secondaryHue}, 80%, 60%, 0)`);
+        grad.addColorStop(0.1, `hsla(${signature.secondaryHue}, 80%, 60%, 0.2)`);
+        grad.addColorStop(0.2, `hsla(${signature.secondaryHue}, 80%, 60%, 0)`);
+        this.ctx.fillStyle = grad;
+        this.ctx.beginPath();
+        this.ctx.arc(centerX, centerY, Math.min(width, height) * 0.45, 0, Math.PI * 2);
+        this.ctx.fill();
+
+        // Draw Blips
+        points.forEach((point) => {
+            // Position
+            const x = centerX + Math.cos(point.angle) * point.radius;
+            const y = centerY + Math.sin(point.angle) * point.radius;
+            
+            // Calculate opacity based on sweep distance
+            // Normalized angle distance
+            let dist = sweepAngle - point.angle;
+            while (dist < 0) dist += Math.PI * 2;
+            while (dist > Math.PI * 2) dist -= Math.PI * 2;
+            
+            // If just scanned (dist is small positive), fade slowly
+            // Opacity decay
+            const opacity = Math.max(0.1, Math.exp(-dist * 2));
+            
+            this.ctx.fillStyle = `hsla(${point.tone.h}, ${point.tone.s}%, 60%, ${opacity})`;
+            this.ctx.shadowColor = `hsla(${point.tone.h}, ${point.tone.s}%, 50%, ${opacity})`;
+            this.ctx.shadowBlur = 8 * opacity;
+            
+            this.ctx.beginPath();
+            this.ctx.arc(x, y, point.size * 0.8, 0, Math.PI * 2);
+            this.ctx.fill();
+            this.ctx.shadowBlur = 0;
+        });
+    }
+
+    drawCity(width, height, signature) {
+        const grid = this.styleState.cityGrid || [];
+        const theme = this.styleState.cityTheme || 'blueprint';
+        const palette = this.styleState.palette || [];
+        const isoX = width / 2;
+        const isoY = height * 0.2;
+        const tileW = 24;
+        const tileH = 12;
+
+        // Clear specially for city to ensure clean lines
+        this.ctx.fillStyle = theme === 'blueprint' ? '#1a2b3c' : '#05070a';
+        this.ctx.fillRect(0, 0, width, height);
+
+        // Use pre-sorted buildings
+        const buildings = this.styleState.sortedBuildings || [];
+        
+        buildings.forEach(b => {
+            const phase = this.time * 0.5 + (b.x + b.y) * 0.05;
+            const animHeight = b.h * (0.5 + 0.5 * Math.sin(phase));
+            
+            // Iso projection
+            const screenX = isoX + (b.x - b.y) * tileW;
+            const screenY = isoY + (b.x + b.y) * tileH;
+            
+            const paletteTone = this.getPaletteColorForHue(b.hue, palette);
+            
+            if (theme === 'blueprint') {
+                this.ctx.strokeStyle = `hsla(${paletteTone.h}, 60%, 70%, 0.4)`;
+                this.ctx.lineWidth = 1;
+                this.ctx.fillStyle = `hsla(${paletteTone.h}, 40%, 20%, 0.8)`;
+            } else if (theme === 'neon') {
+                this.ctx.strokeStyle = `hsla(${paletteTone.h}, 100%, 60%, 0.6)`;
+                this.ctx.lineWidth = 1.5;
+                this.ctx.fillStyle = `hsla(${paletteTone.h}, 60%, 10%, 0.9)`;
+            } else {
+                 this.ctx.fillStyle = `hsla(${paletteTone.h}, ${paletteTone.s}%, ${paletteTone.l}%, 1)`;
+                 this.ctx.strokeStyle = 'rgba(0,0,0,0.2)';
+            }
+            
+            // Top face
+            this.ctx.beginPath();
+            this.ctx.moveTo(screenX, screenY - animHeight);
+            this.ctx.lineTo(screenX + tileW, screenY - tileH - animHeight);
+            this.ctx.lineTo(screenX, screenY - tileH * 2 - animHeight);
+            this.ctx.lineTo(screenX - tileW, screenY - tileH - animHeight);
+            this.ctx.closePath();
+            this.ctx.fill();
+            this.ctx.stroke();
+            
+            // Left face
+            this.ctx.beginPath();
+            this.ctx.moveTo(screenX - tileW, screenY - tileH - animHeight);
+            this.ctx.lineTo(screenX, screenY - animHeight);
+            this.ctx.lineTo(screenX, screenY);
+            this.ctx.lineTo(screenX - tileW, screenY - tileH);
+            this.ctx.closePath();
+            this.ctx.fillStyle = `rgba(0,0,0,0.2)`; 
+            this.ctx.fill();
+            this.ctx.stroke();
+
+            // Right face
+            this.ctx.beginPath();
+            this.ctx.moveTo(screenX, screenY - animHeight);
+            this.ctx.lineTo(screenX + tileW, screenY - tileH - animHeight);
+            this.ctx.lineTo(screenX + tileW, screenY - tileH);
+            this.ctx.lineTo(screenX, screenY);
+            this.ctx.closePath();
+            this.ctx.fillStyle = `rgba(0,0,0,0.4)`; 
+            this.ctx.fill();
+            this.ctx.stroke();
+        });
+    }
+
+    drawAttractor(width, height, signature) {
+        const { a, b, c, d } = this.styleState.attractorParams;
+        // Use generated scale or fallback
+        const scale = this.styleState.attractorParams.scale || 200;
+        const cx = width / 2;
+        const cy = height / 2;
+        const palette = this.styleState.palette || [];
+
+        this.ctx.lineWidth = 1.5;
+        
+        // Iterate points
+        this.particles.forEach((p, i) => {
+             const oldX = cx + p.x * scale;
+             const oldY = cy + p.y * scale;
+             
+             // Clifford Attractor update
+             const nx = Math.sin(a * p.y) + c * Math.cos(a * p.x);
+             const ny = Math.sin(b * p.x) + d * Math.cos(b * p.y);
+             
+             p.x = nx;
+             p.y = ny;
+             
+             const newX = cx + p.x * scale;
+             const newY = cy + p.y * scale;
+             
+             // Bounds check to avoid drawing off-screen infinity
+             if (Math.abs(newX) > width * 2 || Math.abs(newY) > height * 2) return;
+             
+             const paletteTone = this.getPaletteColorForHue(p.hue, palette);
+             this.ctx.strokeStyle = `hsla(${paletteTone.h}, ${paletteTone.s}%, ${paletteTone.l}%, 0.35)`;
+             
+             this.ctx.beginPath();
+             this.ctx.moveTo(oldX, oldY);
+             this.ctx.lineTo(newX, newY);
+             this.ctx.stroke();
+        });
+    }
+
+    drawBio(width, height, signature) {
+        const dim = this.styleState.bioDim;
+        const grid = this.styleState.bioGrid;
+        const next = this.styleState.bioNext;
+        const { dA, dB, f, k } = this.styleState.bioParams;
+        const palette = this.styleState.palette || [];
+        
+        const cellW = width / dim;
+        const cellH = height / dim;
+        
+        // Run multiple simulation steps per frame for speed
+        for(let step=0; step<8; step++) {
+            for(let x=0; x<dim; x++) {
+                for(let y=0; y<dim; y++) {
+                    const i = (y * dim + x) * 2;
+                    const A = grid[i];
+                    const B = grid[i+1];
+                    
+                    // Laplacian
+                    let lapA = 0;
+                    let lapB = 0;
+                    
+                    // Simple 3x3 convolution convolution kernel:
+                    // 0.05  0.2  0.05
+                    // 0.2  -1.0  0.2
+                    // 0.05  0.2  0.05
+                    
+                    // Center weight is -1, so we add neighbors * weights
+                    // Neighbors
+                    const xm1 = ((x - 1 + dim) % dim);
+                    const xp1 = ((x + 1) % dim);
+                    const ym1 = ((y - 1 + dim) % dim);
+                    const yp1 = ((y + 1) % dim);
+                    
+                    const neighbors = [
+                        [xm1, y, 0.2], [xp1, y, 0.2], [x, ym1, 0.2], [x, yp1, 0.2],
+                        [xm1, ym1, 0.05], [xp1, ym1, 0.05], [xm1, yp1, 0.05], [xp1, yp1, 0.05]
+                    ];
+                    
+                    neighbors.forEach(n => {
+                        const idx = (n[1]*dim + n[0])*2;
+                        lapA += grid[idx] * n[2];
+                        lapB += grid[idx+1] * n[2];
+                    });
+                    
+                    lapA -= A; // Center weight -1
+                    lapB -= B; 
+                    
+                    // Gray-Scott Formula
+                    // A' = A + (dA * lapA - A*B^2 + f*(1-A))
+                    // B' = B + (dB * lapB + A*B^2 - (k+f)*B)
+                    
+                    const reaction = A * B * B;
+                    next[i] = A + (dA * lapA - reaction + f * (1 - A));
+                    next[i+1] = B + (dB * lapB + reaction - (k + f) * B);
+                    
+                    // Clamp
+                    if(next[i] < 0) next[i]=0; if(next[i]>1) next[i]=1;
+                    if(next[i+1] < 0) next[i+1]=0; if(next[i+1]>1) next[i+1]=1;
+                }
+            }
+            // Swap
+            for(let k=0; k<grid.length; k++) grid[k] = next[k];
+        }
+
+        // Draw
+        // We can draw directly to ImageData for speed, but fillRect is easier for palette mapping
+        // Optimization: Create ImageData once and update it? 
+        // For 100x100, fillRect is acceptable (~10k calls).
+        
+        for(let y=0; y<dim; y++) {
+            for(let x=0; x<dim; x++) {
+                const i = (y * dim + x) * 2;
+                const B = grid[i+1];
+                const A = grid[i];
+                
+                // Color based on concentration difference A-B or just B
+                const val = Math.floor((A - B) * 255);
+                
+                // Only draw active cells
+                if (B > 0.1) {
+                     // Map B concentration to palette index
+                     const paletteIdx = Math.floor(B * palette.length * 2) % palette.length;
+                     const tone = palette[paletteIdx] || palette[0];
+                     
+                     this.ctx.fillStyle = `hsla(${tone.h}, ${tone.s}%, ${Math.max(10, tone.l - B*20)}%, 1)`;
+                     this.ctx.fillRect(x * cellW, y * cellH, cellW+1, cellH+1);
+                } else {
+                     this.ctx.fillStyle = `rgba(0,0,0,1)`; // Clear background
+                     this.ctx.fillRect(x * cellW, y * cellH, cellW, cellH);
+                }
+            }
+        }
+    }
+
+    drawPainting(width, height, signature) {
+        const brushes = this.styleState.brushes || [];
+        const style = this.styleState.paintStyle || 'oil';
+        const palette = this.styleState.palette || [];
+
+        brushes.forEach(b => {
+            // Update brush
+            const noise = this.noise.noise(b.x * 0.005, b.y * 0.005 + this.time * 0.1);
+            const angle = noise * Math.PI * 4;
+            
+            b.vx += Math.cos(angle) * 0.2;
+            b.vy += Math.sin(angle) * 0.2;
+            b.vx *= 0.96;
+            b.vy *= 0.96;
+            
+            b.x += b.vx;
+            b.y += b.vy;
+            
+            if (b.x < 0) b.x += width;
+            if (b.x > width) b.x -= width;
+            if (b.y < 0) b.y += height;
+            if (b.y > height) b.y -= height;
+            
+            const paletteTone = this.getPaletteColorForHue(b.hue, palette);
+            
+            if (style === 'oil') {
+                this.ctx.fillStyle = `hsla(${paletteTone.h}, ${paletteTone.s}%, ${paletteTone.l}%, 0.1)`;
+                this.ctx.beginPath();
+                this.ctx.arc(b.x, b.y, b.size * (0.8 + Math.sin(this.time) * 0.2), 0, Math.PI * 2);
+                this.ctx.fill();
+                
+                // Texture
+                this.ctx.strokeStyle = `hsla(${paletteTone.h}, ${paletteTone.s}%, ${paletteTone.l + 10}%, 0.1)`;
+                this.ctx.lineWidth = 1;
+                this.ctx.beginPath();
+                this.ctx.moveTo(b.x, b.y);
+                this.ctx.lineTo(b.x + b.vx * 4, b.y + b.vy * 4);
+                this.ctx.stroke();
+            } else {
+                // Watercolor
+                const spread = b.size * 3; // Increased spread
+                this.ctx.fillStyle = `hsla(${paletteTone.h}, ${paletteTone.s}%, ${paletteTone.l}%, 0.08)`; // Increased opacity
+                
+                // Deformed circle
+                this.ctx.beginPath();
+                const points = 8;
+                for(let i=0; i<=points; i++) {
+                    const a = (i/points) * Math.PI * 2;
+                    const r = spread * (0.8 + Math.random() * 0.4);
+                    const px = b.x + Math.cos(a) * r;
+                    const py = b.y + Math.sin(a) * r;
+                    if (i===0) this.ctx.moveTo(px, py);
+                    else this.ctx.lineTo(px, py);
+                }
+                this.ctx.fill();
+            }
+        });
+    }
+    
+    drawOverlay(width, height, signature, repoData) {
+        // Overlay text is handled by DOM for the Apple TV style UI.
+        return;
+    }
+    
+    stop() {
+        if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
+            this.animationId = null;
+        }
+    }
+
+    // --- Host adapters: what later hosts (the CLI, the app) call. They
+    // draw nothing themselves and may change along with those hosts. ---
+
+    getPixelRatio() {
+        if (this.pixelRatio) return this.pixelRatio;
+        return (typeof window !== 'undefined' && window.devicePixelRatio) || 1;
+    }
+
+    createCanvas(width, height) {
+        const canvas = this.canvasFactory ? this.canvasFactory(width, height) : document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    }
+
+    prepare(repoData) {
+        // visualizeRepository() without resizing and the animation loop
+        const signature = this.generateSignature(repoData);
+        signature.algorithm = this.algorithm;
+        this.rng = this.createSeededRNG(signature.hash);
+        this.noise = new SeededPerlinNoise(signature.hash);
+        this.initializeState(signature, repoData);
+        return signature;
+    }
+
+    renderFrame(signature, repoData) {
+        // One step of animate()'s loop
+        if (signature.style === 'three') {
+            this.renderThree();
+        } else {
+            this.time += signature.speed;
+            this.clear(signature);
+            this.drawVisualization(signature, repoData);
+        }
+    }
+
+    sampleCommits(commits, limit) {
+        // Picks the commits providers measure; not part of the drawing
+        return SimpleVisualizer.prototype.sampleCommits.call(this, commits, limit);
+    }
+
+    milestoneAt() {
+        return null;
+    }
+
+    // Version 1 predates these options: it always draws merges and no activity
+    get hideMerges() { return false; }
+    set hideMerges(value) {}
+    get showActivity() { return false; }
+    set showActivity(value) {}
+}
+
+SimpleVisualizer.FROZEN_ALGORITHMS = {
+    1: VisualizerV1
+};
+
+SimpleVisualizer.ALGORITHMS = [...Object.keys(SimpleVisualizer.FROZEN_ALGORITHMS).map(Number), SimpleVisualizer.ALGORITHM];
+
+// --- Data Sources ---
+
+class RateLimitError extends Error {
+    constructor(resetAt, label = 'GitHub') {
+        super(`${label} API rate limit exceeded`);
+        this.name = 'RateLimitError';
+        this.label = label;
+        this.resetAt = resetAt; // epoch ms, or null when unknown
+    }
+}
+
+// Small fetch wrapper shared by every API call: adds the optional token,
+// tracks rate-limit headers, limits concurrency and waits out short resets.
+// Defaults match GitHub; other forges pass their own header names.
+class ApiClient {
+    constructor(options = {}) {
+        this.token = options.token || null;
+        this.label = options.label || 'GitHub';
+        this.concurrency = options.concurrency || 4;
+        this.maxWait = options.maxWait ?? 60000; // Longest reset we will sit out (ms)
+        this.onRateLimit = options.onRateLimit || null; // (resetAt) => void
+        this.defaultHeaders = options.headers || { Accept: 'application/vnd.github+json' };
+        this.authHeader = options.authHeader || ((token) => ({ Authorization: `Bearer ${token}` }));
+        this.rateLimitHeaders = options.rateLimitHeaders || {
+            remaining: 'X-RateLimit-Remaining',
+            limit: 'X-RateLimit-Limit',
+            reset: 'X-RateLimit-Reset'
+        };
+        // Optional { getResponse, putResponse } store for ETag revalidation
+        this.responseCache = options.responseCache || null;
+        this.remaining = null;
+        this.limit = null;
+        this.resetAt = null;
+        this.active = 0;
+        this.queue = [];
+    }
+
+    setToken(token) {
+        this.token = token || null;
+        // A different identity has a different budget
+        this.remaining = null;
+        this.resetAt = null;
+    }
+
+    buildHeaders(extra = {}) {
+        const headers = { ...this.defaultHeaders, ...extra };
+        if (this.token) Object.assign(headers, this.authHeader(this.token));
+        return headers;
+    }
+    fetch(url, init = {}) {
+        return this.schedule(() => this.request(url, init));
+    }
+
+    schedule(task) {
+        return new Promise((resolve, reject) => {
+            this.queue.push({ task, resolve, reject });
+            this.drain();
+        });
+    }
+
+    drain() {
+        while (this.active < this.concurrency && this.queue.length) {
+            const { task, resolve, reject } = this.queue.shift();
+            this.active++;
+            task()
+                .then(resolve, reject)
+                .finally(() => {
+                    this.active--;
+                    this.drain();
+                });
+        }
+    }
+
+    async request(url, init, attempt = 0) {
+        await this.waitForBudget();
+
+        // GETs are revalidated with If-None-Match when we hold an ETag; a 304
+        // is free on GitHub's rate limit. Callers opt out with conditional: false.
+        const { conditional = true, ...fetchInit } = init;
+        const cacheable = conditional && this.responseCache && (fetchInit.method || 'GET').toUpperCase() === 'GET';
+        const cached = cacheable ? await this.responseCache.getResponse(url) : null;
+        const headers = cached ? { ...fetchInit.headers, 'If-None-Match': cached.etag } : fetchInit.headers;
+
+        const response = await fetch(url, { ...fetchInit, headers: this.buildHeaders(headers) });
+        this.recordRateLimit(response);
+
+        if (this.isRateLimited(response)) {
+            const retryAfter = parseInt(response.headers.get('Retry-After'), 10);
+            const resetAt = Number.isFinite(retryAfter) ? Date.now() + retryAfter * 1000 : this.resetAt;
+            if (attempt > 0 || !resetAt || resetAt - Date.now() > this.maxWait) {
+                throw new RateLimitError(resetAt, this.label);
+            }
+            await this.sleepUntil(resetAt);
+            return this.request(url, init, attempt + 1);
+        }
+
+        if (cached && response.status === 304) {
+            return new Response(cached.body, { status: 200, headers: cached.headers });
+        }
+        const etag = response.headers.get('ETag');
+        // 202 Accepted (statistics still being computed) has nothing worth keeping
+        if (cacheable && response.status === 200 && etag) {
+            await this.responseCache.putResponse(url, {
+                etag,
+                body: await response.clone().text(),
+                headers: Object.fromEntries(response.headers.entries())
+            });
+        }
+
+        return response;
+    }
+
+
+    recordRateLimit(response) {
+        const names = this.rateLimitHeaders;
+        const remaining = parseInt(response.headers.get(names.remaining), 10);
+        const limit = parseInt(response.headers.get(names.limit), 10);
+        const reset = parseInt(response.headers.get(names.reset), 10);
+        if (Number.isFinite(remaining)) this.remaining = remaining;
+        if (Number.isFinite(limit)) this.limit = limit;
+        if (Number.isFinite(reset)) this.resetAt = reset * 1000;
+    }
+
+    isRateLimited(response) {
+        if (response.status !== 403 && response.status !== 429) return false;
+        return response.headers.get(this.rateLimitHeaders.remaining) === '0' || response.headers.has('Retry-After');
+    }
+
+    async waitForBudget() {
+        if (this.remaining !== 0 || !this.resetAt) return;
+        if (this.resetAt <= Date.now()) {
+            this.remaining = null;
+            return;
+        }
+        if (this.resetAt - Date.now() > this.maxWait) {
+            throw new RateLimitError(this.resetAt, this.label);
+        }
+        await this.sleepUntil(this.resetAt);
+        this.remaining = null;
+    }
+
+    sleepUntil(resetAt) {
+        if (this.onRateLimit) this.onRateLimit(resetAt);
+        // Small margin so we land after the server's reset
+        const delay = Math.max(0, resetAt - Date.now()) + 1000;
+        return new Promise((resolve) => setTimeout(resolve, delay));
+    }
+}
+
+// Persistent cache in IndexedDB: normalized repoData snapshots per repo and
+// ref, plus the ETag and body of API responses for conditional requests.
+// Every method quietly does nothing where IndexedDB is unavailable.
+class RepoCache {
+    constructor(name = 'commit-flipbook') {
+        this.name = name;
+        this.db = null;
+    }
+
+    static snapshotKey(Provider, target, historyOptions = {}) {
+        // Depth and date range change the data, so they are part of the key
+        const { maxPages } = historyOptions;
+        const since = target.since || historyOptions.since;
+        const until = target.until || historyOptions.until;
+        const ref = target.base ? `${target.base}...${target.head}` : (target.ref || 'default');
+        const path = target.path ? `:${target.path}` : '';
+        return `${Provider.id}:${target.host}/${target.owner}/${target.repo}@${ref}${path}#${maxPages}:${since || ''}:${until || ''}`;
+    }
+
+    open() {
+        if (!this.db) {
+            this.db = new Promise((resolve) => {
+                if (typeof indexedDB === 'undefined') {
+                    resolve(null);
+                    return;
+                }
+                const request = indexedDB.open(this.name, 2);
+                request.onupgradeneeded = (event) => {
+                    if (event.oldVersion < 1) {
+                        request.result.createObjectStore('snapshots');
+                        request.result.createObjectStore('responses');
+                    }
+                    if (event.oldVersion < 2) {
+                        // Lets an offline start-up find the last viewed repository
+                        request.transaction.objectStore('snapshots').createIndex('savedAt', 'savedAt');
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => resolve(null);
+                request.onblocked = () => resolve(null);
+            });
+        }
+        return this.db;
+    }
+
+    async run(storeName, mode, operation) {
+        const db = await this.open();
+        if (!db) return undefined;
+        return new Promise((resolve) => {
+            try {
+                const transaction = db.transaction(storeName, mode);
+                const request = operation(transaction.objectStore(storeName));
+                transaction.oncomplete = () => resolve(request.result);
+                // Quota errors abort the transaction; caching is best-effort
+                transaction.onerror = () => resolve(undefined);
+                transaction.onabort = () => resolve(undefined);
+            } catch {
+                resolve(undefined);
+            }
+        });
+    }
+
+    getSnapshot(key) {
+        return this.run('snapshots', 'readonly', (store) => store.get(key));
+    }
+
+    putSnapshot(key, repoData) {
+        return this.run('snapshots', 'readwrite', (store) => store.put({ repoData, savedAt: Date.now() }, key));
+    }
+
+    async latestSnapshot() {
+        let latest = null;
+        await this.run('snapshots', 'readonly', (store) => {
+            const request = store.index('savedAt').openCursor(null, 'prev');
+            request.onsuccess = () => {
+                latest = request.result ? request.result.value : null;
+            };
+            return request;
+        });
+        return latest;
+    }
+
+    getResponse(url) {
+        return this.run('responses', 'readonly', (store) => store.get(url));
+    }
+
+    putResponse(url, entry) {
+        return this.run('responses', 'readwrite', (store) => store.put(entry, url));
+    }
+
+    async clear() {
+        await this.run('snapshots', 'readwrite', (store) => store.clear());
+        await this.run('responses', 'readwrite', (store) => store.clear());
+    }
+}
+
+// A forge provider turns a repository URL into the `repoData` object the
+// visualizer consumes: { info, commits, languages, contributors, stats }.
+// Commits follow the GitHub REST list shape (sha, commit.author, commit.message,
+// parents, stats) whatever the source API looks like.
+class ForgeProvider {
+    constructor(target, context = {}) {
+        this.target = target;
+        this.client = context.client;
+        // Dates in the repository URL override the page-level defaults
+        this.historyOptions = {
+            ...context.historyOptions,
+            ...(target.since ? { since: target.since } : {}),
+            ...(target.until ? { until: target.until } : {})
+        };
+        this.onStatus = context.onStatus || (() => {});
+        this.sampleCommits = context.sampleCommits || ((list) => list);
+        this.enrichmentOptions = context.enrichmentOptions || { concurrency: 4, budget: 40 };
+        this.detailsCache = context.detailsCache || new Map();
+    }
+
+    static matches(url) {
+        return false;
+    }
+
+    static parseLocation(url) {
+        // Splits any of https://host/a/b, host/a/b or a/b into host + path parts
+        const trimmed = String(url || '').trim();
+        const withScheme = /^[a-z]+:\/\//i.test(trimmed) ? trimmed : `https://${trimmed}`;
+        let parsed;
+        try {
+            parsed = new URL(withScheme);
+        } catch {
+            throw new Error('Invalid Repository URL');
+        }
+        const hostLike = parsed.hostname.includes('.') || parsed.hostname === 'localhost' || parsed.port;
+        const parts = parsed.pathname.split('/').filter((p) => p);
+        if (!hostLike) {
+            // Bare "owner/repo": the "host" is really the owner
+            return { origin: null, host: null, parts: [parsed.hostname, ...parts], query: parsed.searchParams };
+        }
+        return { origin: parsed.origin, host: parsed.host, parts, query: parsed.searchParams };
+    }
+
+    static parseScope(route, rest, query) {
+        // The URL after owner/repo: tree/<ref>/<path>, commits/<ref>,
+        // compare/<base>...<head>; ?since=&until= narrow the dates.
+        const scope = {};
+        const segments = rest.map((part) => decodeURIComponent(part));
+        const refPath = segments.join('/');
+        if (route === 'compare') {
+            const match = refPath.match(/^(.+?)\.{2,3}(.+)$/);
+            if (match) {
+                scope.base = match[1];
+                scope.head = match[2];
+            }
+        } else if (ForgeProvider.PATH_ROUTES.includes(route) && segments.length > 1) {
+            // Provisional split; resolveRefPath() settles refs with slashes
+            scope.ref = segments[0];
+            scope.path = segments.slice(1).join('/');
+        } else if (ForgeProvider.REF_ROUTES.includes(route) && refPath) {
+            scope.ref = refPath;
+        }
+        ['since', 'until'].forEach((key) => {
+            const value = query?.get(key);
+            if (value && Number.isFinite(Date.parse(value))) scope[key] = value;
+        });
+        return scope;
+    }
+
+    static encodeRef(ref) {
+        // Branch names may contain slashes, which the APIs expect unescaped
+        return ref.split('/').map((part) => encodeURIComponent(part)).join('/');
+    }
+
+    static contributorsFromCommits(commits, mailmap = null) {
+        // Count commit authors for sources without a contributors endpoint
+        const { authorIds } = new IdentityResolver(mailmap).resolve(commits);
+        const counts = new Map();
+        commits.forEach((commit) => {
+            const author = commit.commit?.author || {};
+            const key = authorIds.get(commit);
+            if (!key) return;
+            const entry = counts.get(key) || {
+                login: commit.author?.login || key,
+                name: key,
+                email: author.email,
+                contributions: 0
+            };
+            entry.contributions++;
+            counts.set(key, entry);
+        });
+        return [...counts.values()].sort((a, b) => b.contributions - a.contributions);
+    }
+
+    status(message, progress) {
+        this.onStatus(message, progress);
+    }
+
+    describeScope(defaultBranch) {
+        // Which slice of history the artwork represents (repoData.scope)
+        const { ref, base, head, path } = this.target;
+        const { since, until } = this.historyOptions;
+        return {
+            ref: base ? null : (ref || defaultBranch || null),
+            base: base || null,
+            head: head || null,
+            path: path || null,
+            since: since || null,
+            until: until || null
+        };
+    }
+
+    async resolveRefPath() {
+        // tree/<ref>/<path> is ambiguous when the ref itself has slashes
+        // (release/2.x/packages/core): take the shortest prefix that exists.
+        const { ref, path } = this.target;
+        if (!ref || !path) return;
+
+        const segments = [ref, ...path.split('/')];
+        for (let i = 1; i < segments.length; i++) {
+            const candidate = segments.slice(0, i).join('/');
+            if (await this.refExists(candidate)) {
+                this.target.ref = candidate;
+                this.target.path = segments.slice(i).join('/');
+                return;
+            }
+        }
+        this.target.ref = segments.join('/');
+        this.target.path = null;
+    }
+
+    async refExists(ref) {
+        return true;
+    }
+
+    async fetchScopedLanguages() {
+        // A subtree's languages come from its own files; fall back to the
+        // repository totals when the tree cannot be read.
+        if (!this.target.path) return this.fetchLanguages();
+        const languages = LanguageClassifier.summarize(await this.fetchPathFiles());
+        return Object.keys(languages).length ? languages : this.fetchLanguages();
+    }
+
+    async fetchPathFiles() {
+        return [];
+    }
+
+    async fetchJson(url, fallback) {
+        try {
+            const response = await this.client.fetch(url);
+            return response.ok ? await response.json() : fallback;
+        } catch (error) {
+            if (error instanceof RateLimitError) throw error;
+            return fallback;
+        }
+    }
+
+    async fetchPagedHistory(firstUrl, maxPages, select = (body) => body) {
+        const response = await this.client.fetch(firstUrl);
+        if (!response.ok) {
+            const unknownRef = (this.target.ref || this.target.base) && [404, 422].includes(response.status);
+            throw new Error(unknownRef ? 'Branch, tag or commit not found' : 'Failed to load commits');
+        }
+        const items = select(await response.json());
+
+        // Follow the Link header for older history. When the repo has more
+        // pages than we are allowed to read, spread the budget across the whole
+        // range (always including the last, oldest page) instead of stopping
+        // after the most recent few weeks.
+        const links = this.parseLinkHeader(response.headers.get('Link'));
+        const pageUrls = this.planHistoryPages(links, maxPages);
+        let nextUrl = pageUrls ? null : links.next;
+
+        for (let page = 2; page <= maxPages; page++) {
+            const url = pageUrls ? pageUrls[page - 2] : nextUrl;
+            if (!url) break;
+            this.status(`Reading history (page ${page} of ${pageUrls ? pageUrls.length + 1 : maxPages})...`,
+                page / (pageUrls ? pageUrls.length + 1 : maxPages));
+
+            try {
+                const pageResponse = await this.client.fetch(url);
+                if (!pageResponse.ok) break;
+                items.push(...select(await pageResponse.json()));
+                if (!pageUrls) nextUrl = this.parseLinkHeader(pageResponse.headers.get('Link')).next;
+            } catch {
+                // Keep whatever history we already have
+                break;
+            }
+        }
+
+        return items;
+    }
+
+    async fetchAllPages(firstUrl, maxPages = ForgeProvider.LIST_PAGES) {
+        // Follows the Link header to the end of a list; a failed page ends
+        // the list early rather than losing the pages already read
+        const items = [];
+        let url = firstUrl;
+        for (let page = 1; url && page <= maxPages; page++) {
+            try {
+                const response = await this.client.fetch(url);
+                if (!response.ok || response.status === 204) break;
+                const body = await response.json();
+                if (!Array.isArray(body)) break;
+                items.push(...body);
+                url = this.parseLinkHeader(response.headers.get('Link')).next;
+            } catch (error) {
+                if (error instanceof RateLimitError) throw error;
+                break;
+            }
+        }
+        return items;
+    }
+
+    dedupeHistory(commits) {
+        // Pages arrive newest-first; return oldest -> newest without duplicates
+        const seen = new Set();
+        return commits
+            .filter((c) => {
+                if (!c || !c.sha || seen.has(c.sha)) return false;
+                seen.add(c.sha);
+                return true;
+            })
+            .reverse();
+    }
+    async runWithConcurrency(items, limit, worker) {
+        // Worker returns false to stop handing out new items
+        let cursor = 0;
+        let stopped = false;
+        const lane = async () => {
+            while (!stopped && cursor < items.length) {
+                const item = items[cursor++];
+                if (await worker(item) === false) stopped = true;
+            }
+        };
+        const lanes = Math.max(1, Math.min(limit, items.length));
+        await Promise.all(Array.from({ length: lanes }, lane));
+    }
+
+    async enrichCommitDetails(commits, options = {}) {
+        // Line stats and changed files cost one request per commit, so only
+        // a budgeted sample is measured and results are kept between renders
+        const { host, owner, repo } = this.target;
+        const defaults = { ...this.enrichmentOptions };
+        if (this.client.token) defaults.budget = 150;
+        const { concurrency, budget, onProgress } = { ...defaults, ...options };
+        const cacheKey = (sha) => `${host}/${owner}/${repo}@${sha}`;
+
+        // Only the commits the visualizer will actually draw need details
+        const visible = this.sampleCommits(commits, 150);
+        const pending = visible.filter((commit) => {
+            if (commit.files) return false;
+            const cached = this.detailsCache.get(cacheKey(commit.sha));
+            if (cached) ForgeProvider.applyCommitDetail(commit, cached);
+            return !cached;
+        });
+
+        // Spread a short budget evenly over the timeline
+        const targets = this.sampleCommits(pending, budget);
+        let done = 0;
+        let exhausted = false;
+
+        await this.runWithConcurrency(targets, concurrency, async (commit) => {
+            // Leave headroom for the next repo instead of draining the quota
+            if (exhausted || (this.client.remaining !== null && this.client.remaining < 5)) return false;
+            try {
+                // No detail (404/409): counts as done, the commit keeps default stats
+                const detail = await this.fetchCommitDetail(commit.sha);
+                if (detail) {
+                    this.detailsCache.set(cacheKey(commit.sha), detail);
+                    ForgeProvider.applyCommitDetail(commit, detail);
+                }
+            } catch (error) {
+                if (error instanceof RateLimitError) {
+                    // Out of API budget: keep what we have, the rest use defaults
+                    exhausted = true;
+                    return false;
+                }
+                // Network hiccup: leave this commit on default stats
+            }
+            done++;
+            if (onProgress) onProgress(done, targets.length);
+            return true;
+        });
+
+        return {
+            measured: visible.filter((commit) => commit.files).length,
+            visible: visible.length,
+            exhausted
+        };
+    }
+
+    async measureCommits(commits) {
+        this.status('Measuring line changes...');
+        return this.enrichCommitDetails(commits, {
+            onProgress: (done, total) => this.status(`Measuring line changes (${done} of ${total})...`, done / total)
+        });
+    }
+
+    async fetchCommitDetail(sha) {
+        // Providers return { stats, files: [{ filename, additions, deletions }] }
+        return null;
+    }
+
+    async fetchMailmap() {
+        // A missing or unreadable .mailmap just means no corrections
+        try {
+            return await this.fetchRawFile('.mailmap');
+        } catch (error) {
+            if (error instanceof RateLimitError) throw error;
+            return null;
+        }
+    }
+
+    async fetchRawFile(path) {
+        // Providers return the file's text at the rendered ref, or null
+        return null;
+    }
+
+    async fetchMilestones(commits) {
+        const [tags, releases] = await Promise.all([this.fetchTags(), this.fetchReleases()]);
+        return ForgeProvider.mergeMilestones(tags, releases, commits);
+    }
+
+    async fetchTags() {
+        // Providers return [{ name, sha, date }]; date may be null
+        return [];
+    }
+
+    async fetchActivity() {
+        // Providers return the most recent issues and pull requests as
+        // [{ type: 'issue' | 'pull', number, title, author, labels, openedAt, closedAt, mergedAt }]
+        return [];
+    }
+
+    async fetchReleases() {
+        // Providers return [{ tag, name, date, prerelease }], drafts left out
+        return [];
+    }
+
+    static mergeMilestones(tags, releases, commits) {
+        // One milestone per tag: { tag, name, sha, date, release, prerelease }.
+        // Releases are dated when published; bare tags by their commit, which
+        // must be part of the loaded history when the forge gives no date.
+        const commitDates = new Map(commits.map((c) => [c.sha, c.commit?.author?.date || c.commit?.committer?.date]));
+        const milestones = new Map();
+        tags.forEach((tag) => {
+            if (!tag.name) return;
+            milestones.set(tag.name, {
+                tag: tag.name,
+                name: tag.name,
+                sha: tag.sha || null,
+                date: commitDates.get(tag.sha) || tag.date || null,
+                release: false,
+                prerelease: false
+            });
+        });
+        releases.forEach((release) => {
+            if (!release.tag) return;
+            const tag = milestones.get(release.tag);
+            milestones.set(release.tag, {
+                tag: release.tag,
+                name: release.name || release.tag,
+                sha: tag?.sha || null,
+                date: release.date || tag?.date || null,
+                release: true,
+                prerelease: Boolean(release.prerelease)
+            });
+        });
+        return [...milestones.values()]
+            .filter((milestone) => Number.isFinite(Date.parse(milestone.date)))
+            .sort((a, b) => Date.parse(a.date) - Date.parse(b.date));
+    }
+
+    static applyCommitDetail(commit, detail) {
+        // Stats from the history query are kept; they may count more than the file list
+        if (!commit.stats) commit.stats = { ...detail.stats };
+        commit.files = detail.files.map((file) => ({ ...file }));
+    }
+
+    static detailFromFiles(files) {
+        const additions = files.reduce((sum, file) => sum + file.additions, 0);
+        const deletions = files.reduce((sum, file) => sum + file.deletions, 0);
+        return {
+            stats: { additions, deletions, total: additions + deletions, files: files.length },
+            files
+        };
+    }
+
+    parseLinkHeader(header) {
+        // <https://api.github.com/...&page=2>; rel="next", <...&page=34>; rel="last"
+        const links = {};
+        if (!header) return links;
+        header.split(',').forEach((part) => {
+            const match = part.match(/<([^>]+)>\s*;\s*rel="([^"]+)"/);
+            if (match) links[match[2]] = match[1];
+        });
+        return links;
+    }
+
+    planHistoryPages(links, maxPages) {
+        // Returns the page URLs to fetch after page 1, or null when the total
+        // page count is unknown and we should just follow rel="next".
+        if (!links.next || maxPages < 2) return [];
+        if (!links.last) return null;
+
+        const lastUrl = new URL(links.last);
+        const lastPage = parseInt(lastUrl.searchParams.get('page'), 10);
+        if (!Number.isFinite(lastPage)) return null;
+
+        const budget = Math.min(maxPages - 1, lastPage - 1);
+        const pages = [];
+        for (let i = 1; i <= budget; i++) {
+            const page = budget === lastPage - 1
+                ? i + 1
+                : lastPage - Math.round((budget - i) * (lastPage - 2) / Math.max(1, budget - 1));
+            if (pages.includes(page)) continue;
+            pages.push(page);
+        }
+
+        return pages.map((page) => {
+            const url = new URL(lastUrl);
+            url.searchParams.set('page', String(page));
+            return url.toString();
+        });
+    }
+}
+
+// Web routes whose remainder names a branch, tag or commit
+ForgeProvider.REF_ROUTES = ['tree', 'blob', 'commits', 'commit', 'src', 'releases', 'tags'];
+// ...and those where it may continue with a path inside the repository
+ForgeProvider.PATH_ROUTES = ['tree', 'blob', 'commits', 'src'];
+// Most pages read from list endpoints such as contributors (100 per page)
+ForgeProvider.LIST_PAGES = 5;
+
+class GitHubProvider extends ForgeProvider {
+    constructor(target, context = {}) {
+        super(target, context);
+        this.repoUrl = `https://api.github.com/repos/${target.owner}/${target.repo}`;
+    }
+
+    static get id() { return 'github'; }
+    static get label() { return 'GitHub'; }
+
+    static matches(url) {
+        const { host } = ForgeProvider.parseLocation(url);
+        return !host || host === 'github.com' || host === 'www.github.com';
+    }
+
+    static parseUrl(url) {
+        // Handle common formats:
+        // https://github.com/owner/repo
+        // github.com/owner/repo
+        // owner/repo
+        // plus tree/<ref>, commits/<ref>, releases/tag/<tag>, compare/<base>...<head>
+        const { parts, query } = ForgeProvider.parseLocation(url);
+        if (parts.length < 2) throw new Error('Invalid Repository URL');
+
+        const rest = parts.slice(3);
+        if (parts[2] === 'releases' && rest[0] === 'tag') rest.shift();
+        return {
+            host: 'github.com',
+            owner: parts[0],
+            repo: parts[1].replace(/\.git$/, ''),
+            webUrl: `https://github.com/${parts[0]}/${parts[1].replace(/\.git$/, '')}`,
+            ...ForgeProvider.parseScope(parts[2], rest, query)
+        };
+    }
+
+    static createClient(target, options = {}) {
+        return new ApiClient({ ...options, label: 'GitHub' });
+    }
+
+    async fetchRepoData() {
+        // With a token, GraphQL gets history and line counts in one query per
+        // 100 commits; fall back to REST if it is unavailable for this token
+        // or the history is longer than its page budget.
+        // Compare ranges have no GraphQL equivalent and always use REST.
+        await this.resolveRefPath();
+        if (this.client.token && !this.target.base) {
+            try {
+                const repoData = await this.fetchRepoDataGraphQL();
+                if (repoData) return repoData;
+            } catch (error) {
+                if (error instanceof RateLimitError) throw error;
+                console.warn('GraphQL ingestion failed, using REST:', error);
+            }
+        }
+        return this.fetchRepoDataRest();
+    }
+
+    async fetchRepoDataRest() {
+        const repoInfo = await this.fetchRepoInfo();
+
+        // Fetch details in parallel; a subtree only counts its own authors
+        this.status('Analyzing patterns...');
+        const [commits, languages, repoContributors, contributorStats, mailmap] = await Promise.all([
+            this.fetchCommitsWithStats(),
+            this.fetchScopedLanguages(),
+            this.target.path ? null : this.fetchContributors(),
+            this.target.path ? null : this.fetchContributorStats(),
+            this.fetchMailmap()
+        ]);
+        const contributors = repoContributors || ForgeProvider.contributorsFromCommits(commits, mailmap);
+
+        await this.measureCommits(commits);
+        const [milestones, activity] = await Promise.all([this.fetchMilestones(commits), this.fetchActivity()]);
+
+        return {
+            info: repoInfo,
+            commits: commits,
+            languages: languages,
+            contributors: contributors,
+            contributorStats,
+            mailmap,
+            milestones,
+            activity,
+            stats: {
+                stars: repoInfo.stargazers_count,
+                forks: repoInfo.forks_count,
+                issues: repoInfo.open_issues_count
+            },
+            scope: this.describeScope(repoInfo.default_branch)
+        };
+    }
+
+    async fetchRepoInfo() {
+        const response = await this.client.fetch(this.repoUrl);
+        if (!response.ok) {
+            if (response.status === 404) throw new Error('Repository not found');
+            throw new Error(`GitHub API Error: ${response.status}`);
+        }
+        return await response.json();
+    }
+    
+    async fetchLanguages() {
+        return this.fetchJson(`${this.repoUrl}/languages`, {});
+    }
+    
+    async fetchContributors() {
+        return this.fetchAllPages(`${this.repoUrl}/contributors?per_page=100`);
+    }
+
+    async fetchContributorStats() {
+        // Weekly additions, deletions and commits for the top 100 authors.
+        // GitHub answers 202 while it computes them in the background; wait a
+        // little and ask again, and go without if they are still not ready.
+        for (let attempt = 0; attempt <= GitHubProvider.STATS_RETRIES; attempt++) {
+            if (attempt > 0) {
+                this.status('Waiting for contributor statistics...');
+                await new Promise((resolve) => setTimeout(resolve, GitHubProvider.STATS_RETRY_DELAY * attempt));
+            }
+            try {
+                const response = await this.client.fetch(`${this.repoUrl}/stats/contributors`);
+                if (response.status === 202) continue;
+                if (!response.ok || response.status === 204) return null;
+                const stats = await response.json();
+                if (!Array.isArray(stats)) return null;
+                return stats.map((entry) => ({
+                    login: entry.author?.login || null,
+                    // Idle weeks are dropped to keep cached snapshots small
+                    weeks: (entry.weeks || []).filter((week) => week.c || week.a || week.d).map((week) => ({
+                        week: new Date(week.w * 1000).toISOString(),
+                        additions: week.a || 0,
+                        deletions: week.d || 0,
+                        commits: week.c || 0
+                    }))
+                }));
+            } catch (error) {
+                if (error instanceof RateLimitError) throw error;
+                return null;
+            }
+        }
+        return null;
+    }
+    
+    async fetchCommitsWithStats(options = {}) {
+        const { perPage, maxPages, since, until } = { ...this.historyOptions, ...options };
+        if (this.target.base) return this.fetchCompareCommits({ perPage, maxPages, since, until });
+
+        const params = new URLSearchParams({ per_page: String(perPage) });
+        if (this.target.ref) params.set('sha', this.target.ref);
+        if (this.target.path) params.set('path', this.target.path);
+        if (since) params.set('since', new Date(since).toISOString());
+        if (until) params.set('until', new Date(until).toISOString());
+
+        const commits = await this.fetchPagedHistory(`${this.repoUrl}/commits?${params}`, maxPages);
+        return this.dedupeHistory(commits);
+    }
+
+    async refExists(ref) {
+        // The sha media type answers with 40 bytes instead of the full diff
+        try {
+            const response = await this.client.fetch(`${this.repoUrl}/commits/${ForgeProvider.encodeRef(ref)}`, {
+                headers: { Accept: 'application/vnd.github.sha' },
+                conditional: false
+            });
+            return response.ok;
+        } catch (error) {
+            if (error instanceof RateLimitError) throw error;
+            return false;
+        }
+    }
+
+    async fetchPathFiles() {
+        const { ref, path } = this.target;
+        const tree = await this.fetchJson(
+            `${this.repoUrl}/git/trees/${ForgeProvider.encodeRef(`${ref}:${path}`)}?recursive=1`, {});
+        return (tree.tree || [])
+            .filter((entry) => entry.type === 'blob')
+            .map((entry) => ({ path: entry.path, size: entry.size || 0 }));
+    }
+
+    async fetchCompareCommits({ perPage, maxPages, since, until }) {
+        // Commits reachable from head but not base, listed oldest-first
+        const { base, head } = this.target;
+        const range = `${ForgeProvider.encodeRef(base)}...${ForgeProvider.encodeRef(head)}`;
+        const items = await this.fetchPagedHistory(`${this.repoUrl}/compare/${range}?per_page=${perPage}`,
+            maxPages, (body) => body.commits || []);
+
+        // The compare API has no date filters
+        const from = since ? new Date(since).getTime() : -Infinity;
+        const to = until ? new Date(until).getTime() : Infinity;
+        const inRange = items.filter((commit) => {
+            const time = new Date(commit.commit?.author?.date).getTime();
+            return !Number.isFinite(time) || (time >= from && time <= to);
+        });
+        return this.dedupeHistory(inRange.reverse());
+    }
+
+    async fetchRawFile(path) {
+        const ref = this.target.head || this.target.ref;
+        const query = ref ? `?ref=${encodeURIComponent(ref)}` : '';
+        const response = await this.client.fetch(`${this.repoUrl}/contents/${path}${query}`, {
+            headers: { Accept: 'application/vnd.github.raw' }
+        });
+        return response.ok ? response.text() : null;
+    }
+
+    async fetchTags() {
+        // The tags list carries no dates; mergeMilestones() dates them by commit
+        const tags = await this.fetchJson(`${this.repoUrl}/tags?per_page=100`, []);
+        return tags.map((tag) => ({ name: tag.name, sha: tag.commit?.sha || null, date: null }));
+    }
+
+    async fetchActivity() {
+        // The issues endpoint lists pull requests too, marked by pull_request
+        const items = await this.fetchJson(`${this.repoUrl}/issues?state=all&sort=created&direction=desc&per_page=100`, []);
+        return items.map((item) => ({
+            type: item.pull_request ? 'pull' : 'issue',
+            number: item.number,
+            title: item.title || '',
+            author: item.user?.login || null,
+            labels: (item.labels || []).map((label) => label.name || label),
+            openedAt: item.created_at,
+            closedAt: item.closed_at || null,
+            mergedAt: item.pull_request?.merged_at || null
+        }));
+    }
+
+    async fetchReleases() {
+        const releases = await this.fetchJson(`${this.repoUrl}/releases?per_page=100`, []);
+        return releases
+            .filter((release) => !release.draft)
+            .map((release) => ({
+                tag: release.tag_name,
+                name: release.name,
+                date: release.published_at || release.created_at,
+                prerelease: release.prerelease
+            }));
+    }
+
+    async fetchCommitDetail(sha) {
+        // Commit details carry full patches; only counts and paths are kept
+        const response = await this.client.fetch(`${this.repoUrl}/commits/${sha}`, { conditional: false });
+        if (!response.ok) return null;
+
+        const detail = await response.json();
+        const files = (detail.files || []).map((file) => ({
+            filename: file.filename,
+            additions: file.additions || 0,
+            deletions: file.deletions || 0
+        }));
+        return {
+            stats: {
+                additions: detail.stats?.additions || 0,
+                deletions: detail.stats?.deletions || 0,
+                total: detail.stats?.total || 0,
+                files: files.length
+            },
+            files
+        };
+    }
+
+    async fetchRepoDataGraphQL() {
+        const { owner, repo } = this.target;
+        const { since, until } = this.historyOptions;
+        const maxPages = Math.max(this.historyOptions.maxPages, this.historyOptions.graphQLMaxPages);
+        const path = this.target.path || null;
+        let contributorsPromise = null;
+        let contributorStatsPromise = null;
+        let languagesPromise = null;
+        let mailmapPromise = null;
+
+        let repository = null;
+        let cursor = null;
+        const nodes = [];
+
+        for (let page = 1; page <= maxPages; page++) {
+            const data = await this.queryGraphQL(GitHubProvider.HISTORY_QUERY, {
+                owner,
+                name: repo,
+                scoped: Boolean(this.target.ref),
+                ref: this.target.ref || 'HEAD',
+                path,
+                cursor,
+                since: since ? new Date(since).toISOString() : null,
+                until: until ? new Date(until).toISOString() : null
+            });
+            if (!data.repository) throw new Error('Repository not found');
+            repository = repository || data.repository;
+
+            const head = data.repository.scoped || data.repository.defaultBranchRef?.target;
+            // Unknown refs and annotated tags (Tag objects) are left to REST
+            if (this.target.ref && !head?.history) throw new Error(`No GraphQL history for ${this.target.ref}`);
+            const history = head?.history;
+            if (page === 1) {
+                // Consecutive pages only reach maxPages * 100 commits back; longer
+                // histories go to REST, which spreads its pages over the whole timeline
+                if (history?.pageInfo.hasNextPage && history.totalCount > maxPages * 100) return null;
+                contributorsPromise = path ? null : this.fetchContributors();
+                contributorStatsPromise = path ? null : this.fetchContributorStats();
+                languagesPromise = path ? this.fetchScopedLanguages() : null;
+                mailmapPromise = this.fetchMailmap();
+                // Observed now so a failure while paging leaves none of them unhandled;
+                // awaiting them below still throws
+                [contributorsPromise, contributorStatsPromise, languagesPromise, mailmapPromise]
+                    .forEach((promise) => promise?.catch(() => {}));
+            }
+            if (!history) break;
+            nodes.push(...history.nodes);
+
+            const total = Math.min(history.totalCount, maxPages * 100);
+            this.status(`Reading history (${nodes.length} of ${total} commits)...`, nodes.length / Math.max(1, total));
+            if (!history.pageInfo.hasNextPage) break;
+            cursor = history.pageInfo.endCursor;
+        }
+
+        const info = {
+            full_name: repository.nameWithOwner,
+            name: repository.name,
+            owner: { login: repository.owner.login },
+            html_url: repository.url,
+            created_at: repository.createdAt,
+            pushed_at: repository.pushedAt,
+            stargazers_count: repository.stargazerCount,
+            forks_count: repository.forkCount,
+            open_issues_count: repository.issues.totalCount,
+            default_branch: repository.defaultBranchRef?.name
+        };
+
+        const languages = path ? await languagesPromise : {};
+        if (!path) {
+            (repository.languages?.edges || []).forEach((edge) => {
+                languages[edge.node.name] = edge.size;
+            });
+        }
+
+        // History is newest-first; the engines expect oldest -> newest
+        const commits = nodes.map((node) => this.normalizeGraphQLCommit(node)).reverse();
+        // GraphQL has line counts but no file names
+        await this.measureCommits(commits);
+        const mailmap = await mailmapPromise;
+        const [milestones, activity] = await Promise.all([this.fetchMilestones(commits), this.fetchActivity()]);
+        return {
+            info,
+            commits,
+            languages,
+            contributors: path ? ForgeProvider.contributorsFromCommits(commits, mailmap) : await contributorsPromise,
+            contributorStats: await contributorStatsPromise,
+            mailmap,
+            milestones,
+            activity,
+            stats: {
+                stars: info.stargazers_count,
+                forks: info.forks_count,
+                issues: info.open_issues_count
+            },
+            scope: this.describeScope(info.default_branch)
+        };
+    }
+
+    async queryGraphQL(query, variables) {
+        const response = await this.client.fetch('https://api.github.com/graphql', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ query, variables })
+        });
+        if (!response.ok) throw new Error(`GitHub GraphQL Error: ${response.status}`);
+
+        const payload = await response.json();
+        if (payload.errors && payload.errors.length) {
+            if (payload.errors.some((err) => err.type === 'RATE_LIMITED')) {
+                throw new RateLimitError(this.client.resetAt, this.client.label);
+            }
+            throw new Error(payload.errors[0].message);
+        }
+        return payload.data;
+    }
+
+    normalizeGraphQLCommit(node) {
+        // Same shape as the REST list endpoint, plus real stats and parents
+        const additions = node.additions || 0;
+        const deletions = node.deletions || 0;
+        return {
+            sha: node.oid,
+            commit: {
+                author: {
+                    name: node.author?.name,
+                    email: node.author?.email,
+                    date: node.author?.date || node.authoredDate
+                },
+                committer: {
+                    name: node.committer?.name,
+                    email: node.committer?.email,
+                    date: node.committer?.date || node.committedDate
+                },
+                message: node.message || ''
+            },
+            author: node.author?.user ? { login: node.author.user.login } : null,
+            parents: (node.parents?.nodes || []).map((parent) => ({ sha: parent.oid })),
+            stats: {
+                additions,
+                deletions,
+                total: additions + deletions,
+                files: node.changedFilesIfAvailable || 0
+            }
+        };
+    }
+}
+
+// Retries (and the base delay between them, in ms) while /stats/contributors answers 202
+GitHubProvider.STATS_RETRIES = 3;
+GitHubProvider.STATS_RETRY_DELAY = 2000;
+
+GitHubProvider.HISTORY_QUERY = `
+    query($owner: String!, $name: String!, $scoped: Boolean!, $ref: String!, $path: String, $cursor: String, $since: GitTimestamp, $until: GitTimestamp) {
+        repository(owner: $owner, name: $name) {
+            name
+            nameWithOwner
+            url
+            owner { login }
+            createdAt
+            pushedAt
+            stargazerCount
+            forkCount
+            issues(states: OPEN) { totalCount }
+            languages(first: 20, orderBy: { field: SIZE, direction: DESC }) {
+                edges { size node { name } }
+            }
+            defaultBranchRef {
+                name
+                target { ...History @skip(if: $scoped) }
+            }
+            scoped: object(expression: $ref) @include(if: $scoped) { ...History }
+        }
+    }
+
+    fragment History on Commit {
+        history(first: 100, after: $cursor, path: $path, since: $since, until: $until) {
+            totalCount
+            pageInfo { hasNextPage endCursor }
+            nodes {
+                oid
+                message
+                authoredDate
+                committedDate
+                additions
+                deletions
+                changedFilesIfAvailable
+                author { name email date user { login } }
+                committer { name email date }
+                parents(first: 5) { nodes { oid } }
+            }
+        }
+    }
+`;
+
+class GitLabProvider extends ForgeProvider {
+    constructor(target, context = {}) {
+        super(target, context);
+        this.apiBase = `${target.origin}/api/v4`;
+        this.projectUrl = `${this.apiBase}/projects/${encodeURIComponent(target.projectPath)}`;
+    }
+
+    static get id() { return 'gitlab'; }
+    static get label() { return 'GitLab'; }
+
+    static matches(url) {
+        // gitlab.com plus the usual gitlab.<company> self-managed hostnames
+        const { host } = ForgeProvider.parseLocation(url);
+        return Boolean(host) && (host === 'gitlab.com' || host.startsWith('gitlab.'));
+    }
+
+    static parseUrl(url) {
+        // https://gitlab.com/group/subgroup/project(/-/tree/main...)
+        const { origin, host, parts, query } = ForgeProvider.parseLocation(url);
+        const dash = parts.indexOf('-');
+        const projectParts = (dash === -1 ? parts : parts.slice(0, dash)).slice();
+        if (projectParts.length < 2) throw new Error('Invalid Repository URL');
+        projectParts[projectParts.length - 1] = projectParts[projectParts.length - 1].replace(/\.git$/, '');
+
+        // The namespaced project path; `path` is left for the subtree scope
+        const projectPath = projectParts.join('/');
+        return {
+            host,
+            origin,
+            projectPath,
+            owner: projectParts.slice(0, -1).join('/'),
+            repo: projectParts[projectParts.length - 1],
+            webUrl: `${origin}/${projectPath}`,
+            ...(dash === -1
+                ? ForgeProvider.parseScope(null, [], query)
+                : ForgeProvider.parseScope(parts[dash + 1], parts.slice(dash + 2), query))
+        };
+    }
+
+    static createClient(target, options = {}) {
+        return new ApiClient({
+            ...options,
+            label: 'GitLab',
+            headers: { Accept: 'application/json' },
+            authHeader: (token) => ({ 'PRIVATE-TOKEN': token }),
+            rateLimitHeaders: {
+                remaining: 'RateLimit-Remaining',
+                limit: 'RateLimit-Limit',
+                reset: 'RateLimit-Reset'
+            }
+        });
+    }
+
+    async fetchRepoData() {
+        const project = await this.fetchProject();
+        await this.resolveRefPath();
+
+        this.status('Analyzing patterns...');
+        const [commits, languages, repoContributors, mailmap] = await Promise.all([
+            this.fetchCommits(),
+            this.fetchScopedLanguages(),
+            this.target.path ? null : this.fetchContributors(),
+            this.fetchMailmap()
+        ]);
+        const contributors = repoContributors || ForgeProvider.contributorsFromCommits(commits, mailmap);
+        await this.measureCommits(commits);
+        const [milestones, activity] = await Promise.all([this.fetchMilestones(commits), this.fetchActivity()]);
+
+        const info = this.normalizeProject(project);
+        return {
+            info,
+            commits,
+            languages,
+            contributors,
+            mailmap,
+            milestones,
+            activity,
+            stats: {
+                stars: info.stargazers_count,
+                forks: info.forks_count,
+                issues: info.open_issues_count
+            },
+            scope: this.describeScope(info.default_branch)
+        };
+    }
+
+    async fetchProject() {
+        const response = await this.client.fetch(this.projectUrl);
+        if (!response.ok) {
+            if (response.status === 404) throw new Error('Repository not found');
+            throw new Error(`GitLab API Error: ${response.status}`);
+        }
+        return await response.json();
+    }
+
+    async fetchLanguages() {
+        // GitLab reports percentages rather than bytes; only the proportions
+        // matter to the engines, so they are used as-is.
+        return this.fetchJson(`${this.projectUrl}/languages`, {});
+    }
+
+    async fetchContributors() {
+        const contributors = await this.fetchAllPages(`${this.projectUrl}/repository/contributors?per_page=100&order_by=commits&sort=desc`);
+        return contributors.map((person) => ({
+            login: person.name,
+            name: person.name,
+            email: person.email,
+            contributions: person.commits
+        }));
+    }
+
+    async fetchCommits(options = {}) {
+        const { perPage, maxPages, since, until } = { ...this.historyOptions, ...options };
+        const params = new URLSearchParams({ per_page: String(perPage), with_stats: 'true' });
+        // ref_name accepts revision ranges as well as branches and tags
+        const { ref, base, head } = this.target;
+        if (base) params.set('ref_name', `${base}..${head}`);
+        else if (ref) params.set('ref_name', ref);
+        if (this.target.path) params.set('path', this.target.path);
+        if (since) params.set('since', new Date(since).toISOString());
+        if (until) params.set('until', new Date(until).toISOString());
+
+        const items = await this.fetchPagedHistory(`${this.projectUrl}/repository/commits?${params}`, maxPages);
+        return this.dedupeHistory(items.map((item) => this.normalizeCommit(item)));
+    }
+
+    async fetchRawFile(path) {
+        const ref = this.target.head || this.target.ref || 'HEAD';
+        const response = await this.client.fetch(
+            `${this.projectUrl}/repository/files/${encodeURIComponent(path)}/raw?ref=${encodeURIComponent(ref)}`);
+        return response.ok ? response.text() : null;
+    }
+
+    async fetchTags() {
+        const tags = await this.fetchJson(`${this.projectUrl}/repository/tags?per_page=100`, []);
+        return tags.map((tag) => ({
+            name: tag.name,
+            sha: tag.commit?.id || null,
+            date: tag.commit?.authored_date || tag.commit?.created_at || null
+        }));
+    }
+
+    async fetchActivity() {
+        const [issues, mergeRequests] = await Promise.all([
+            this.fetchJson(`${this.projectUrl}/issues?scope=all&order_by=created_at&sort=desc&per_page=100`, []),
+            this.fetchJson(`${this.projectUrl}/merge_requests?state=all&order_by=created_at&sort=desc&per_page=100`, [])
+        ]);
+        const normalize = (type) => (item) => ({
+            type,
+            number: item.iid,
+            title: item.title || '',
+            author: item.author?.username || null,
+            labels: item.labels || [],
+            openedAt: item.created_at,
+            closedAt: item.closed_at || item.merged_at || null,
+            mergedAt: item.merged_at || null
+        });
+        return [...issues.map(normalize('issue')), ...mergeRequests.map(normalize('pull'))];
+    }
+
+    async fetchReleases() {
+        // Upcoming releases are scheduled for a date that has not happened yet
+        const releases = await this.fetchJson(`${this.projectUrl}/releases?per_page=100`, []);
+        return releases
+            .filter((release) => !release.upcoming_release)
+            .map((release) => ({ tag: release.tag_name, name: release.name, date: release.released_at, prerelease: false }));
+    }
+
+    async fetchCommitDetail(sha) {
+        // The diff endpoint has no per-file counts; tally the patch lines
+        const response = await this.client.fetch(
+            `${this.projectUrl}/repository/commits/${sha}/diff?per_page=100`, { conditional: false });
+        if (!response.ok) return null;
+
+        const files = (await response.json()).map((entry) => {
+            const lines = (entry.diff || '').split('\n');
+            return {
+                filename: entry.new_path,
+                additions: lines.filter((line) => line.startsWith('+')).length,
+                deletions: lines.filter((line) => line.startsWith('-')).length
+            };
+        });
+        return ForgeProvider.detailFromFiles(files);
+    }
+
+    async refExists(ref) {
+        try {
+            const response = await this.client.fetch(
+                `${this.projectUrl}/repository/commits/${encodeURIComponent(ref)}?stats=false`, { conditional: false });
+            return response.ok;
+        } catch (error) {
+            if (error instanceof RateLimitError) throw error;
+            return false;
+        }
+    }
+
+    async fetchPathFiles() {
+        // The tree API has no sizes, so every file weighs the same
+        const { ref, path } = this.target;
+        const params = new URLSearchParams({ path, ref, recursive: 'true', per_page: '100' });
+        let url = `${this.projectUrl}/repository/tree?${params}`;
+        const files = [];
+        for (let page = 0; url && page < 10; page++) {
+            const response = await this.client.fetch(url).catch(() => null);
+            if (!response || !response.ok) break;
+            (await response.json())
+                .filter((entry) => entry.type === 'blob')
+                .forEach((entry) => files.push({ path: entry.path, size: 1 }));
+            url = this.parseLinkHeader(response.headers.get('Link')).next;
+        }
+        return files;
+    }
+
+    normalizeProject(project) {
+        return {
+            full_name: project.path_with_namespace,
+            name: project.path,
+            owner: { login: project.namespace?.full_path },
+            html_url: project.web_url,
+            created_at: project.created_at,
+            pushed_at: project.last_activity_at,
+            stargazers_count: project.star_count,
+            forks_count: project.forks_count,
+            open_issues_count: project.open_issues_count,
+            default_branch: project.default_branch
+        };
+    }
+
+    normalizeCommit(item) {
+        const stats = item.stats || {};
+        return {
+            sha: item.id,
+            commit: {
+                author: {
+                    name: item.author_name,
+                    email: item.author_email,
+                    date: item.authored_date
+                },
+                committer: {
+                    name: item.committer_name,
+                    email: item.committer_email,
+                    date: item.committed_date
+                },
+                message: item.message || item.title || ''
+            },
+            author: null,
+            parents: (item.parent_ids || []).map((sha) => ({ sha })),
+            // with_stats=true gives line counts; file counts are not included
+            ...(item.stats ? {
+                stats: {
+                    additions: stats.additions || 0,
+                    deletions: stats.deletions || 0,
+                    total: stats.total || (stats.additions || 0) + (stats.deletions || 0)
+                }
+            } : {})
+        };
+    }
+}
+
+class GiteaProvider extends ForgeProvider {
+    constructor(target, context = {}) {
+        super(target, context);
+        this.apiBase = `${target.baseUrl}/api/v1`;
+        this.repoUrl = `${this.apiBase}/repos/${encodeURIComponent(target.owner)}/${encodeURIComponent(target.repo)}`;
+    }
+
+    static get id() { return 'gitea'; }
+    static get label() { return 'Gitea'; }
+
+    static matches(url) {
+        // Well-known instances, gitea.* / forgejo.* hostnames and hosts that
+        // detect() has confirmed; anything else has to be probed first
+        const { host } = ForgeProvider.parseLocation(url);
+        if (!host || GitHubProvider.matches(url) || GitLabProvider.matches(url)) return false;
+        return GiteaProvider.HOSTS.includes(host) || /^(gitea|forgejo)\./.test(host) || GiteaProvider.detectedHosts.has(host);
+    }
+
+    static async detect(url) {
+        // Self-hosted instances (git.example.org, localhost:3000, ...) answer
+        // GET /api/v1/version with {"version": "..."}
+        let target;
+        try {
+            target = GiteaProvider.parseUrl(url);
+            const response = await fetch(`${target.baseUrl}/api/v1/version`, { headers: { Accept: 'application/json' } });
+            const body = response.ok ? await response.json() : null;
+            if (typeof body?.version !== 'string') return false;
+        } catch {
+            return false;
+        }
+        GiteaProvider.detectedHosts.add(target.host);
+        return true;
+    }
+
+    static parseUrl(url) {
+        // https://git.example.org/owner/repo
+        // https://example.org/gitea/owner/repo/src/branch/main (sub-path install)
+        const { origin, host, parts, query } = ForgeProvider.parseLocation(url);
+        const routes = ['src', 'commits', 'commit', 'compare', 'releases', 'tags', 'issues', 'pulls', 'wiki', 'activity', 'branches'];
+        let end = parts.length;
+        for (let i = 2; i < parts.length; i++) {
+            if (routes.includes(parts[i])) {
+                end = i;
+                break;
+            }
+        }
+        if (end < 2) throw new Error('Invalid Repository URL');
+
+        const owner = parts[end - 2];
+        const repo = parts[end - 1].replace(/\.git$/, '');
+        const basePath = parts.slice(0, end - 2).join('/');
+        const baseUrl = basePath ? `${origin}/${basePath}` : origin;
+
+        // src/branch/<b>, commits/tag/<t>, releases/tag/<t>, compare/<base>...<head>
+        const rest = parts.slice(end + 1);
+        if (['branch', 'tag', 'commit'].includes(rest[0]) && parts[end] !== 'compare') rest.shift();
+        return {
+            host,
+            origin,
+            baseUrl,
+            owner,
+            repo,
+            webUrl: `${baseUrl}/${owner}/${repo}`,
+            ...ForgeProvider.parseScope(parts[end], rest, query)
+        };
+    }
+
+    static createClient(target, options = {}) {
+        return new ApiClient({
+            ...options,
+            label: 'Gitea',
+            headers: { Accept: 'application/json' },
+            authHeader: (token) => ({ Authorization: `token ${token}` })
+        });
+    }
+
+    async fetchRepoData() {
+        const repoInfo = await this.fetchRepoInfo();
+        await this.resolveRefPath();
+
+        this.status('Analyzing patterns...');
+        const [commits, languages, mailmap] = await Promise.all([
+            this.fetchCommits(),
+            this.fetchScopedLanguages(),
+            this.fetchMailmap()
+        ]);
+
+        const [milestones, activity] = await Promise.all([this.fetchMilestones(commits), this.fetchActivity()]);
+
+        const info = this.normalizeRepo(repoInfo);
+        return {
+            info,
+            commits,
+            languages,
+            // The Gitea v1 API has no contributors endpoint
+            contributors: ForgeProvider.contributorsFromCommits(commits, mailmap),
+            mailmap,
+            milestones,
+            activity,
+            stats: {
+                stars: info.stargazers_count,
+                forks: info.forks_count,
+                issues: info.open_issues_count
+            },
+            scope: this.describeScope(info.default_branch)
+        };
+    }
+
+    async fetchRepoInfo() {
+        const response = await this.client.fetch(this.repoUrl);
+        if (!response.ok) {
+            if (response.status === 404) throw new Error('Repository not found');
+            throw new Error(`Gitea API Error: ${response.status}`);
+        }
+        return await response.json();
+    }
+
+    async fetchLanguages() {
+        return this.fetchJson(`${this.repoUrl}/languages`, {});
+    }
+
+    async fetchCommits(options = {}) {
+        const { maxPages, since, until } = { ...this.historyOptions, ...options };
+        // Gitea caps page size at 50 by default; stat=true adds line counts
+        // and the file list (names only) comes along by default.
+        const params = new URLSearchParams({ limit: '50', stat: 'true', verification: 'false' });
+        // Ranges list head's history minus everything reachable from base
+        const { ref, base, head } = this.target;
+        if (base) {
+            params.set('sha', head);
+            params.set('not', base);
+        } else if (ref) {
+            params.set('sha', ref);
+        }
+        if (this.target.path) params.set('path', this.target.path);
+        if (since) params.set('since', new Date(since).toISOString());
+        if (until) params.set('until', new Date(until).toISOString());
+
+        const items = await this.fetchPagedHistory(`${this.repoUrl}/commits?${params}`, maxPages * 2);
+        return this.dedupeHistory(items.map((item) => this.normalizeCommit(item)));
+    }
+
+    async fetchRawFile(path) {
+        const ref = this.target.head || this.target.ref;
+        const query = ref ? `?ref=${encodeURIComponent(ref)}` : '';
+        const response = await this.client.fetch(`${this.repoUrl}/raw/${path}${query}`);
+        return response.ok ? response.text() : null;
+    }
+
+    async fetchTags() {
+        const tags = await this.fetchJson(`${this.repoUrl}/tags?limit=50`, []);
+        return tags.map((tag) => ({ name: tag.name, sha: tag.commit?.sha || null, date: tag.commit?.created || null }));
+    }
+
+    async fetchActivity() {
+        // Without a type filter the issues endpoint lists pull requests too
+        const items = await this.fetchJson(`${this.repoUrl}/issues?state=all&limit=50`, []);
+        return items.map((item) => ({
+            type: item.pull_request ? 'pull' : 'issue',
+            number: item.number,
+            title: item.title || '',
+            author: item.user?.login || null,
+            labels: (item.labels || []).map((label) => label.name),
+            openedAt: item.created_at,
+            closedAt: item.closed_at || null,
+            mergedAt: item.pull_request?.merged_at || null
+        }));
+    }
+
+    async fetchReleases() {
+        const releases = await this.fetchJson(`${this.repoUrl}/releases?limit=50&draft=false`, []);
+        return releases.map((release) => ({
+            tag: release.tag_name,
+            name: release.name,
+            date: release.published_at || release.created_at,
+            prerelease: release.prerelease
+        }));
+    }
+
+    async refExists(ref) {
+        const params = new URLSearchParams({ sha: ref, limit: '1', stat: 'false', verification: 'false', files: 'false' });
+        try {
+            const response = await this.client.fetch(`${this.repoUrl}/commits?${params}`, { conditional: false });
+            return response.ok;
+        } catch (error) {
+            if (error instanceof RateLimitError) throw error;
+            return false;
+        }
+    }
+
+    async fetchPathFiles() {
+        // Gitea trees are per commit; keep the blobs under the scoped path
+        const { ref, path } = this.target;
+        const tree = await this.fetchJson(
+            `${this.repoUrl}/git/trees/${encodeURIComponent(ref)}?recursive=true&per_page=10000`, {});
+        return (tree.tree || [])
+            .filter((entry) => entry.type === 'blob' && entry.path.startsWith(`${path}/`))
+            .map((entry) => ({ path: entry.path, size: entry.size || 0 }));
+    }
+
+    normalizeRepo(repo) {
+        return {
+            full_name: repo.full_name,
+            name: repo.name,
+            owner: { login: repo.owner?.login },
+            html_url: repo.html_url,
+            created_at: repo.created_at,
+            pushed_at: repo.updated_at,
+            stargazers_count: repo.stars_count,
+            forks_count: repo.forks_count,
+            open_issues_count: repo.open_issues_count,
+            default_branch: repo.default_branch
+        };
+    }
+
+    normalizeCommit(item) {
+        // Gitea already mirrors the GitHub commit shape; keep only what we use
+        const stats = item.stats;
+        return {
+            sha: item.sha,
+            commit: {
+                author: { ...item.commit?.author },
+                committer: { ...item.commit?.committer },
+                message: item.commit?.message || ''
+            },
+            author: item.author ? { login: item.author.login } : null,
+            parents: (item.parents || []).map((parent) => ({ sha: parent.sha })),
+            ...(stats ? {
+                stats: {
+                    additions: stats.additions || 0,
+                    deletions: stats.deletions || 0,
+                    total: stats.total || (stats.additions || 0) + (stats.deletions || 0),
+                    ...(Array.isArray(item.files) ? { files: item.files.length } : {})
+                }
+            } : {}),
+            // Per-file line counts are not listed, so files weigh the same
+            ...(Array.isArray(item.files) ? {
+                files: item.files.map((file) => ({ filename: file.filename, additions: 0, deletions: 0 }))
+            } : {})
+        };
+    }
+}
+
+// Public Gitea and Forgejo instances, recognized without probing
+GiteaProvider.HOSTS = ['codeberg.org', 'gitea.com', 'next.forgejo.org'];
+
+// Hosts confirmed by detect(); the app keeps them across sessions
+GiteaProvider.detectedHosts = new Set();
+
+// Maps file paths to GitHub-style language names for sources that only
+// know file names (local logs, path-scoped trees).
+class LanguageClassifier {
+    static classify(path) {
+        const name = String(path || '').split('/').pop().toLowerCase();
+        if (LanguageClassifier.FILENAMES[name]) return LanguageClassifier.FILENAMES[name];
+        const dot = name.lastIndexOf('.');
+        if (dot <= 0) return null;
+        return LanguageClassifier.EXTENSIONS[name.slice(dot + 1)] || null;
+    }
+
+    static summarize(files) {
+        // [{ path, size }] -> { Language: size }, largest first like the forge APIs
+        const sizes = {};
+        files.forEach((file) => {
+            const language = LanguageClassifier.classify(file.path);
+            if (language) sizes[language] = (sizes[language] || 0) + file.size;
+        });
+        return Object.fromEntries(Object.entries(sizes).sort((a, b) => b[1] - a[1]));
+    }
+
+    static weigh(files) {
+        // [{ filename, additions, deletions }] -> { Language: changed lines };
+        // files without line counts (Gitea lists) weigh one line each
+        const weights = {};
+        (files || []).forEach((file) => {
+            const language = LanguageClassifier.classify(file.filename);
+            if (!language) return;
+            weights[language] = (weights[language] || 0) + Math.max(1, (file.additions || 0) + (file.deletions || 0));
+        });
+        return weights;
+    }
+
+    static dominant(files) {
+        let best = null;
+        Object.entries(LanguageClassifier.weigh(files)).forEach(([language, weight]) => {
+            if (!best || weight > best[1]) best = [language, weight];
+        });
+        return best ? best[0] : null;
+    }
+}
+
+LanguageClassifier.FILENAMES = {
+    'dockerfile': 'Dockerfile',
+    'makefile': 'Makefile',
+    'cmakelists.txt': 'CMake',
+    'rakefile': 'Ruby',
+    'gemfile': 'Ruby'
+};
+
+LanguageClassifier.EXTENSIONS = {
+    js: 'JavaScript', mjs: 'JavaScript', cjs: 'JavaScript', jsx: 'JavaScript',
+    ts: 'TypeScript', tsx: 'TypeScript', mts: 'TypeScript', cts: 'TypeScript',
+    py: 'Python', pyi: 'Python', ipynb: 'Jupyter Notebook',
+    rb: 'Ruby', erb: 'HTML+ERB',
+    go: 'Go', rs: 'Rust', java: 'Java', kt: 'Kotlin', kts: 'Kotlin', scala: 'Scala', groovy: 'Groovy',
+    c: 'C', h: 'C', cc: 'C++', cpp: 'C++', cxx: 'C++', hpp: 'C++', hh: 'C++', m: 'Objective-C', mm: 'Objective-C++',
+    cs: 'C#', fs: 'F#', vb: 'Visual Basic .NET', swift: 'Swift', dart: 'Dart',
+    php: 'PHP', pl: 'Perl', pm: 'Perl', lua: 'Lua', r: 'R', jl: 'Julia',
+    hs: 'Haskell', ml: 'OCaml', ex: 'Elixir', exs: 'Elixir', erl: 'Erlang', clj: 'Clojure', elm: 'Elm', zig: 'Zig', nim: 'Nim',
+    sh: 'Shell', bash: 'Shell', zsh: 'Shell', fish: 'Shell', ps1: 'PowerShell', bat: 'Batchfile',
+    html: 'HTML', htm: 'HTML', css: 'CSS', scss: 'SCSS', sass: 'Sass', less: 'Less',
+    vue: 'Vue', svelte: 'Svelte', astro: 'Astro',
+    sql: 'SQL', tf: 'HCL', hcl: 'HCL', nix: 'Nix', cmake: 'CMake', mk: 'Makefile',
+    tex: 'TeX', vim: 'Vim Script', el: 'Emacs Lisp', sol: 'Solidity', wgsl: 'WGSL', glsl: 'GLSL'
+};
+
+// Sorts commit messages into Conventional Commit types (feat, fix, refactor,
+// docs, chore), guessing from keywords when a message does not follow the spec.
+class CommitClassifier {
+    static classify(message) {
+        const text = String(message || '');
+        const subject = text.split('\n')[0].trim();
+        const breakingFooter = /^BREAKING[ -]CHANGE:/m.test(text);
+
+        // type(scope)!: subject
+        const match = subject.match(/^(\w+)(?:\(([^)]*)\))?(!)?:\s*/);
+        const type = match && CommitClassifier.ALIASES[match[1].toLowerCase()];
+        if (type) {
+            return { type, scope: match[2] || null, breaking: Boolean(match[3]) || breakingFooter, conventional: true };
+        }
+
+        const guess = CommitClassifier.HEURISTICS.find(([, pattern]) => pattern.test(subject));
+        return { type: guess ? guess[0] : 'other', scope: null, breaking: breakingFooter, conventional: false };
+    }
+}
+
+CommitClassifier.TYPES = ['feat', 'fix', 'refactor', 'docs', 'chore', 'other'];
+
+// Every spec type folds into one of the five visual types
+CommitClassifier.ALIASES = {
+    feat: 'feat', feature: 'feat',
+    fix: 'fix', bugfix: 'fix', hotfix: 'fix', revert: 'fix',
+    refactor: 'refactor', perf: 'refactor', style: 'refactor',
+    docs: 'docs', doc: 'docs',
+    chore: 'chore', build: 'chore', ci: 'chore', test: 'chore', tests: 'chore', deps: 'chore', release: 'chore'
+};
+
+// Free-form fallback, checked in order against the subject line
+CommitClassifier.HEURISTICS = [
+    ['fix', /\b(fix(e[sd])?|bugs?|crash(es)?|regression|hotfix|patch(ed)?|resolve[sd]?|repair(ed)?|correct(ed|s)?)\b/i],
+    ['docs', /\b(docs?|documentation|readme|changelog|typos?|comments?)\b/i],
+    ['refactor', /\b(refactor(ed|ing|s)?|clean(ed)? ?up|restructure[sd]?|rename[sd]?|simplif(y|ied|ies)|extract(ed)?|reorgani[sz]e[sd]?)\b/i],
+    ['chore', /\b(bump(ed|s)?|upgrade[sd]?|dependenc(y|ies)|deps|release|version|merge|lint|format(ting)?|ci|build)\b/i],
+    ['feat', /^(add(ed|s)?|implement(ed|s)?|introduce[sd]?|support|create[sd]?|new|allow|enable[sd]?)\b/i]
+];
+
+// Matrix glyph set per type
+CommitClassifier.GLYPHS = {
+    feat: '+✚✦⊕',
+    fix: '×✕✗⊗',
+    refactor: '↻⇄⟲∿',
+    docs: '¶§※',
+    chore: '·∘•◦',
+    breaking: '!‼'
+};
+
+// Merges the spellings of one person (GitHub login, emails, names) into a
+// single authorId, after applying .mailmap corrections.
+class IdentityResolver {
+    constructor(mailmap = '') {
+        this.entries = IdentityResolver.parseMailmap(mailmap);
+    }
+
+    static parseMailmap(text) {
+        // Proper Name <proper@email> Commit Name <commit@email>; everything
+        // but the last email is optional
+        const entries = [];
+        String(text || '').split('\n').forEach((raw) => {
+            const line = raw.replace(/(^|>)\s*#.*$/, '$1').trim();
+            const match = line.match(/^([^<]*)<([^>]*)>\s*(?:([^<]*)<([^>]*)>)?$/);
+            if (!match) return;
+            const [, name1, email1, name2, email2] = match;
+            entries.push(email2 === undefined
+                ? { properName: name1.trim() || null, properEmail: null, commitName: null, commitEmail: email1.trim().toLowerCase() }
+                : {
+                    properName: name1.trim() || null,
+                    properEmail: email1.trim() || null,
+                    commitName: (name2 || '').trim().toLowerCase() || null,
+                    commitEmail: email2.trim().toLowerCase()
+                });
+        });
+        return entries;
+    }
+
+    static loginFromEmail(email) {
+        // 12345+login@users.noreply.github.com belongs to @login
+        const match = String(email || '').match(/^(?:\d+\+)?([^@]+)@users\.noreply\.github\.com$/i);
+        return match ? match[1] : null;
+    }
+
+    map(name, email) {
+        // Like git: name-specific entries beat email-only ones, later lines win
+        const lowerName = String(name || '').trim().toLowerCase();
+        const lowerEmail = String(email || '').trim().toLowerCase();
+        let best = null;
+        this.entries.forEach((entry) => {
+            if (entry.commitEmail !== lowerEmail) return;
+            if (entry.commitName && entry.commitName !== lowerName) return;
+            if (!best || entry.commitName || !best.commitName) best = entry;
+        });
+        return {
+            name: best?.properName || name || null,
+            email: best?.properEmail || email || null
+        };
+    }
+
+    static parseCoAuthors(message) {
+        // "Co-authored-by: Name <email>" trailers, as GitHub writes them
+        const coAuthors = [];
+        String(message || '').split('\n').forEach((line) => {
+            const match = line.match(/^\s*co-authored-by:\s*([^<]*?)\s*<([^>]*)>\s*$/i);
+            if (match) coAuthors.push({ name: match[1] || null, email: match[2].trim() || null });
+        });
+        return coAuthors;
+    }
+
+    static attachCoAuthors(commits) {
+        // Sources never fill coAuthors themselves; it is derived from the message
+        commits.forEach((commit) => {
+            if (!Array.isArray(commit.coAuthors)) commit.coAuthors = IdentityResolver.parseCoAuthors(commit.commit?.message);
+        });
+        return commits;
+    }
+
+    resolve(commits) {
+        // Union-find over login:, email: and name: keys; identities sharing
+        // any key belong to one person. Returns { authorIds, coAuthorIds }:
+        // Map(commit -> authorId) and Map(commit -> [co-author ids]).
+        const parent = new Map();
+        const find = (key) => {
+            while (parent.get(key) !== key) {
+                parent.set(key, parent.get(parent.get(key)));
+                key = parent.get(key);
+            }
+            return key;
+        };
+        const identify = (rawName, rawEmail, rawLogin, coAuthor) => {
+            const mapped = this.map(rawName, rawEmail);
+            const name = String(mapped.name || '').trim();
+            const email = String(mapped.email || '').trim().toLowerCase();
+            const login = rawLogin || IdentityResolver.loginFromEmail(email);
+            const keys = [];
+            if (login) keys.push(`login:${login.toLowerCase()}`);
+            if (email) keys.push(`email:${email}`);
+            // A name like "jane@corp" is an email typed into user.name
+            if (name.includes('@')) keys.push(`email:${name.toLowerCase()}`);
+            else if (name) keys.push(`name:${name.toLowerCase().replace(/\s+/g, ' ')}`);
+
+            keys.forEach((key) => {
+                if (!parent.has(key)) parent.set(key, key);
+            });
+            keys.slice(1).forEach((key) => parent.set(find(key), find(keys[0])));
+            return { keys, label: name || String(mapped.email || '').trim() || login, coAuthor };
+        };
+        const people = commits.map((commit) => {
+            const author = commit.commit?.author || {};
+            const coAuthors = commit.coAuthors || IdentityResolver.parseCoAuthors(commit.commit?.message);
+            return [
+                identify(author.name, author.email, commit.author?.login, false),
+                ...coAuthors.map((person) => identify(person.name, person.email, null, true))
+            ];
+        });
+
+        // Each person is named by their most used spelling as an author (trailer
+        // spellings only break ties), so unmerged authors keep the same id
+        // (and color) as their plain name
+        const tallies = new Map();
+        people.flat().forEach(({ keys, label, coAuthor }) => {
+            if (!keys.length) return;
+            const root = find(keys[0]);
+            const tally = tallies.get(root) || new Map();
+            const count = tally.get(label) || [0, 0];
+            count[coAuthor ? 1 : 0]++;
+            tally.set(label, count);
+            tallies.set(root, tally);
+        });
+        const ids = new Map();
+        tallies.forEach((tally, root) => {
+            let best = null;
+            tally.forEach((count, label) => {
+                if (!best || count[0] > best[1][0] || (count[0] === best[1][0] && count[1] > best[1][1])) best = [label, count];
+            });
+            ids.set(root, best[0]);
+        });
+
+        // Commits without any author details are left out
+        const authorIds = new Map();
+        const coAuthorIds = new Map();
+        commits.forEach((commit, i) => {
+            const [author, ...coAuthors] = people[i];
+            const authorId = author.keys.length ? ids.get(find(author.keys[0])) : null;
+            if (authorId) authorIds.set(commit, authorId);
+            const others = [...new Set(coAuthors
+                .filter((person) => person.keys.length)
+                .map((person) => ids.get(find(person.keys[0]))))]
+                .filter((id) => id !== authorId);
+            if (others.length) coAuthorIds.set(commit, others);
+        });
+        return { authorIds, coAuthorIds };
+    }
+}
+
+// Recognizes automation accounts (Dependabot, Renovate, CI and release bots)
+// by the [bot] suffix, well-known logins and user-supplied glob patterns.
+class BotDetector {
+    constructor(patterns = '') {
+        this.patterns = String(patterns || '')
+            .split(/[\s,]+/)
+            .filter(Boolean)
+            .map((glob) => new RegExp(`^${glob.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*')}$`, 'i'));
+    }
+
+    isBot(commit) {
+        const author = commit.commit?.author || {};
+        return this.matches({ login: commit.author?.login, name: author.name, email: author.email });
+    }
+
+    matches({ login, name, email, type }) {
+        // Works for commit authors and contributor entries alike
+        if (type === 'Bot') return true;
+        // 49699333+dependabot[bot]@users.noreply.github.com -> dependabot[bot]
+        const mailbox = String(email || '').split('@')[0].replace(/^\d+\+/, '');
+        const names = [login, name, mailbox].filter(Boolean).map((value) => String(value).toLowerCase());
+        if (names.some((value) => value.endsWith('[bot]') || BotDetector.LOGINS.includes(value))) return true;
+        const values = [login, name, email].filter(Boolean).map(String);
+        return this.patterns.some((pattern) => values.some((value) => pattern.test(value)));
+    }
+}
+
+BotDetector.LOGINS = [
+    'dependabot', 'dependabot-preview', 'renovate', 'renovate-bot', 'renovatebot', 'github-actions',
+    'greenkeeper', 'greenkeeperio-bot', 'snyk-bot', 'semantic-release-bot', 'release-please',
+    'changeset-bot', 'pre-commit-ci', 'allcontributors', 'imgbot', 'mergify', 'depfu', 'pyup-bot',
+    'codecov', 'kodiakhq', 'bors', 'homu', 'weblate', 'gitlab-bot'
+];
+// Share of a person a bot commit counts for in downweight mode
+BotDetector.DOWNWEIGHT = 0.25;
+BotDetector.MODES = ['include', 'exclude', 'downweight', 'machine'];
+
+// Lays a history out like `git log --graph`: each commit gets a lane, a
+// merge flag and a branch depth (0 on the mainline, +1 per merge away from
+// it). Parents missing from the list (sampled pages) simply end a lane.
+class CommitTopology {
+    static analyze(commits) {
+        const known = new Set(commits.map((commit) => commit.sha));
+        const depths = new Map();
+        const lanes = []; // sha each lane is waiting for, null when free
+        const placed = new Set();
+        const result = new Map();
+        const claim = (sha) => {
+            const free = lanes.indexOf(null);
+            if (free === -1) return lanes.push(sha) - 1;
+            lanes[free] = sha;
+            return free;
+        };
+
+        // Newest first, so children are placed before their parents
+        for (let i = commits.length - 1; i >= 0; i--) {
+            const commit = commits[i];
+            const parents = (commit.parents || []).map((parent) => parent.sha);
+            let lane = lanes.indexOf(commit.sha);
+            if (lane === -1) lane = claim(commit.sha);
+            // Every lane waiting for this commit ends here
+            lanes.forEach((sha, index) => {
+                if (sha === commit.sha) lanes[index] = null;
+            });
+            const depth = depths.get(commit.sha) || 0;
+            placed.add(commit.sha);
+
+            // The first parent continues this lane; merged parents open new ones
+            parents.forEach((sha, k) => {
+                if (!known.has(sha)) return;
+                const parentDepth = k === 0 ? depth : depth + 1;
+                if (!depths.has(sha) || depths.get(sha) > parentDepth) depths.set(sha, parentDepth);
+                // Date order can list a parent before its child; never wait for it
+                if (placed.has(sha) || lanes.includes(sha)) return;
+                if (k === 0) lanes[lane] = sha;
+                else claim(sha);
+            });
+
+            result.set(commit, { lane, merge: parents.length > 1, depth });
+        }
+        return result;
+    }
+}
+
+// Builds repoData from a local `git log` export so private repositories can
+// be rendered without any network access. Expects the output of
+// `git log --numstat --format=<GitLogImporter.FORMAT>` (see README).
+class GitLogImporter {
+    static parse(text, name = 'local') {
+        const records = String(text || '').split('\x1e').filter((record) => record.trim());
+        if (!records.length) {
+            throw new Error('No commits found. Export the log with the git log command from the README.');
+        }
+
+        // git log lists newest first; repoData runs oldest -> newest
+        const commits = records.map((record) => GitLogImporter.parseRecord(record)).reverse();
+        const tags = records.flatMap((record) => GitLogImporter.parseTags(record));
+        const first = commits[0].commit.author.date;
+        const last = commits[commits.length - 1].commit.author.date;
+
+        return {
+            info: {
+                full_name: `local/${name}`,
+                name,
+                owner: { login: 'local' },
+                html_url: null,
+                created_at: first,
+                pushed_at: last,
+                stargazers_count: 0,
+                forks_count: 0,
+                open_issues_count: 0,
+                default_branch: null
+            },
+            commits,
+            languages: GitLogImporter.languagesFromFiles(commits.flatMap((commit) => commit.files)),
+            contributors: ForgeProvider.contributorsFromCommits(commits),
+            milestones: ForgeProvider.mergeMilestones(tags, [], commits),
+            stats: {}
+        };
+    }
+
+    static parseRecord(record) {
+        const fields = record.split('\x1f');
+        if (fields.length < 10 || !/^[0-9a-f]{7,64}$/i.test(fields[0].trim())) {
+            throw new Error('Unrecognized log format. Export the log with the git log command from the README.');
+        }
+        // Exports from before the ref names field (%D) have one field less
+        if (fields.length > 10) fields.splice(8, 1);
+        const [sha, parents, authorName, authorEmail, authorDate, committerName, committerEmail, committerDate, message, numstat] = fields;
+
+        const files = [];
+        numstat.split('\n').forEach((line) => {
+            // "added<TAB>deleted<TAB>path"; binary files report "-"
+            const match = line.match(/^(\d+|-)\t(\d+|-)\t(.+)$/);
+            if (!match) return;
+            files.push({
+                filename: GitLogImporter.resolveRename(match[3]),
+                additions: match[1] === '-' ? 0 : Number(match[1]),
+                deletions: match[2] === '-' ? 0 : Number(match[2])
+            });
+        });
+
+        return {
+            sha: sha.trim(),
+            commit: {
+                author: { name: authorName, email: authorEmail, date: authorDate },
+                committer: { name: committerName, email: committerEmail, date: committerDate },
+                message: message.trim()
+            },
+            author: null,
+            parents: parents.trim().split(/\s+/).filter(Boolean).map((parent) => ({ sha: parent })),
+            ...ForgeProvider.detailFromFiles(files)
+        };
+    }
+
+    static parseTags(record) {
+        // "HEAD -> main, tag: v1.2.0, origin/main" from the %D field
+        const fields = record.split('\x1f');
+        if (fields.length <= 10) return [];
+        return fields[8].split(',')
+            .map((ref) => ref.trim().match(/^tag: (.+)$/))
+            .filter(Boolean)
+            .map((match) => ({ name: match[1], sha: fields[0].trim(), date: null }));
+    }
+
+    static resolveRename(path) {
+        // "src/{old => new}/a.js" and "old.js => new.js" name the new path
+        if (path.includes('{')) {
+            return path.replace(/\{[^{}]* => ([^{}]*)\}/, '$1').replace(/\/\/+/g, '/');
+        }
+        const arrow = path.indexOf(' => ');
+        return arrow === -1 ? path : path.slice(arrow + 4);
+    }
+
+    static languagesFromFiles(files) {
+        // Net lines per language stand in for GitHub's byte counts; fall back
+        // to churn when a history deletes more than it adds.
+        const net = {};
+        const churn = {};
+        files.forEach((file) => {
+            const language = LanguageClassifier.classify(file.filename);
+            if (!language) return;
+            net[language] = (net[language] || 0) + file.additions - file.deletions;
+            churn[language] = (churn[language] || 0) + file.additions + file.deletions;
+        });
+        const sizes = Object.keys(churn).reduce((acc, language) => {
+            acc[language] = net[language] > 0 ? net[language] : churn[language];
+            return acc;
+        }, {});
+
+        // Largest first, matching the forge APIs
+        return Object.fromEntries(Object.entries(sizes).sort((a, b) => b[1] - a[1]));
+    }
+}
+
+// Record and field separators keep multi-line messages intact
+GitLogImporter.FORMAT = '%x1e%H%x1f%P%x1f%an%x1f%ae%x1f%aI%x1f%cn%x1f%ce%x1f%cI%x1f%D%x1f%B%x1f';
+
+// Deterministic made-up histories in the shape fetchRepoData() returns: the
+// offline fallback, the ?synthetic= sandbox and reproducible test fixtures.
+// Every option has a default, and the same options always give the same repo.
+class SyntheticRepoGenerator {
+    constructor(options = {}) {
+        this.options = { ...SyntheticRepoGenerator.DEFAULTS, ...options };
+    }
+
+    static fromPreset(name, overrides = {}) {
+        const preset = SyntheticRepoGenerator.PRESETS[name];
+        if (!preset) {
+            throw new Error(`Unknown preset "${name}" (expected ${Object.keys(SyntheticRepoGenerator.PRESETS).join(', ')})`);
+        }
+        return new SyntheticRepoGenerator({ name: `synthetic/${name}`, ...preset, ...overrides });
+    }
+
+    static createRng(seed) {
+        // Same generator as SimpleVisualizer.createSeededRNG()
+        const m = 0x80000000;
+        const a = 1103515245;
+        const c = 12345;
+        let state = Math.abs(seed) || 1;
+        return () => {
+            state = (a * state + c) % m;
+            return state / (m - 1);
+        };
+    }
+
+    static hash(text) {
+        let hash = 0;
+        for (let i = 0; i < text.length; i++) {
+            hash = ((hash << 5) - hash + text.charCodeAt(i)) & 0xffffffff;
+        }
+        return Math.abs(hash);
+    }
+
+    generate() {
+        const options = this.options;
+        const rng = SyntheticRepoGenerator.createRng(SyntheticRepoGenerator.hash(String(options.seed ?? options.name)));
+        const pick = (list) => list[Math.floor(rng() * list.length)];
+        const weighted = (entries) => {
+            const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+            let roll = rng() * total;
+            return (entries.find(([, weight]) => (roll -= weight) < 0) || entries[entries.length - 1])[0];
+        };
+
+        const authors = this.createAuthors();
+        const times = this.createTimes(rng);
+        const languages = Object.entries(options.languages);
+
+        // A mainline plus at most one open feature branch; merges close it
+        const commits = [];
+        let mainTip = null;
+        let branchTip = null;
+        let pullNumber = 0;
+        times.forEach((time, i) => {
+            const author = weighted(authors.map((person) => [person, person.weight]));
+            const date = new Date(time).toISOString();
+            const sha = SyntheticRepoGenerator.hash(`${options.name}:${i}`).toString(16).padStart(8, '0')
+                + Math.floor(rng() * 0xffffffff).toString(16).padStart(8, '0');
+            let parents = mainTip ? [mainTip] : [];
+            let message;
+            let onBranch = false;
+
+            if (branchTip && mainTip && rng() < options.mergeRatio * 2) {
+                parents = [mainTip, branchTip];
+                message = `Merge pull request #${++pullNumber} from ${author.login}/topic-${pullNumber}`;
+                branchTip = null;
+            } else {
+                if (!branchTip && mainTip && rng() < options.mergeRatio * 2) {
+                    onBranch = true;
+                } else if (branchTip && rng() < 0.5) {
+                    parents = [branchTip];
+                    onBranch = true;
+                }
+                message = this.createMessage(rng, pick, weighted);
+            }
+
+            const files = this.createFiles(rng, pick, weighted, languages, message);
+            const commit = {
+                sha,
+                commit: {
+                    author: { name: author.name, email: author.email, date },
+                    committer: { name: author.name, email: author.email, date },
+                    message
+                },
+                author: { login: author.login },
+                parents: parents.map((parent) => ({ sha: parent })),
+                ...ForgeProvider.detailFromFiles(parents.length > 1 ? [] : files)
+            };
+            commits.push(commit);
+            if (onBranch) branchTip = sha;
+            else mainTip = sha;
+        });
+
+        const first = commits[0].commit.author.date;
+        const last = commits[commits.length - 1].commit.author.date;
+        const stars = Math.floor(rng() * 10000);
+        const forks = Math.floor(rng() * 1000);
+        const [owner, name] = options.name.includes('/') ? options.name.split('/') : ['synthetic', options.name];
+
+        return {
+            info: {
+                full_name: `${owner}/${name}`,
+                name,
+                owner: { login: owner },
+                html_url: null,
+                created_at: first,
+                pushed_at: last,
+                stargazers_count: stars,
+                forks_count: forks,
+                open_issues_count: 0,
+                default_branch: 'main'
+            },
+            commits,
+            // Bytes per language, in the proportions asked for, largest first
+            languages: Object.fromEntries(languages
+                .map(([language, weight]) => [language, Math.round(weight * 100000)])
+                .sort((a, b) => b[1] - a[1])),
+            contributors: ForgeProvider.contributorsFromCommits(commits),
+            milestones: this.createReleases(commits),
+            stats: { stars, forks, issues: 0 }
+        };
+    }
+
+    createAuthors() {
+        // Zipf weights: author k does 1 / k^skew of the work (skew 0 = equal shares)
+        return Array.from({ length: Math.max(1, this.options.authors) }, (_, i) => {
+            const names = SyntheticRepoGenerator.NAMES;
+            const first = names[i % names.length];
+            const round = Math.floor(i / names.length);
+            const name = round ? `${first} ${round + 1}` : first;
+            const login = name.toLowerCase().replace(/\s+/g, '-');
+            return { name, login, email: `${login}@example.com`, weight: 1 / Math.pow(i + 1, this.options.skew) };
+        });
+    }
+
+    createTimes(rng) {
+        // Burstiness 0 spreads commits evenly; 1 packs them into a few busy weeks
+        const { commits: count, ageDays, burstiness, until } = this.options;
+        const end = Date.parse(until);
+        const span = ageDays * 86400000;
+        const start = end - span;
+        const bursts = Array.from({ length: Math.max(1, Math.round(count / 25)) }, () => start + rng() * span);
+
+        const times = Array.from({ length: Math.max(1, count) }, () => {
+            if (rng() >= burstiness) return start + rng() * span;
+            const center = bursts[Math.floor(rng() * bursts.length)];
+            const spread = (rng() + rng() + rng() - 1.5) * 7 * 86400000;
+            return Math.min(end, Math.max(start, center + spread));
+        });
+        return times.sort((a, b) => a - b);
+    }
+
+    createMessage(rng, pick, weighted) {
+        const type = weighted(Object.entries(SyntheticRepoGenerator.TYPE_WEIGHTS));
+        const style = this.options.messageStyle === 'mixed' ? pick(['conventional', 'freeform']) : this.options.messageStyle;
+        const subject = `${pick(SyntheticRepoGenerator.VERBS[type])} ${pick(SyntheticRepoGenerator.NOUNS)}`;
+        if (style !== 'conventional') return subject.charAt(0).toUpperCase() + subject.slice(1);
+        const scope = rng() < 0.4 ? `(${pick(SyntheticRepoGenerator.NOUNS)})` : '';
+        return `${type}${scope}: ${subject}`;
+    }
+
+    createFiles(rng, pick, weighted, languages, message) {
+        // Heavy-tailed sizes: most commits are small, a few are huge
+        if (CommitClassifier.classify(message).type === 'docs') {
+            return [{ filename: 'README.md', additions: 1 + Math.floor(rng() * 20), deletions: Math.floor(rng() * 10) }];
+        }
+        const count = 1 + Math.floor(rng() * rng() * 5);
+        return Array.from({ length: count }, () => {
+            const language = weighted(languages);
+            const lines = Math.min(2000, Math.floor(2 + Math.pow(rng(), -0.8) * 4));
+            const additions = Math.floor(lines * (0.4 + rng() * 0.5));
+            return {
+                filename: `src/${pick(SyntheticRepoGenerator.NOUNS)}.${SyntheticRepoGenerator.extensionFor(language)}`,
+                additions,
+                deletions: lines - additions
+            };
+        });
+    }
+
+    createReleases(commits) {
+        // A release every releaseEvery days, tagged on the last commit before it
+        const every = this.options.releaseEvery * 86400000;
+        if (!every) return [];
+        const releases = [];
+        const start = Date.parse(commits[0].commit.author.date);
+        let minor = 0;
+        for (let time = start + every; time <= Date.parse(commits[commits.length - 1].commit.author.date); time += every) {
+            const tagged = [...commits].reverse().find((c) => Date.parse(c.commit.author.date) <= time);
+            if (!tagged || releases.some((release) => release.sha === tagged.sha)) continue;
+            minor++;
+            const tag = `v${Math.floor(minor / 5) + 1}.${minor % 5}.0`;
+            releases.push({ tag, name: tag, sha: tagged.sha, date: new Date(time).toISOString(), release: true, prerelease: false });
+        }
+        return releases;
+    }
+
+    static extensionFor(language) {
+        const entry = Object.entries(LanguageClassifier.EXTENSIONS).find(([, name]) => name === language);
+        return entry ? entry[0] : 'txt';
+    }
+}
+
+SyntheticRepoGenerator.DEFAULTS = {
+    name: 'synthetic/repo',
+    seed: null, // Defaults to the name
+    authors: 5,
+    skew: 1, // Zipf exponent of the authors' shares
+    commits: 150,
+    ageDays: 365,
+    until: '2025-01-01T00:00:00Z', // Date of the newest commit
+    burstiness: 0.3, // 0 - 1
+    releaseEvery: 0, // Days between releases; 0 for none
+    mergeRatio: 0, // 0 - 0.5, share of commits that are merges
+    messageStyle: 'mixed', // conventional, freeform or mixed
+    languages: { JavaScript: 0.7, CSS: 0.3 } // Relative sizes
+};
+
+// One preset per branch of SimpleVisualizer.generateSignature()
+SyntheticRepoGenerator.PRESETS = {
+    auteur: { authors: 2, skew: 2.5, ageDays: 500, messageStyle: 'freeform' },
+    society: { authors: 40, skew: 0.2, commits: 400, ageDays: 900, mergeRatio: 0.3, releaseEvery: 60, messageStyle: 'conventional' },
+    legacy: { authors: 8, skew: 1, commits: 300, ageDays: 3650, burstiness: 0.6, releaseEvery: 365 },
+    polyglot: { authors: 6, skew: 1, languages: { Python: 1, Go: 1, Rust: 1, TypeScript: 1, Shell: 1, HCL: 1 } },
+    balanced: { authors: 8, skew: 1, releaseEvery: 90 }
+};
+
+// Page parameters of the ?synthetic= sandbox and the options they set
+SyntheticRepoGenerator.QUERY_OPTIONS = {
+    seed: 'seed',
+    authors: 'authors',
+    skew: 'skew',
+    commits: 'commits',
+    age: 'ageDays',
+    burstiness: 'burstiness',
+    releases: 'releaseEvery',
+    merges: 'mergeRatio',
+    messages: 'messageStyle'
+};
+
+SyntheticRepoGenerator.NAMES = [
+    'Ada', 'Grace', 'Linus', 'Margaret', 'Ken', 'Barbara', 'Dennis', 'Frances', 'Guido', 'Radia',
+    'Bjarne', 'Hedy', 'James', 'Katherine', 'Yukihiro', 'Sophie', 'Anders', 'Joan', 'Rob', 'Mary'
+];
+
+SyntheticRepoGenerator.TYPE_WEIGHTS = { feat: 0.35, fix: 0.3, refactor: 0.1, docs: 0.1, chore: 0.15 };
+
+// Verbs that CommitClassifier's free-form heuristics file under each type
+SyntheticRepoGenerator.VERBS = {
+    feat: ['add', 'implement', 'introduce', 'support'],
+    fix: ['fix', 'fix crash in', 'resolve bug in', 'correct'],
+    refactor: ['refactor', 'simplify', 'clean up', 'extract'],
+    docs: ['document', 'update docs for', 'fix typo in docs for'],
+    chore: ['bump deps for', 'lint', 'upgrade build for']
+};
+
+SyntheticRepoGenerator.NOUNS = [
+    'parser', 'renderer', 'cache', 'router', 'scheduler', 'config', 'auth', 'client', 'worker', 'exporter',
+    'layout', 'storage', 'cli', 'logger', 'api', 'index', 'queue', 'theme', 'plugin', 'metrics'
+];
+
+// Versioned envelope for saving the exact data an artwork was drawn from:
+//   { schema: 'commit-flipbook/repo-data', version: 2, exportedAt, algorithm, repoData }
+// Bump VERSION (and add an UPGRADES step) whenever repoData changes shape.
+// `algorithm` is the SimpleVisualizer algorithm that drew it.
+class RepoDataSchema {
+    static serialize(repoData, { algorithm = SimpleVisualizer.ALGORITHM } = {}) {
+        return JSON.stringify({
+            schema: RepoDataSchema.ID,
+            version: RepoDataSchema.VERSION,
+            exportedAt: new Date().toISOString(),
+            algorithm,
+            repoData
+        }, null, 2);
+    }
+
+    static parse(text) {
+        return RepoDataSchema.read(text).repoData;
+    }
+
+    static read(text) {
+        // { repoData, algorithm }; algorithm is null for exports that predate it
+        let envelope;
+        try {
+            envelope = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Not valid JSON (${error.message})`);
+        }
+        if (!envelope || envelope.schema !== RepoDataSchema.ID) {
+            throw new Error(`Not a Commit Flipbook export (expected "schema": "${RepoDataSchema.ID}")`);
+        }
+        if (!Number.isInteger(envelope.version) || envelope.version < 1 || envelope.version > RepoDataSchema.VERSION) {
+            throw new Error(`Unsupported export version ${envelope.version}; this page reads versions 1 to ${RepoDataSchema.VERSION}`);
+        }
+        if (envelope.algorithm !== undefined && !SimpleVisualizer.ALGORITHMS.includes(envelope.algorithm)) {
+            throw new Error(`Unsupported algorithm version ${envelope.algorithm}; this page draws versions ${SimpleVisualizer.ALGORITHMS.join(', ')}`);
+        }
+
+        const errors = RepoDataSchema.validate(envelope.repoData);
+        if (errors.length) {
+            const more = errors.length > 3 ? ` (and ${errors.length - 3} more)` : '';
+            throw new Error(`Invalid repoData: ${errors.slice(0, 3).join('; ')}${more}`);
+        }
+        return {
+            repoData: RepoDataSchema.upgrade(envelope.repoData, envelope.version),
+            algorithm: envelope.algorithm ?? null
+        };
+    }
+
+    static upgrade(repoData, version) {
+        // Older exports are brought up to VERSION one step at a time
+        let upgraded = repoData;
+        for (let from = version; from < RepoDataSchema.VERSION; from++) {
+            upgraded = RepoDataSchema.UPGRADES[from](upgraded);
+        }
+        return upgraded;
+    }
+
+    static validate(repoData) {
+        // Returns human-readable problems, empty when the data can be drawn
+        const errors = [];
+        const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+        const isDate = (value) => typeof value === 'string' && Number.isFinite(Date.parse(value));
+        const isCount = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+        if (!isObject(repoData)) return ['repoData must be an object'];
+
+        const { info, commits, languages, contributors, contributorStats, stats, scope, mailmap, milestones, activity } = repoData;
+        if (!isObject(info)) {
+            errors.push('info must be an object');
+        } else {
+            if (typeof info.full_name !== 'string' || !info.full_name) errors.push('info.full_name must be a non-empty string');
+            if (!isDate(info.created_at)) errors.push('info.created_at must be a date string');
+            if (!isDate(info.pushed_at)) errors.push('info.pushed_at must be a date string');
+        }
+
+        if (!Array.isArray(commits) || !commits.length) {
+            errors.push('commits must be a non-empty array');
+        } else {
+            commits.forEach((commit, i) => {
+                const at = `commits[${i}]`;
+                if (!isObject(commit)) {
+                    errors.push(`${at} must be an object`);
+                    return;
+                }
+                if (typeof commit.sha !== 'string' || !commit.sha) errors.push(`${at}.sha must be a non-empty string`);
+                if (!isObject(commit.commit)) {
+                    errors.push(`${at}.commit must be an object`);
+                } else {
+                    if (!isDate(commit.commit.author?.date) && !isDate(commit.commit.committer?.date)) {
+                        errors.push(`${at}.commit.author.date must be a date string`);
+                    }
+                    if (commit.commit.message !== undefined && typeof commit.commit.message !== 'string') {
+                        errors.push(`${at}.commit.message must be a string`);
+                    }
+                }
+                if (commit.parents !== undefined && !Array.isArray(commit.parents)) errors.push(`${at}.parents must be an array`);
+                if (commit.stats !== undefined && (!isObject(commit.stats) || !isCount(commit.stats.total ?? 0))) {
+                    errors.push(`${at}.stats.total must be a non-negative number`);
+                }
+                if (commit.coAuthors !== undefined && (!Array.isArray(commit.coAuthors) || commit.coAuthors.some((person) => !isObject(person)))) {
+                    errors.push(`${at}.coAuthors must be an array of { name, email }`);
+                }
+                if (commit.files !== undefined && (!Array.isArray(commit.files)
+                    || commit.files.some((file) => !isObject(file) || typeof file.filename !== 'string'))) {
+                    errors.push(`${at}.files must be an array of { filename, additions, deletions }`);
+                }
+            });
+        }
+
+        if (!isObject(languages)) {
+            errors.push('languages must be an object of { name: size }');
+        } else {
+            Object.entries(languages).forEach(([name, size]) => {
+                if (!isCount(size)) errors.push(`languages.${name} must be a non-negative number`);
+            });
+        }
+
+        if (!Array.isArray(contributors)) {
+            errors.push('contributors must be an array');
+        } else if (contributors.some((person) => !isObject(person))) {
+            errors.push('contributors must only contain objects');
+        }
+
+        if (contributorStats !== undefined && contributorStats !== null && (!Array.isArray(contributorStats)
+            || contributorStats.some((person) => !isObject(person) || !Array.isArray(person.weeks)))) {
+            errors.push('contributorStats must be an array of { login, weeks }');
+        }
+
+        if (stats !== undefined && !isObject(stats)) errors.push('stats must be an object');
+        if (scope !== undefined && scope !== null && !isObject(scope)) errors.push('scope must be an object');
+        if (mailmap !== undefined && mailmap !== null && typeof mailmap !== 'string') errors.push('mailmap must be a string');
+        if (milestones !== undefined && (!Array.isArray(milestones)
+            || milestones.some((milestone) => !isObject(milestone) || typeof milestone.tag !== 'string' || !isDate(milestone.date)))) {
+            errors.push('milestones must be an array of { tag, date }');
+        }
+        if (activity !== undefined && (!Array.isArray(activity)
+            || activity.some((item) => !isObject(item) || !['issue', 'pull'].includes(item.type) || !isDate(item.openedAt)))) {
+            errors.push('activity must be an array of { type: "issue" | "pull", openedAt }');
+        }
+        return errors;
+    }
+}
+
+RepoDataSchema.ID = 'commit-flipbook/repo-data';
+RepoDataSchema.VERSION = 2;
+
+// UPGRADES[n] turns a version n repoData into version n + 1
+RepoDataSchema.UPGRADES = {
+    // 2 added milestones, activity and weekly contributorStats, and lists
+    // every contributor instead of the first page; version 1 had none of them
+    1: (repoData) => ({ mailmap: null, milestones: [], activity: [], contributorStats: null, ...repoData })
+};
+
+class CommitArtGenerator {
+    constructor() {
+        this.form = document.getElementById('flipbook-form');
+        this.repoUrlInput = document.getElementById('repo-url');
+        this.generateBtn = document.getElementById('generate-btn');
+        this.statusDiv = document.getElementById('status');
+        this.resultDiv = document.getElementById('result');
+        this.errorDiv = document.getElementById('error');
+        this.canvas = document.getElementById('result-canvas');
+        this.repoNameEl = document.getElementById('repo-name');
+        this.repoStatsEl = document.getElementById('repo-stats');
+        
+        this.visualizer = null;
+        this.repoData = null;
+        this.placeholderCycleActive = false;
+        this.resizeTimer = null;
+        this.exampleRepos = [
+            'https://github.com/facebook/react',
+            'https://github.com/torvalds/linux',
+            'https://github.com/tensorflow/tensorflow'
+        ];
+        this.currentExampleIndex = 0;
+        this.placeholderRepos = [
+            'https://github.com/facebook/react',
+            'https://github.com/vuejs/vue',
+            'https://github.com/tensorflow/tensorflow',
+            'https://github.com/bitcoin/bitcoin',
+            'https://github.com/rust-lang/rust',
+            'https://github.com/torvalds/linux'
+        ];
+        // History depth: pages of commits to follow via the Link header,
+        // optionally bounded by a date range (ISO dates or YYYY-MM-DD).
+        this.historyOptions = {
+            perPage: 100,
+            maxPages: 10,
+            since: null,
+            until: null,
+            // GraphQL pages carry line counts, so a token can afford more
+            graphQLMaxPages: 30
+        };
+        // Per-commit line stats and file lists: one request each, so keep the
+        // number of calls bounded and remember results between renders.
+        this.enrichmentOptions = {
+            concurrency: 4,
+            budget: 40
+        };
+        this.commitDetailsCache = new Map();
+        // Snapshots and ETags survive reloads so revisits render instantly
+        this.repoCache = new RepoCache();
+        // One API client (token + rate-limit state) per forge host
+        this.clients = new Map();
+        this.countdownTimer = null;
+        
+        this.init();
+    }
+    
+    init() {
+        // Initialize visualizer
+        this.visualizer = this.createVisualizer(this.loadAlgorithm());
+        this.loadHistoryOptions();
+        this.loadGiteaHosts();
+        
+        // Event listeners
+        this.form.addEventListener('submit', (e) => this.handleSubmit(e));
+        document.getElementById('download-btn')?.addEventListener('click', () => this.downloadScreenshot());
+        document.getElementById('share-btn')?.addEventListener('click', () => this.share());
+        document.getElementById('export-btn')?.addEventListener('click', () => this.exportRepoData());
+        const importInput = document.getElementById('import-input');
+        document.getElementById('import-btn')?.addEventListener('click', () => importInput?.click());
+        importInput?.addEventListener('change', () => {
+            if (importInput.files[0]) this.importLocalFile(importInput.files[0]);
+            importInput.value = '';
+        });
+        document.getElementById('randomize-btn')?.addEventListener('click', () => this.randomizeExample());
+        this.setupTokenSettings();
+        this.setupMailmapSettings();
+        this.setupBotSettings();
+        this.setupMergeSettings();
+        this.setupActivitySettings();
+        this.setupCacheSettings();
+        this.setupFileDrop();
+
+        this.repoUrlInput.addEventListener('focus', () => {
+            document.body.classList.add('is-input-focused');
+        });
+        this.repoUrlInput.addEventListener('blur', () => {
+            document.body.classList.remove('is-input-focused');
+        });
+        
+        // Handle window resize
+        window.addEventListener('resize', () => {
+            if (!this.visualizer) return;
+            this.visualizer.resize();
+            if (!this.repoData) return;
+            if (this.resizeTimer) clearTimeout(this.resizeTimer);
+            this.resizeTimer = setTimeout(() => {
+                this.visualizer.visualizeRepository(this.repoData);
+            }, 150);
+        });
+        
+        // Name the tag or release under the pointer
+        this.canvas.addEventListener('mousemove', (event) => {
+            const milestone = this.visualizer?.milestoneAt(event.offsetX);
+            this.canvas.title = milestone ? this.describeMilestone(milestone) : '';
+        });
+
+        // Set random placeholder library
+        this.setRandomPlaceholderLibrary();
+
+        // Initial overlay content
+        this.updateOverlay();
+
+        // Auto-pick an example repo on load
+        this.autoSelectExample();
+
+        // Idle UI fade for controls
+        this.setupIdleUI();
+
+        // Offline app shell
+        this.registerServiceWorker();
+    }
+    
+    createVisualizer(algorithm) {
+        return SimpleVisualizer.create(this.canvas, {
+            mailmap: this.loadMailmap(),
+            ...this.loadBotOptions(),
+            hideMerges: this.loadHideMerges(),
+            showActivity: this.loadShowActivity(),
+            algorithm
+        });
+    }
+
+    useAlgorithm(algorithm) {
+        // Swap in the visualizer for another algorithm version
+        if (this.visualizer.algorithm === algorithm) return;
+        this.visualizer.stop();
+        this.visualizer.threeCanvas?.remove();
+        this.visualizer = this.createVisualizer(algorithm);
+    }
+
+    loadAlgorithm() {
+        // ?algo=1 reproduces artworks made before the algorithm last changed
+        const version = Number(new URLSearchParams(window.location.search).get('algo'));
+        return SimpleVisualizer.ALGORITHMS.includes(version) ? version : SimpleVisualizer.ALGORITHM;
+    }
+
+    loadHistoryOptions() {
+        // Page-level overrides: ?depth=25&since=2015-01-01&until=2020-12-31
+        const params = new URLSearchParams(window.location.search);
+        const depth = parseInt(params.get('depth'), 10);
+        if (Number.isFinite(depth) && depth > 0) {
+            this.historyOptions.maxPages = Math.min(depth, 100);
+        }
+        ['since', 'until'].forEach((key) => {
+            const value = params.get(key);
+            if (value && Number.isFinite(new Date(value).getTime())) {
+                this.historyOptions[key] = value;
+            }
+        });
+    }
+
+    setRandomPlaceholderLibrary() {
+        let currentIndex = 0;
+        let isTyping = false;
+        let currentFullUrl = this.placeholderRepos[0]; 
+        
+        const typeText = async (text) => {
+            if (isTyping) return;
+            isTyping = true;
+            currentFullUrl = text;
+            
+            // Simple typing effect simulation
+            this.repoUrlInput.setAttribute('placeholder', text);
+            
+            isTyping = false;
+        };
+        
+        this.placeholderCycleActive = true;
+
+        const cycleRepositories = async () => {
+            if (!this.placeholderCycleActive) return;
+            await typeText(this.placeholderRepos[currentIndex]);
+            currentIndex = (currentIndex + 1) % this.placeholderRepos.length;
+            setTimeout(cycleRepositories, 4000);
+        };
+        
+        // Expose the current full URL for form submission
+        this.getCurrentPlaceholderUrl = () => currentFullUrl;
+        
+        cycleRepositories();
+    }
+
+    async autoSelectExample() {
+        if (this.repoUrlInput.value.trim()) return;
+        if (this.showSyntheticRepo()) return;
+        // Offline (e.g. a kiosk that lost its network): reopen the last
+        // repository shown instead of simulating an example
+        if (navigator.onLine === false && await this.showLatestSnapshot()) return;
+
+        const repoUrl = this.getRandomExampleRepo();
+        if (!repoUrl) return;
+
+        this.repoUrlInput.value = repoUrl;
+        this.form.dispatchEvent(new Event('submit'));
+    }
+
+    showSyntheticRepo() {
+        // "What would my repo look like if...": ?synthetic=society&authors=3&skew=2
+        const params = new URLSearchParams(window.location.search);
+        const preset = params.get('synthetic');
+        if (!preset) return false;
+
+        const overrides = {};
+        Object.entries(SyntheticRepoGenerator.QUERY_OPTIONS).forEach(([key, option]) => {
+            const value = params.get(key);
+            if (value === null) return;
+            if (option === 'seed' || option === 'messageStyle') overrides[option] = value;
+            else if (Number.isFinite(Number(value))) overrides[option] = Number(value);
+        });
+        try {
+            const generator = preset in SyntheticRepoGenerator.PRESETS
+                ? SyntheticRepoGenerator.fromPreset(preset, overrides)
+                : new SyntheticRepoGenerator(overrides);
+            this.displayRepoData(generator.generate(), { synthetic: true });
+        } catch (error) {
+            this.showError(`Could not generate synthetic repository: ${error.message}`);
+        }
+        return true;
+    }
+
+    async showLatestSnapshot() {
+        const snapshot = await this.repoCache.latestSnapshot();
+        if (!snapshot) return false;
+        this.displayRepoData(snapshot.repoData, { cachedAt: snapshot.savedAt, offline: true });
+        return true;
+    }
+
+    registerServiceWorker() {
+        // Precaches the app shell (see sw.js); file:// pages cannot register one
+        if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+        navigator.serviceWorker.register('sw.js').catch((error) => {
+            console.warn('Service worker registration failed:', error);
+        });
+    }
+
+    getRandomExampleRepo() {
+        if (this.exampleRepos && this.exampleRepos.length) {
+            const index = Math.floor(Math.random() * this.exampleRepos.length);
+            this.currentExampleIndex = index;
+            return this.exampleRepos[index];
+        }
+        return null;
+    }
+
+    randomizeExample() {
+        if (!this.exampleRepos.length) return;
+        this.currentExampleIndex = (this.currentExampleIndex + 1) % this.exampleRepos.length;
+        const repoUrl = this.exampleRepos[this.currentExampleIndex];
+        if (!repoUrl) return;
+        this.repoUrlInput.value = repoUrl;
+        this.form.dispatchEvent(new Event('submit'));
+    }
+
+    setupIdleUI() {
+        const idleClass = 'is-idle';
+        const idleDelay = 3000;
+        let idleTimer = null;
+        const controls = document.querySelector('.overlay-controls');
+        const stack = document.querySelector('.overlay-stack');
+
+        const updateIdleShift = () => {
+            if (!controls || !stack) return;
+            const controlsHeight = controls.getBoundingClientRect().height;
+            const stackStyles = window.getComputedStyle(stack);
+            const gap = parseFloat(stackStyles.gap || '0') || 0;
+            const shift = Math.max(0, Math.round(controlsHeight));
+            const shiftActions = Math.max(0, Math.round(controlsHeight + gap));
+            document.body.style.setProperty('--idle-shift', `${shift}px`);
+            document.body.style.setProperty('--idle-shift-actions', `${shiftActions}px`);
+        };
+
+        const resetIdleTimer = () => {
+            if (idleTimer) clearTimeout(idleTimer);
+            idleTimer = setTimeout(() => {
                 updateIdleShift();
                 document.body.classList.add(idleClass);
             }, idleDelay);
@@ -3101,66 +9355,66 @@ class CommitArtGenerator {
         
         this.hideAll();
         this.setLoadingState(true);
-        this.showStatus('Connecting to GitHub...');
         
         const repoUrl = this.repoUrlInput.value.trim() || this.getCurrentPlaceholderUrl();
+        let provider = null;
+        let target = null;
+        let snapshot = null;
         
         try {
-            const { owner, repo } = this.parseGitHubUrl(repoUrl);
-            
-            // Fetch repository info
-            this.showStatus(`Fetching data for ${owner}/${repo}...`);
-            const repoInfo = await this.fetchRepoInfo(owner, repo);
-            
-            // Fetch details in parallel
-            this.showStatus('Analyzing patterns...');
-            const [commits, languages, contributors] = await Promise.all([
-                this.fetchCommitsWithStats(owner, repo, 150),
-                this.fetchLanguages(owner, repo),
-                this.fetchContributors(owner, repo)
-            ]);
-            
-            this.repoData = {
-                info: repoInfo,
-                commits: commits,
-                languages: languages,
-                contributors: contributors,
-                stats: {
-                    stars: repoInfo.stargazers_count,
-                    forks: repoInfo.forks_count,
-                    issues: repoInfo.open_issues_count
-                }
-            };
-            
-            this.showResult();
-            this.updateOverlay(this.repoData);
-            this.updateInputPlaceholder(this.repoData);
+            const Provider = await this.detectProvider(repoUrl);
+            target = Provider.parseUrl(repoUrl);
+            provider = this.createProvider(Provider, target);
+
+            // Render the cached snapshot right away, then revalidate it
+            const cacheKey = RepoCache.snapshotKey(Provider, target, this.historyOptions);
+            snapshot = await this.repoCache.getSnapshot(cacheKey);
+            const snapshotJson = snapshot ? JSON.stringify(snapshot.repoData) : null;
+            if (snapshot) {
+                this.seedDetailsCache(snapshot.repoData, target);
+                this.displayRepoData(snapshot.repoData, { cachedAt: snapshot.savedAt });
+                this.showStatus(`Checking ${target.owner}/${target.repo} for updates...`);
+            } else {
+                this.showStatus(`Fetching data for ${target.owner}/${target.repo} from ${Provider.label}...`);
+            }
             
-            // Delay slightly to ensure canvas is ready
-            setTimeout(() => {
-                this.hideStatus();
-                this.visualizer.visualizeRepository(this.repoData);
-            }, 50);
+            // Fetch repository data through the matching forge
+            const repoData = await provider.fetchRepoData();
+            await this.repoCache.putSnapshot(cacheKey, repoData);
+
+            if (snapshotJson === JSON.stringify(repoData)) {
+                // Unchanged (typically all 304s): keep the running animation
+                this.showResult();
+                this.updateOverlay(repoData);
+            } else {
+                this.displayRepoData(repoData);
+            }
             
         } catch (error) {
             console.error('Visualization error:', error);
+
+            // Offline or out of budget: the snapshot on screen is still valid
+            const isNetworkError = this.isNetworkError(error);
+            if (snapshot) {
+                this.showResult();
+                this.updateOverlay(snapshot.repoData, { cachedAt: snapshot.savedAt, offline: isNetworkError });
+                return;
+            }
+
+            // Rate limits are recoverable: say when, don't fake the data
+            if (error instanceof RateLimitError) {
+                this.showRateLimitCountdown(error.resetAt, provider?.client.token
+                    ? `${error.label} rate limit reached, resets`
+                    : `${error.label} rate limit reached (add a token for more), resets`);
+                return;
+            }
             
             // Fallback for Rate Limits OR Network Errors (Offline)
-            const isNetworkError = error.message.includes('Failed to fetch') || error.message.includes('NetworkError');
             const isApiError = error.message.includes('rate limit') || error.message.includes('API error') || error.message.includes('404') || error.message.includes('403');
             
-            if (isNetworkError || isApiError) {
+            if (target && (isNetworkError || isApiError)) {
                 this.showStatus('Simulation mode (Network/API unavailable)...');
-                const { owner, repo } = this.parseGitHubUrl(repoUrl);
-                const fallbackData = this.createFallbackData(owner, repo);
-                
-                this.showResult();
-                this.updateOverlay(fallbackData);
-                this.updateInputPlaceholder(fallbackData);
-                setTimeout(() => {
-                    this.hideStatus();
-                    this.visualizer.visualizeRepository(fallbackData);
-                }, 100);
+                this.displayRepoData(this.createFallbackData(target.owner, target.repo), { simulated: true });
             } else {
                 this.showError(`Could not visualize: ${error.message}`);
             }
@@ -3169,117 +9423,164 @@ class CommitArtGenerator {
         }
     }
     
-    parseGitHubUrl(url) {
-        // Handle common formats:
-        // https://github.com/owner/repo
-        // github.com/owner/repo
-        // owner/repo
-        let cleanUrl = url.replace('https://', '').replace('http://', '').replace('github.com/', '');
-        const parts = cleanUrl.split('/').filter(p => p);
-        
-        if (parts.length < 2) throw new Error('Invalid Repository URL');
-        
-        return { owner: parts[0], repo: parts[1].replace('.git', '') };
+    isNetworkError(error) {
+        // Chrome, Firefox and Safari word a failed fetch differently
+        if (typeof navigator !== 'undefined' && navigator.onLine === false) return true;
+        return /Failed to fetch|NetworkError|Load failed/.test(error.message);
     }
-    
-    // ... (Keep existing fallback data generation)
-    createFallbackData(owner, repo) {
-        // Create deterministic data based on repository name
-        const repoName = `${owner}/${repo}`;
-        let hash = 0;
-        for (let i = 0; i < repoName.length; i++) {
-            hash = ((hash << 5) - hash + repoName.charCodeAt(i)) & 0xffffffff;
-        }
-        
-        const rng = (seed) => {
-            let m = 0x80000000;
-            let a = 1103515245;
-            let c = 12345;
-            let state = seed;
-            return function() {
-                state = (a * state + c) % m;
-                return state / (m - 1);
-            };
-        };
 
-        const random = rng(Math.abs(hash));
-        
-        // Mock commits
-        const commitCount = 50 + Math.floor(random() * 100);
-        const commits = [];
-        for (let i = 0; i < commitCount; i++) {
-            const authorIndex = Math.floor(random() * 5);
-            const commitDate = new Date(Date.now() - Math.floor(random() * 31536000000)).toISOString();
-            const messageSuffix = Math.floor(random() * 1000);
-            const sha = Math.floor(random() * 1e16).toString(16).padStart(16, '0');
+    setupFileDrop() {
+        // Drop a repoData export or a `git log --numstat` file anywhere on the page
+        let depth = 0;
+        document.addEventListener('dragenter', (e) => {
+            if (!e.dataTransfer?.types.includes('Files')) return;
+            e.preventDefault();
+            depth++;
+            document.body.classList.add('is-dragging');
+        });
+        document.addEventListener('dragleave', () => {
+            depth = Math.max(0, depth - 1);
+            if (!depth) document.body.classList.remove('is-dragging');
+        });
+        document.addEventListener('dragover', (e) => {
+            if (e.dataTransfer?.types.includes('Files')) e.preventDefault();
+        });
+        document.addEventListener('drop', (e) => {
+            const file = e.dataTransfer?.files?.[0];
+            if (!file) return;
+            e.preventDefault();
+            depth = 0;
+            document.body.classList.remove('is-dragging');
+            this.importLocalFile(file);
+        });
+    }
 
-            commits.push({
-                sha,
-                commit: { 
-                    author: { 
-                        name: `Dev ${authorIndex + 1}`,
-                        email: `dev${authorIndex}@test.com`,
-                        date: commitDate
-                    },
-                    committer: {
-                        date: commitDate
-                    },
-                    message: `Generated commit ${i + 1} (${messageSuffix})`
-                },
-                stats: { 
-                    total: Math.floor(random() * 100) + 10,
-                    additions: Math.floor(random() * 60),
-                    deletions: Math.floor(random() * 40)
-                }
-            });
+    async importLocalFile(file) {
+        this.hideAll();
+        this.showStatus(`Reading ${file.name}...`);
+
+        let repoData;
+        let algorithm = null;
+        try {
+            // Parsed entirely in the browser; nothing is uploaded
+            const text = await file.text();
+            if (/\.json$/i.test(file.name) || text.trimStart().startsWith('{')) {
+                ({ repoData, algorithm } = RepoDataSchema.read(text));
+            } else {
+                const name = file.name.replace(/\.[^.]+$/, '') || 'local';
+                repoData = GitLogImporter.parse(text, name);
+            }
+        } catch (error) {
+            console.error('Import error:', error);
+            this.showError(`Could not import ${file.name}: ${error.message}`);
+            return;
         }
-        
-        return {
-            info: { 
-                full_name: repoName, 
-                created_at: new Date().toISOString(),
-                stargazers_count: Math.floor(random() * 10000),
-                forks_count: Math.floor(random() * 1000)
-            },
-            commits: commits,
-            languages: { 'JavaScript': 10000, 'CSS': 5000 },
-            contributors: new Array(5).fill({}),
-            stats: { stars: 0, forks: 0 }
-        };
+
+        // Exports are redrawn with the algorithm they were made with
+        this.displayRepoData(repoData, {}, algorithm || this.loadAlgorithm());
     }
-    
-    async fetchRepoInfo(owner, repo) {
-        const response = await fetch(`https://api.github.com/repos/${owner}/${repo}`);
-        if (!response.ok) {
-            if (response.status === 404) throw new Error('Repository not found');
-            throw new Error(`GitHub API Error: ${response.status}`);
+
+    exportRepoData() {
+        if (!this.repoData) {
+            this.showError('Nothing to export yet: generate or import an artwork first.');
+            return;
         }
-        return await response.json();
+        const blob = new Blob([RepoDataSchema.serialize(this.repoData, { algorithm: this.visualizer.algorithm })], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `${this.repoData.info.full_name.replace(/[^\w.-]+/g, '-')}.repo-data.json`;
+        a.click();
+        URL.revokeObjectURL(url);
     }
-    
-    async fetchLanguages(owner, repo) {
+
+    displayRepoData(repoData, overlayOptions = {}, algorithm = this.loadAlgorithm()) {
+        this.useAlgorithm(algorithm);
+        this.repoData = repoData;
+        this.showResult();
+        this.updateOverlay(repoData, overlayOptions);
+        this.updateInputPlaceholder(repoData);
+
+        // Delay slightly to ensure canvas is ready
+        setTimeout(() => {
+            this.visualizer.visualizeRepository(repoData);
+        }, 50);
+    }
+
+    seedDetailsCache(repoData, target) {
+        // Measured commits from the snapshot spare their detail requests
+        (repoData.commits || []).forEach((commit) => {
+            if (commit.sha && commit.stats && commit.files) {
+                this.commitDetailsCache.set(`${target.host}/${target.owner}/${target.repo}@${commit.sha}`, {
+                    stats: { ...commit.stats },
+                    files: commit.files.map((file) => ({ ...file }))
+                });
+            }
+        });
+    }
+
+    resolveProvider(url) {
+        // First match wins; GitHub also handles bare "owner/repo". Null for
+        // hosts no provider recognizes yet (see detectProvider())
+        return CommitArtGenerator.PROVIDERS.find((Provider) => Provider.matches(url)) || null;
+    }
+
+    async detectProvider(url) {
+        // Unknown hosts are only read as Gitea/Forgejo once they answer like one
+        const Provider = this.resolveProvider(url);
+        if (Provider) return Provider;
+        const { host } = ForgeProvider.parseLocation(url);
+        this.showStatus(`Detecting the forge at ${host}...`);
+        if (!await GiteaProvider.detect(url)) {
+            throw new Error(`Unsupported forge: ${host} is not GitHub, GitLab, Gitea or Forgejo (or could not be reached)`);
+        }
+        this.saveGiteaHosts();
+        return GiteaProvider;
+    }
+
+    loadGiteaHosts() {
         try {
-            const response = await fetch(`https://api.github.com/repos/${owner}/${repo}/languages`);
-            return response.ok ? await response.json() : {};
-        } catch { return {}; }
+            JSON.parse(localStorage.getItem('commit-flipbook:gitea-hosts') || '[]').forEach((host) => GiteaProvider.detectedHosts.add(host));
+        } catch {
+            // Storage disabled: hosts are detected again next session
+        }
     }
-    
-    async fetchContributors(owner, repo) {
+
+    saveGiteaHosts() {
         try {
-            const response = await fetch(`https://api.github.com/repos/${owner}/${repo}/contributors?per_page=10`);
-            return response.ok ? await response.json() : [];
-        } catch { return []; }
+            localStorage.setItem('commit-flipbook:gitea-hosts', JSON.stringify([...GiteaProvider.detectedHosts]));
+        } catch {
+            // Storage disabled: the host still counts as Gitea for this session
+        }
     }
-    
-    async fetchCommitsWithStats(owner, repo, limit = 100) {
-        const response = await fetch(`https://api.github.com/repos/${owner}/${repo}/commits?per_page=${limit}`);
-        if (!response.ok) throw new Error('Failed to load commits');
-        const commits = await response.json();
-        
-        // In a real app we might fetch individual commit stats, 
-        // but to avoid rate limits we'll just return the commits.
-        // The visualizer handles missing 'stats' gracefully.
-        return commits.reverse();
+
+    createProvider(Provider, target) {
+        return new Provider(target, {
+            client: this.getClient(Provider, target),
+            historyOptions: this.historyOptions,
+            enrichmentOptions: this.enrichmentOptions,
+            detailsCache: this.commitDetailsCache,
+            onStatus: (message, progress) => this.showStatus(message, progress),
+            sampleCommits: (commits, limit) => this.visualizer.sampleCommits(commits, limit)
+        });
+    }
+
+    getClient(Provider, target) {
+        if (!this.clients.has(target.host)) {
+            this.clients.set(target.host, Provider.createClient(target, {
+                token: this.loadToken(target.host),
+                responseCache: this.repoCache,
+                onRateLimit: (resetAt) => this.showRateLimitCountdown(resetAt, 'Rate limited, resuming')
+            }));
+        }
+        return this.clients.get(target.host);
+    }
+
+    // ... (Keep existing fallback data generation)
+    createFallbackData(owner, repo) {
+        // Deterministic made-up history seeded by the repository name
+        const repoName = `${owner}/${repo}`;
+        return new SyntheticRepoGenerator({ name: repoName, until: new Date().toISOString() }).generate();
     }
     
     async downloadScreenshot() {
@@ -3287,7 +9588,8 @@ class CommitArtGenerator {
             const url = URL.createObjectURL(blob);
             const a = document.createElement('a');
             a.href = url;
-            a.download = 'repo-art.png';
+            // The version in the name is what ?algo= needs to redraw it
+            a.download = `repo-art-algo${this.visualizer.algorithm}.png`;
             a.click();
             URL.revokeObjectURL(url);
         });
@@ -3301,14 +9603,253 @@ class CommitArtGenerator {
     }
     
     // UI Helpers
-    showStatus(msg) {
+    showStatus(msg, progress = 0.5) {
         this.statusDiv.style.display = 'block';
         this.statusDiv.querySelector('.status-message').textContent = msg;
-        this.statusDiv.querySelector('.progress-bar').style.width = '50%'; // Fake progress
+        this.statusDiv.querySelector('.progress-bar').style.width = `${Math.round(progress * 100)}%`;
     }
     
-    hideStatus() { this.statusDiv.style.display = 'none'; }
-    
+    hideStatus() {
+        this.stopCountdown();
+        this.statusDiv.style.display = 'none';
+    }
+
+    showRateLimitCountdown(resetAt, label) {
+        this.stopCountdown();
+        if (!resetAt) {
+            this.showStatus(`${label} soon`, 0);
+            return;
+        }
+
+        const startedAt = Date.now();
+        const tick = () => {
+            const remaining = Math.max(0, resetAt - Date.now());
+            const minutes = Math.floor(remaining / 60000);
+            const seconds = Math.floor((remaining % 60000) / 1000);
+            const progress = 1 - remaining / Math.max(1, resetAt - startedAt);
+            this.showStatus(`${label} in ${minutes}:${String(seconds).padStart(2, '0')}`, progress);
+            if (remaining === 0) this.stopCountdown();
+        };
+        tick();
+        this.countdownTimer = setInterval(tick, 1000);
+    }
+
+    stopCountdown() {
+        if (this.countdownTimer) {
+            clearInterval(this.countdownTimer);
+            this.countdownTimer = null;
+        }
+    }
+
+    tokenStorageKey(host) {
+        // github.com keeps its original key so saved tokens survive upgrades
+        return host === 'github.com' ? 'commit-flipbook:github-token' : `commit-flipbook:token:${host}`;
+    }
+
+    loadToken(host) {
+        try {
+            return localStorage.getItem(this.tokenStorageKey(host)) || null;
+        } catch {
+            return null;
+        }
+    }
+
+    saveToken(host, token) {
+        try {
+            if (token) localStorage.setItem(this.tokenStorageKey(host), token);
+            else localStorage.removeItem(this.tokenStorageKey(host));
+        } catch {
+            // Storage disabled: the token still applies for this session
+        }
+        this.clients.get(host)?.setToken(token);
+    }
+
+    getTokenTarget() {
+        // Tokens belong to the forge of whatever URL is in the input
+        const url = this.repoUrlInput.value.trim() || this.getCurrentPlaceholderUrl?.() || '';
+        try {
+            // A host that is not detected yet can only be a Gitea/Forgejo instance
+            const Provider = this.resolveProvider(url) || GiteaProvider;
+            return { Provider, host: Provider.parseUrl(url).host };
+        } catch {
+            return { Provider: GitHubProvider, host: 'github.com' };
+        }
+    }
+
+    setupTokenSettings() {
+        const panel = document.getElementById('settings-panel');
+        const toggle = document.getElementById('settings-btn');
+        const input = document.getElementById('token-input');
+        const label = document.getElementById('token-label');
+        const clearBtn = document.getElementById('token-clear-btn');
+        if (!panel || !input) return;
+
+        let host = 'github.com';
+        const refresh = () => {
+            const tokenTarget = this.getTokenTarget();
+            host = tokenTarget.host;
+            input.value = this.loadToken(host) || '';
+            if (label) {
+                label.textContent = host === 'github.com'
+                    ? 'GitHub token'
+                    : `${tokenTarget.Provider.label} token for ${host}`;
+            }
+        };
+
+        refresh();
+        toggle?.addEventListener('click', () => {
+            panel.hidden = !panel.hidden;
+            toggle.setAttribute('aria-expanded', String(!panel.hidden));
+            if (!panel.hidden) refresh();
+        });
+        this.repoUrlInput.addEventListener('change', refresh);
+        input.addEventListener('change', () => this.saveToken(host, input.value.trim()));
+        clearBtn?.addEventListener('click', () => {
+            input.value = '';
+            this.saveToken(host, null);
+        });
+    }
+
+    loadMailmap() {
+        try {
+            return localStorage.getItem('commit-flipbook:mailmap') || '';
+        } catch {
+            return '';
+        }
+    }
+
+    saveMailmap(text) {
+        try {
+            if (text) localStorage.setItem('commit-flipbook:mailmap', text);
+            else localStorage.removeItem('commit-flipbook:mailmap');
+        } catch {
+            // Storage disabled: the mailmap still applies for this session
+        }
+        this.visualizer.mailmap = text;
+        // Re-merge the authors of the artwork on screen
+        if (this.repoData) this.visualizer.visualizeRepository(this.repoData);
+    }
+
+    setupMailmapSettings() {
+        const input = document.getElementById('mailmap-input');
+        const clearBtn = document.getElementById('mailmap-clear-btn');
+        if (!input) return;
+
+        input.value = this.loadMailmap();
+        input.addEventListener('change', () => this.saveMailmap(input.value.trim()));
+        clearBtn?.addEventListener('click', () => {
+            input.value = '';
+            this.saveMailmap('');
+        });
+    }
+
+    loadBotOptions() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('commit-flipbook:bots') || '{}');
+            return {
+                botMode: BotDetector.MODES.includes(saved.mode) ? saved.mode : 'machine',
+                botPatterns: typeof saved.patterns === 'string' ? saved.patterns : ''
+            };
+        } catch {
+            return { botMode: 'machine', botPatterns: '' };
+        }
+    }
+
+    saveBotOptions(mode, patterns) {
+        try {
+            localStorage.setItem('commit-flipbook:bots', JSON.stringify({ mode, patterns }));
+        } catch {
+            // Storage disabled: the choice still applies for this session
+        }
+        this.visualizer.botMode = mode;
+        this.visualizer.botPatterns = patterns;
+        if (this.repoData) {
+            this.updateOverlay(this.repoData, this.overlayOptions);
+            this.visualizer.visualizeRepository(this.repoData);
+        }
+    }
+
+    setupBotSettings() {
+        const modeSelect = document.getElementById('bot-mode');
+        const patternsInput = document.getElementById('bot-patterns');
+        if (!modeSelect) return;
+
+        const { botMode, botPatterns } = this.loadBotOptions();
+        modeSelect.value = botMode;
+        if (patternsInput) patternsInput.value = botPatterns;
+        const save = () => this.saveBotOptions(modeSelect.value, patternsInput ? patternsInput.value.trim() : '');
+        modeSelect.addEventListener('change', save);
+        patternsInput?.addEventListener('change', save);
+    }
+
+    loadHideMerges() {
+        try {
+            return localStorage.getItem('commit-flipbook:hide-merges') === '1';
+        } catch {
+            return false;
+        }
+    }
+
+    setupMergeSettings() {
+        const checkbox = document.getElementById('hide-merges');
+        if (!checkbox) return;
+
+        checkbox.checked = this.loadHideMerges();
+        checkbox.addEventListener('change', () => {
+            try {
+                if (checkbox.checked) localStorage.setItem('commit-flipbook:hide-merges', '1');
+                else localStorage.removeItem('commit-flipbook:hide-merges');
+            } catch {
+                // Storage disabled: the choice still applies for this session
+            }
+            this.visualizer.hideMerges = checkbox.checked;
+            if (this.repoData) {
+                this.updateOverlay(this.repoData, this.overlayOptions);
+                this.visualizer.visualizeRepository(this.repoData);
+            }
+        });
+    }
+
+    loadShowActivity() {
+        try {
+            return localStorage.getItem('commit-flipbook:activity') !== 'off';
+        } catch {
+            return true;
+        }
+    }
+
+    setupActivitySettings() {
+        const checkbox = document.getElementById('show-activity');
+        if (!checkbox) return;
+
+        checkbox.checked = this.loadShowActivity();
+        checkbox.addEventListener('change', () => {
+            try {
+                if (checkbox.checked) localStorage.removeItem('commit-flipbook:activity');
+                else localStorage.setItem('commit-flipbook:activity', 'off');
+            } catch {
+                // Storage disabled: the choice still applies for this session
+            }
+            this.visualizer.showActivity = checkbox.checked;
+            if (this.repoData) {
+                this.updateOverlay(this.repoData, this.overlayOptions);
+                this.visualizer.visualizeRepository(this.repoData);
+            }
+        });
+    }
+
+    setupCacheSettings() {
+        const clearBtn = document.getElementById('cache-clear-btn');
+        const hint = document.getElementById('cache-hint');
+        clearBtn?.addEventListener('click', async () => {
+            clearBtn.disabled = true;
+            await this.repoCache.clear();
+            this.commitDetailsCache.clear();
+            clearBtn.disabled = false;
+            if (hint) hint.textContent = 'Cache cleared. The next render fetches everything again.';
+        });
+    }
+
     showResult() {
         this.hideStatus();
         this.errorDiv.style.display = 'none';
@@ -3323,6 +9864,7 @@ class CommitArtGenerator {
     }
     
     hideAll() {
+        this.stopCountdown();
         this.statusDiv.style.display = 'none';
         this.errorDiv.style.display = 'none';
     }
@@ -3335,22 +9877,43 @@ class CommitArtGenerator {
         return String(value);
     }
 
-    updateOverlay(repoData) {
+    updateOverlay(repoData, options = {}) {
+        // Kept so settings changes can redraw the same labels
+        this.overlayOptions = options;
         if (!this.repoNameEl || !this.repoStatsEl) return;
 
         if (!repoData) {
             this.repoNameEl.textContent = 'Commit Flipbook';
-            this.repoStatsEl.textContent = 'Enter a GitHub repository URL';
+            this.repoStatsEl.textContent = 'Enter a GitHub, GitLab or Gitea repository URL';
             return;
         }
 
-        const commitCount = repoData.commits ? repoData.commits.length : 0;
+        const commits = repoData.commits || [];
         const languageCount = Object.keys(repoData.languages || {}).length;
         const stats = repoData.stats || {};
+
+        // Bot commits follow the same mode as the artwork
+        const { botMode, botPatterns } = this.visualizer || {};
+        const detector = new BotDetector(botPatterns);
+        const botCount = !botMode || botMode === 'include' ? 0 : commits.filter((c) => detector.isBot(c)).length;
+        let commitLabel = `${commits.length} commits`;
+        if (botCount && botMode === 'exclude') commitLabel = `${commits.length - botCount} commits (${botCount} by bots hidden)`;
+        else if (botCount) commitLabel = `${commits.length} commits (${botCount} by bots)`;
+
         const parts = [
-            `${commitCount} commits`,
+            commitLabel,
             `${languageCount} languages`
         ];
+        if (this.visualizer?.hideMerges) {
+            const merges = commits.filter((c) => (c.parents || []).length > 1).length;
+            if (merges) parts.push(`${merges} merges hidden`);
+        }
+        if (this.visualizer?.showActivity && repoData.activity?.length) {
+            const pulls = repoData.activity.filter((item) => item.type === 'pull').length;
+            parts.push(`${repoData.activity.length - pulls} issues`, `${pulls} pull requests`);
+        }
+        const scopeLabel = this.formatScope(repoData);
+        if (scopeLabel) parts.unshift(scopeLabel);
 
         if (typeof stats.stars === 'number') {
             parts.push(`${this.formatNumber(stats.stars)} stars`);
@@ -3358,16 +9921,52 @@ class CommitArtGenerator {
         if (typeof stats.forks === 'number') {
             parts.push(`${this.formatNumber(stats.forks)} forks`);
         }
+        // Say plainly when this is not live data
+        if (options.cachedAt) {
+            const label = `cached snapshot from ${new Date(options.cachedAt).toLocaleDateString()}`;
+            parts.push(options.offline ? `offline, ${label}` : label);
+        } else if (options.simulated) {
+            parts.push('simulated data (API unavailable)');
+        } else if (options.synthetic) {
+            parts.push('synthetic data');
+        }
+        if (this.visualizer && this.visualizer.algorithm !== SimpleVisualizer.ALGORITHM) {
+            parts.push(`algorithm v${this.visualizer.algorithm}`);
+        }
 
         this.repoNameEl.textContent = repoData.info.full_name;
         this.repoStatsEl.textContent = parts.join(' • ');
     }
 
+    describeMilestone(milestone) {
+        const name = milestone.name !== milestone.tag ? ` – ${milestone.name}` : '';
+        const kind = milestone.prerelease ? 'pre-release' : milestone.release ? 'release' : 'tag';
+        return `${milestone.tag}${name} (${kind}, ${new Date(milestone.time).toLocaleDateString()})`;
+    }
+
+    formatScope(repoData) {
+        // Only worth showing when it is not simply the default branch
+        const scope = repoData.scope;
+        if (!scope) return null;
+        const labels = [];
+        if (scope.base) labels.push(`${scope.base}...${scope.head}`);
+        else if (scope.ref && scope.ref !== repoData.info.default_branch) labels.push(scope.ref);
+        if (scope.path) labels.push(`/${scope.path}`);
+
+        const day = (value) => new Date(value).toISOString().slice(0, 10);
+        if (scope.since && scope.until) labels.push(`${day(scope.since)} – ${day(scope.until)}`);
+        else if (scope.since) labels.push(`since ${day(scope.since)}`);
+        else if (scope.until) labels.push(`until ${day(scope.until)}`);
+        return labels.length ? labels.join(' ') : null;
+    }
+
     updateInputPlaceholder(repoData) {
         if (!this.repoUrlInput) return;
         if (!repoData || !repoData.info || !repoData.info.full_name) return;
+        // Local logs have no web page to point back to
+        if (repoData.info.html_url === null) return;
 
-        const placeholder = `https://github.com/${repoData.info.full_name}`;
+        const placeholder = repoData.info.html_url || `https://github.com/${repoData.info.full_name}`;
         this.placeholderCycleActive = false;
         this.repoUrlInput.value = '';
         this.repoUrlInput.setAttribute('placeholder', placeholder);
@@ -3383,7 +9982,27 @@ class CommitArtGenerator {
     }
 }
 
-// Initialize
-document.addEventListener('DOMContentLoaded', () => {
-    new CommitArtGenerator();
-});
+// Checked in order; bare "owner/repo" falls through to GitHub
+CommitArtGenerator.PROVIDERS = [GitLabProvider, GiteaProvider, GitHubProvider];
+
+// Initialize (browser only; Node loads this file for the CLI)
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => {
+        new CommitArtGenerator();
+    });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SimpleVisualizer,
+        GitLogImporter,
+        LanguageClassifier,
+        BotDetector,
+        SyntheticRepoGenerator,
+        RepoDataSchema,
+        ApiClient,
+        GitHubProvider,
+        GitLabProvider,
+        GiteaProvider
+    };
+}
@@ -0,0 +1,77 @@
+// Service worker: keeps the app shell available offline.
+// Repository data is cached separately by the page (RepoCache in
+// art-generator.js), so API requests are left alone here.
+
+const SHELL_CACHE = 'commit-flipbook-shell-v1';
+const FONT_CACHE = 'commit-flipbook-fonts-v1';
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'style.css',
+    'art-generator.js',
+    'three.min.js',
+    'assets/triglavis_dark.svg'
+];
+const FONT_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then((cache) => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    // Drop caches from older versions of this worker
+    const current = [SHELL_CACHE, FONT_CACHE];
+    event.waitUntil(
+        caches.keys()
+            .then((keys) => Promise.all(keys.filter((key) => !current.includes(key)).map((key) => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+
+    if (url.origin === self.location.origin) {
+        event.respondWith(staleWhileRevalidate(request));
+    } else if (FONT_HOSTS.includes(url.hostname)) {
+        event.respondWith(cacheFirst(request, FONT_CACHE));
+    }
+});
+
+async function staleWhileRevalidate(request) {
+    // Serve the shell instantly, refresh it in the background for next time
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+    const network = fetch(request)
+        .then((response) => {
+            if (response.ok) cache.put(request, response.clone());
+            return response;
+        })
+        .catch(() => null);
+
+    if (cached) return cached;
+    const response = await network;
+    if (response) return response;
+    if (request.mode === 'navigate') return cache.match('index.html');
+    return Response.error();
+}
+
+async function cacheFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    try {
+        const response = await fetch(request);
+        // Font files are opaque cross-origin responses (status 0)
+        if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+        return response;
+    } catch {
+        return Response.error();
+    }
+}
@@ -0,0 +1,94 @@
+// Frozen algorithms: ?algo=1 must keep drawing what the original visualizer
+// drew. fixtures/algorithm-v1.json was recorded from the baseline commit's
+// SimpleVisualizer with the recording canvas below: for each repository it
+// holds the signature and a digest of every canvas call over a few frames.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('node:crypto');
+const { SimpleVisualizer } = require('../docs/art-generator.js');
+const cases = require('./fixtures/algorithm-v1.json');
+
+// A canvas whose 2D context writes each call and property change to `log`
+function recordingCanvas(width, height, log) {
+    const canvas = { width, height, style: {} };
+    const state = { canvas };
+    let objects = 0;
+    const format = (value) => {
+        if (typeof value === 'number') return String(Math.round(value * 1e4) / 1e4);
+        if (Array.isArray(value)) return `[${value.map(format).join(',')}]`;
+        if (value && value.data) return `image:${crypto.createHash('sha256').update(value.data).digest('hex').slice(0, 16)}`;
+        if (value && typeof value === 'object') return value.id || 'canvas';
+        return String(value);
+    };
+    const made = (kind) => {
+        const object = { id: `${kind}#${++objects}` };
+        object.addColorStop = (...args) => log.update(`${object.id}.addColorStop(${args.map(format)})\n`);
+        return object;
+    };
+    const image = (w, h) => ({ width: w, height: h, data: new Uint8ClampedArray(Math.max(0, Math.round(w)) * Math.max(0, Math.round(h)) * 4) });
+    const results = {
+        createLinearGradient: () => made('gradient'),
+        createRadialGradient: () => made('gradient'),
+        createConicGradient: () => made('gradient'),
+        createPattern: () => made('pattern'),
+        getImageData: (x, y, w, h) => image(w, h),
+        createImageData: (w, h) => image(w, h),
+        measureText: (text) => ({ width: String(text).length * 6 })
+    };
+    const ctx = new Proxy(state, {
+        get(target, prop) {
+            if (prop in target) return target[prop];
+            return (...args) => {
+                const result = results[prop] ? results[prop](...args) : undefined;
+                log.update(`${prop}(${args.map(format)})${result && result.id ? `=${result.id}` : ''}\n`);
+                return result;
+            };
+        },
+        set(target, prop, value) {
+            target[prop] = value;
+            log.update(`${prop}=${format(value)}\n`);
+            return true;
+        }
+    });
+    canvas.getContext = () => ctx;
+    return canvas;
+}
+
+// Some engines flicker with Math.random(); the fixture used this sequence
+function seededRandom() {
+    let state = 1;
+    return () => {
+        state = (state * 16807) % 2147483647;
+        return state / 2147483647;
+    };
+}
+
+test('create() returns the frozen visualizer for older versions', () => {
+    const canvas = recordingCanvas(64, 64, crypto.createHash('sha256'));
+    assert.ok(SimpleVisualizer.create(canvas) instanceof SimpleVisualizer);
+    assert.strictEqual(SimpleVisualizer.create(canvas, { algorithm: 1 }).constructor, SimpleVisualizer.FROZEN_ALGORITHMS[1]);
+    assert.throws(() => SimpleVisualizer.create(canvas, { algorithm: 99 }), /Unknown algorithm version 99/);
+    assert.throws(() => new SimpleVisualizer(canvas, { algorithm: 1 }), /use SimpleVisualizer.create\(\)/);
+});
+
+for (const fixture of cases) {
+    test(`version 1 draws ${fixture.style} (seed ${fixture.seed}) like the original visualizer`, (t) => {
+        t.mock.method(Math, 'random', seededRandom());
+        t.mock.method(console, 'warn', () => {});
+        const log = crypto.createHash('sha256');
+        const visualizer = SimpleVisualizer.create(recordingCanvas(640, 360, log), {
+            algorithm: 1,
+            pixelRatio: 1,
+            createCanvas: (width, height) => recordingCanvas(width, height, log)
+        });
+        const repoData = structuredClone(fixture.repoData);
+
+        const signature = visualizer.prepare(repoData);
+        assert.deepStrictEqual(JSON.parse(JSON.stringify(signature)), { ...fixture.signature, algorithm: 1 });
+        for (let frame = 0; frame < fixture.frames; frame++) {
+            visualizer.renderFrame(signature, repoData);
+        }
+        assert.strictEqual(log.digest('hex'), fixture.draw);
+    });
+}
@@ -0,0 +1,279 @@
+// Forge providers against a local mock server: the same requests the web
+// page makes, answered with canned Gitea- and GitLab-shaped JSON.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { GiteaProvider, GitLabProvider, GitHubProvider } = require('../docs/art-generator.js');
+
+const COMMITS = Array.from({ length: 120 }, (_, i) => ({
+    sha: `c${String(i).padStart(3, '0')}`,
+    commit: {
+        author: { name: i % 3 ? 'Alice' : 'Bob', email: i % 3 ? 'alice@example.org' : 'bob@example.org', date: new Date(Date.UTC(2024, 0, 1 + i)).toISOString() },
+        committer: { name: 'Alice', email: 'alice@example.org', date: new Date(Date.UTC(2024, 0, 1 + i)).toISOString() },
+        message: i % 2 ? 'fix: mend the fence' : 'feat: plant a tree'
+    },
+    author: { login: i % 3 ? 'alice' : 'bob' },
+    parents: i ? [{ sha: `c${String(i - 1).padStart(3, '0')}` }] : [],
+    stats: { additions: 10, deletions: 2, total: 12 },
+    files: [{ filename: 'src/garden.go' }]
+})).reverse();
+
+const GITLAB_COMMITS = Array.from({ length: 30 }, (_, i) => ({
+    id: `g${String(i).padStart(3, '0')}`,
+    author_name: 'Alice',
+    author_email: 'alice@example.org',
+    authored_date: new Date(Date.UTC(2024, 0, 1 + i)).toISOString(),
+    committer_name: 'Alice',
+    committer_email: 'alice@example.org',
+    committed_date: new Date(Date.UTC(2024, 0, 1 + i)).toISOString(),
+    message: 'docs: describe the burrow',
+    parent_ids: i ? [`g${String(i - 1).padStart(3, '0')}`] : [],
+    stats: { additions: 3, deletions: 1, total: 4 }
+})).reverse();
+
+const PAGE_SIZE = 50;
+const GITLAB_PAGE_SIZE = 20;
+let server;
+let origin;
+let requests;
+
+function pageLinks(url, page, last) {
+    // Gitea paginates like GitHub: rel="next" and rel="last" plus X-Total-Count
+    const link = (n) => {
+        const target = new URL(url, origin);
+        target.searchParams.set('page', String(n));
+        return `<${target}>`;
+    };
+    const parts = [];
+    if (page < last) parts.push(`${link(page + 1)}; rel="next"`, `${link(last)}; rel="last"`);
+    return parts.join(', ');
+}
+
+function respond(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+}
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        const url = new URL(req.url, origin);
+        requests.push(url.pathname + url.search);
+        const repo = '/api/v1/repos/alice/garden';
+
+        if (url.pathname.startsWith('/api/v4/')) return gitlab(url, req, res);
+        if (url.pathname === '/api/v1/version') return respond(res, 200, { version: '1.21.0' });
+        if (url.pathname === repo) {
+            return respond(res, 200, {
+                full_name: 'alice/garden',
+                name: 'garden',
+                owner: { login: 'alice' },
+                html_url: `${origin}/alice/garden`,
+                created_at: '2024-01-01T00:00:00Z',
+                updated_at: '2024-04-29T00:00:00Z',
+                stars_count: 7,
+                forks_count: 2,
+                open_issues_count: 1,
+                default_branch: 'main'
+            });
+        }
+        if (url.pathname === `${repo}/languages`) return respond(res, 200, { Go: 9000, CSS: 1000 });
+        if (url.pathname === `${repo}/commits`) {
+            const page = Number(url.searchParams.get('page') || 1);
+            const last = Math.ceil(COMMITS.length / PAGE_SIZE);
+            return respond(res, 200, COMMITS.slice((page - 1) * PAGE_SIZE, page * PAGE_SIZE), {
+                Link: pageLinks(req.url, page, last),
+                'X-Total-Count': String(COMMITS.length)
+            });
+        }
+        if (url.pathname === `${repo}/tags`) {
+            return respond(res, 200, [{ name: 'v1.0.0', commit: { sha: 'c060', created: '2024-03-01T00:00:00Z' } }]);
+        }
+        if (url.pathname === `${repo}/releases`) {
+            return respond(res, 200, [{ tag_name: 'v1.0.0', name: 'First harvest', published_at: '2024-03-02T00:00:00Z', prerelease: false }]);
+        }
+        if (url.pathname === `${repo}/issues`) {
+            return respond(res, 200, [
+                { number: 1, title: 'Weeds', user: { login: 'bob' }, labels: [{ name: 'bug' }], created_at: '2024-02-01T00:00:00Z', closed_at: null },
+                { number: 2, title: 'Add a pond', user: { login: 'alice' }, labels: [], created_at: '2024-02-10T00:00:00Z', closed_at: '2024-02-12T00:00:00Z', pull_request: { merged_at: '2024-02-12T00:00:00Z' } }
+            ]);
+        }
+        return respond(res, 404, { message: 'not found' });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    origin = `http://localhost:${server.address().port}`;
+});
+
+function gitlab(url, req, res) {
+    // Projects are addressed by their URL-encoded namespace path
+    const project = '/api/v4/projects/group%2Fproj';
+    if (url.pathname === project) {
+        return respond(res, 200, {
+            path_with_namespace: 'group/proj',
+            path: 'proj',
+            namespace: { full_path: 'group' },
+            web_url: `${origin}/group/proj`,
+            created_at: '2024-01-01T00:00:00Z',
+            last_activity_at: '2024-01-30T00:00:00Z',
+            star_count: 3,
+            forks_count: 1,
+            open_issues_count: 0,
+            default_branch: 'main'
+        });
+    }
+    if (url.pathname === `${project}/repository/commits`) {
+        const page = Number(url.searchParams.get('page') || 1);
+        const last = Math.ceil(GITLAB_COMMITS.length / GITLAB_PAGE_SIZE);
+        return respond(res, 200, GITLAB_COMMITS.slice((page - 1) * GITLAB_PAGE_SIZE, page * GITLAB_PAGE_SIZE), {
+            Link: pageLinks(req.url, page, last),
+            'X-Total': String(GITLAB_COMMITS.length),
+            'X-Total-Pages': String(last)
+        });
+    }
+    if (url.pathname === `${project}/repository/commits/main`) return respond(res, 200, { id: 'g029' });
+    if (/\/repository\/commits\/g\d+\/diff$/.test(url.pathname)) {
+        return respond(res, 200, [{ new_path: 'docs/burrow.md', diff: '+a\n+b\n-c' }]);
+    }
+    if (url.pathname === `${project}/repository/tree`) {
+        return respond(res, 200, [{ type: 'blob', path: 'docs/burrow.go' }, { type: 'tree', path: 'docs/img' }]);
+    }
+    if (url.pathname === `${project}/repository/contributors`) {
+        return respond(res, 200, [{ name: 'Alice', email: 'alice@example.org', commits: 30 }]);
+    }
+    if (url.pathname === `${project}/languages`) return respond(res, 200, { Markdown: 100 });
+    if (['tags', 'releases', 'issues', 'merge_requests'].some((name) => url.pathname.endsWith(`/${name}`))) {
+        return respond(res, 200, []);
+    }
+    return respond(res, 404, { message: '404 Not Found' });
+}
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+function createProvider(url, historyOptions = {}, Provider = GiteaProvider) {
+    const target = Provider.parseUrl(url);
+    return new Provider(target, {
+        client: Provider.createClient(target),
+        historyOptions: { perPage: 100, maxPages: 10, since: null, until: null, ...historyOptions }
+    });
+}
+
+test('Gitea: normalizes a repository into repoData', async () => {
+    requests = [];
+    const repoData = await createProvider(`${origin}/alice/garden`).fetchRepoData();
+
+    assert.strictEqual(repoData.info.full_name, 'alice/garden');
+    assert.strictEqual(repoData.info.pushed_at, '2024-04-29T00:00:00Z');
+    assert.deepStrictEqual(repoData.stats, { stars: 7, forks: 2, issues: 1 });
+    assert.deepStrictEqual(repoData.languages, { Go: 9000, CSS: 1000 });
+
+    // Every page followed, oldest commit first, stats and file names kept
+    assert.strictEqual(repoData.commits.length, 120);
+    assert.strictEqual(repoData.commits[0].sha, 'c000');
+    assert.strictEqual(repoData.commits[119].sha, 'c119');
+    assert.deepStrictEqual(repoData.commits[5].stats, { additions: 10, deletions: 2, total: 12, files: 1 });
+    assert.deepStrictEqual(repoData.commits[5].files, [{ filename: 'src/garden.go', additions: 0, deletions: 0 }]);
+    assert.ok(requests.some((path) => path.includes('/commits?') && path.includes('stat=true')));
+
+    // No contributors endpoint: counted from the commit authors
+    const logins = repoData.contributors.map((person) => person.login).sort();
+    assert.deepStrictEqual(logins, ['alice', 'bob']);
+
+    assert.deepStrictEqual(repoData.milestones.map(({ tag, name, sha, release }) => ({ tag, name, sha, release })), [
+        { tag: 'v1.0.0', name: 'First harvest', sha: 'c060', release: true }
+    ]);
+    assert.deepStrictEqual(repoData.activity.map((item) => [item.type, item.number, item.mergedAt]), [
+        ['issue', 1, null],
+        ['pull', 2, '2024-02-12T00:00:00Z']
+    ]);
+});
+
+test('Gitea: spreads a short page budget over the whole history', async () => {
+    requests = [];
+    // maxPages 1 allows two Gitea pages of 50: the newest and the oldest
+    const repoData = await createProvider(`${origin}/alice/garden`, { maxPages: 1 }).fetchRepoData();
+
+    assert.strictEqual(repoData.commits.length, 70);
+    assert.strictEqual(repoData.commits[0].sha, 'c000');
+    assert.strictEqual(repoData.commits[69].sha, 'c119');
+    assert.ok(requests.some((path) => path.includes('/commits?') && path.includes('page=3')));
+    assert.ok(!requests.some((path) => path.includes('/commits?') && path.includes('page=2')));
+});
+
+test('Gitea: branch URLs are read at that ref', async () => {
+    requests = [];
+    await createProvider(`${origin}/alice/garden/src/branch/main`).fetchCommits();
+    assert.ok(requests.some((path) => path.startsWith('/api/v1/repos/alice/garden/commits?') && path.includes('sha=main')));
+});
+
+test('Gitea: detect() recognizes an instance by its version endpoint', async () => {
+    const url = `${origin}/alice/garden`;
+    GiteaProvider.detectedHosts.clear();
+    assert.strictEqual(GiteaProvider.matches(url), false);
+    assert.strictEqual(await GiteaProvider.detect(url), true);
+    assert.strictEqual(GiteaProvider.matches(url), true);
+
+    // A sub-path that is not an instance answers 404
+    GiteaProvider.detectedHosts.clear();
+    assert.strictEqual(await GiteaProvider.detect(`${origin}/elsewhere/alice/garden`), false);
+    assert.strictEqual(GiteaProvider.matches(url), false);
+});
+
+test('GitLab: a project URL reads the whole project', async () => {
+    requests = [];
+    const repoData = await createProvider(`${origin}/group/proj`, {}, GitLabProvider).fetchRepoData();
+
+    assert.strictEqual(repoData.info.full_name, 'group/proj');
+    assert.strictEqual(repoData.scope.path, null);
+    assert.strictEqual(repoData.commits.length, 30);
+    assert.strictEqual(repoData.commits[0].sha, 'g000');
+    assert.deepStrictEqual(repoData.languages, { Markdown: 100 });
+    assert.deepStrictEqual(repoData.contributors.map((person) => person.name), ['Alice']);
+
+    // Every request goes to the project; none filters the history by path
+    const api = requests.filter((path) => path.startsWith('/api/v4/'));
+    assert.ok(api.every((path) => path.startsWith('/api/v4/projects/group%2Fproj')));
+    assert.ok(!api.some((path) => path.includes('/repository/commits?') && path.includes('path=')));
+    assert.ok(api.some((path) => path.startsWith('/api/v4/projects/group%2Fproj/repository/contributors')));
+});
+
+test('GitLab: a tree URL scopes the project to that subtree', async () => {
+    requests = [];
+    const repoData = await createProvider(`${origin}/group/proj/-/tree/main/docs`, {}, GitLabProvider).fetchRepoData();
+
+    assert.deepStrictEqual({ ref: repoData.scope.ref, path: repoData.scope.path }, { ref: 'main', path: 'docs' });
+    // Languages come from the subtree's own files
+    assert.deepStrictEqual(repoData.languages, { Go: 1 });
+    const api = requests.filter((path) => path.startsWith('/api/v4/'));
+    assert.ok(api.every((path) => path.startsWith('/api/v4/projects/group%2Fproj')));
+    assert.ok(api.some((path) => path.includes('/repository/commits?') && path.includes('ref_name=main') && path.includes('path=docs')));
+    assert.ok(api.some((path) => path.includes('/repository/tree?') && path.includes('path=docs') && path.includes('ref=main')));
+    // Contributors cover the whole project, so a subtree counts its own authors
+    assert.ok(!api.some((path) => path.includes('/repository/contributors')));
+});
+
+test('GitHub GraphQL side requests stay handled when a later page fails', async () => {
+    const unhandled = [];
+    const onUnhandled = (reason) => unhandled.push(reason);
+    process.on('unhandledRejection', onUnhandled);
+    try {
+        const provider = new GitHubProvider(GitHubProvider.parseUrl('owner/repo'), {
+            historyOptions: { maxPages: 2, graphQLMaxPages: 2 }
+        });
+        const history = { totalCount: 150, nodes: [], pageInfo: { hasNextPage: true, endCursor: 'c1' } };
+        let page = 0;
+        provider.queryGraphQL = async () => {
+            if (++page > 1) throw new Error('page 2 failed');
+            return { repository: { defaultBranchRef: { target: { history } } } };
+        };
+        const reject = async () => { throw new Error('rate limited'); };
+        provider.fetchContributors = reject;
+        provider.fetchContributorStats = reject;
+        provider.fetchMailmap = reject;
+
+        await assert.rejects(provider.fetchRepoDataGraphQL(), /page 2 failed/);
+        await new Promise((resolve) => setImmediate(resolve));
+        assert.deepStrictEqual(unhandled, []);
+    } finally {
+        process.off('unhandledRejection', onUnhandled);
+    }
+});
@@ -0,0 +1,44 @@
+// Export envelopes: round trips, upgrades of older versions and rejections.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { RepoDataSchema, SimpleVisualizer, SyntheticRepoGenerator } = require('../docs/art-generator.js');
+
+const envelope = (version, repoData) => JSON.stringify({ schema: RepoDataSchema.ID, version, exportedAt: '2024-05-01T00:00:00Z', repoData });
+
+test('serialize() and parse() round-trip the current version', () => {
+    const repoData = SyntheticRepoGenerator.fromPreset('balanced').generate();
+    const text = RepoDataSchema.serialize(repoData);
+    assert.strictEqual(JSON.parse(text).version, RepoDataSchema.VERSION);
+    assert.deepStrictEqual(RepoDataSchema.parse(text), JSON.parse(JSON.stringify(repoData)));
+});
+
+test('exports record the algorithm that drew them', () => {
+    const repoData = SyntheticRepoGenerator.fromPreset('balanced').generate();
+    assert.strictEqual(RepoDataSchema.read(RepoDataSchema.serialize(repoData)).algorithm, SimpleVisualizer.ALGORITHM);
+    assert.strictEqual(RepoDataSchema.read(RepoDataSchema.serialize(repoData, { algorithm: 1 })).algorithm, 1);
+    // Exports made before the field existed leave the choice to the page
+    assert.strictEqual(RepoDataSchema.read(envelope(2, repoData)).algorithm, null);
+});
+
+test('version 1 exports are upgraded with empty releases, activity and statistics', () => {
+    const { info, commits, languages, contributors, stats } = SyntheticRepoGenerator.fromPreset('balanced').generate();
+    const repoData = RepoDataSchema.parse(envelope(1, { info, commits, languages, contributors, stats }));
+
+    assert.deepStrictEqual(repoData.milestones, []);
+    assert.deepStrictEqual(repoData.activity, []);
+    assert.strictEqual(repoData.contributorStats, null);
+    assert.strictEqual(repoData.mailmap, null);
+    assert.strictEqual(repoData.commits.length, commits.length);
+    assert.deepStrictEqual(RepoDataSchema.validate(repoData), []);
+});
+
+test('unknown versions and invalid data are rejected', () => {
+    const repoData = SyntheticRepoGenerator.fromPreset('balanced').generate();
+    assert.throws(() => RepoDataSchema.parse(envelope(RepoDataSchema.VERSION + 1, repoData)), /Unsupported export version/);
+    assert.throws(() => RepoDataSchema.parse(envelope(0, repoData)), /Unsupported export version 0/);
+    assert.throws(() => RepoDataSchema.parse(envelope(-1, repoData)), /Unsupported export version -1/);
+    assert.throws(() => RepoDataSchema.parse(envelope(1, { ...repoData, commits: [] })), /commits must be a non-empty array/);
+    assert.throws(() => RepoDataSchema.parse('{"schema": "other"}'), /Not a Commit Flipbook export/);
+    assert.throws(() => RepoDataSchema.parse(RepoDataSchema.serialize(repoData, { algorithm: 99 })), /Unsupported algorithm version 99/);
+});
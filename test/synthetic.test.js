@@ -0,0 +1,26 @@
+// Synthetic presets: each one must reach its own generateSignature branch.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { SimpleVisualizer, SyntheticRepoGenerator } = require('../docs/art-generator.js');
+
+// Preset -> the style its repository draws as (one per family of engines)
+const STYLES = {
+    auteur: 'glitch-monolith',
+    society: 'city',
+    legacy: 'tree',
+    polyglot: 'collage',
+    balanced: 'cyber-city'
+};
+
+test('every preset has an expected style', () => {
+    assert.deepStrictEqual(Object.keys(SyntheticRepoGenerator.PRESETS).sort(), Object.keys(STYLES).sort());
+});
+
+for (const [preset, style] of Object.entries(STYLES)) {
+    test(`the ${preset} preset draws as ${style}`, () => {
+        const visualizer = new SimpleVisualizer({ getContext: () => ({}) });
+        const repoData = SyntheticRepoGenerator.fromPreset(preset).generate();
+        assert.strictEqual(visualizer.generateSignature(repoData).style, style);
+    });
+}